@@ -0,0 +1,147 @@
+/**
+ * Markdown-aware message chunker
+ *
+ * Splits long replies into parts that fit the realm's max_message_length,
+ * preferring paragraph and code-fence boundaries. A code block that has to
+ * be split is closed at the end of each part and reopened (with its info
+ * string) at the start of the next, and a split table repeats its header
+ * row and separator, so every part renders on its own.
+ */
+
+// Zulip's default MAX_MESSAGE_LENGTH; realms can lower it
+const DEFAULT_MAX_MESSAGE_LENGTH = 10000;
+
+const FENCE_OPEN_RE = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+const TABLE_SEPARATOR_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// A paragraph that starts with a table header and its `| --- |` separator
+function tableHeader(lines) {
+  return lines.length > 2 && lines[0].includes('|') && lines[1].includes('-') && TABLE_SEPARATOR_RE.test(lines[1])
+    ? lines.slice(0, 2).join('\n')
+    : null;
+}
+
+function isFenceClose(line, fence) {
+  const match = /^ {0,3}(`{3,}|~{3,})\s*$/.exec(line);
+  return Boolean(match && match[1][0] === fence[0] && match[1].length >= fence.length);
+}
+
+// Split into paragraphs and fenced code blocks. Fences are kept whole even
+// when they contain blank lines; paragraphs note their table header.
+function splitBlocks(text) {
+  const blocks = [];
+  const lines = text.split('\n');
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ text: paragraph.join('\n'), fence: null, tableHeader: tableHeader(paragraph) });
+    }
+    paragraph = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const open = FENCE_OPEN_RE.exec(lines[i]);
+    if (open) {
+      flushParagraph();
+      const start = i;
+      const fence = open[1];
+      const body = [];
+      let close = null;
+      for (i++; i < lines.length; i++) {
+        if (isFenceClose(lines[i], fence)) {
+          close = lines[i];
+          break;
+        }
+        body.push(lines[i]);
+      }
+      blocks.push({
+        text: lines.slice(start, i + 1).join('\n'),
+        fence: { open: lines[start], close: close ?? fence, body },
+      });
+      continue;
+    }
+
+    if (lines[i].trim() === '') flushParagraph();
+    else paragraph.push(lines[i]);
+  }
+  flushParagraph();
+
+  return blocks;
+}
+
+// Split plain text at the last newline, then the last space, before the
+// limit; hard-cut only when a single word is longer than the limit.
+function splitLongText(text, limit) {
+  const pieces = [];
+  let rest = text;
+  while (rest.length > limit) {
+    let cut = rest.lastIndexOf('\n', limit);
+    if (cut <= 0) cut = rest.lastIndexOf(' ', limit);
+    const separator = cut > 0 ? 1 : 0;
+    if (cut <= 0) cut = limit;
+    pieces.push(rest.slice(0, cut).trimEnd());
+    rest = rest.slice(cut + separator);
+  }
+  if (rest) pieces.push(rest);
+  return pieces.filter(piece => piece.trim());
+}
+
+function splitFence(fence, limit) {
+  const overhead = fence.open.length + fence.close.length + 2;
+  const available = limit - overhead;
+  const body = fence.body.join('\n');
+  if (available <= 0) return splitLongText(`${fence.open}\n${body}\n${fence.close}`, limit);
+
+  return splitLongText(body, available).map(piece => `${fence.open}\n${piece}\n${fence.close}`);
+}
+
+function splitTable(text, header, limit) {
+  const available = limit - header.length - 1;
+  const rows = text.slice(header.length + 1);
+  if (available <= 0) return splitLongText(text, limit);
+
+  return splitLongText(rows, available).map(piece => `${header}\n${piece}`);
+}
+
+/**
+ * Split Markdown into chunks of at most `limit` characters.
+ *
+ * @param {string} text
+ * @param {number} [limit]
+ * @returns {string[]}
+ */
+function chunkMarkdown(text, limit = DEFAULT_MAX_MESSAGE_LENGTH) {
+  if (!text) return [];
+  if (text.length <= limit) return [text];
+
+  const chunks = [];
+  let current = '';
+
+  for (const block of splitBlocks(text)) {
+    const candidate = current ? `${current}\n\n${block.text}` : block.text;
+    if (candidate.length <= limit) {
+      current = candidate;
+      continue;
+    }
+
+    if (current) chunks.push(current);
+    current = '';
+
+    if (block.text.length <= limit) {
+      current = block.text;
+      continue;
+    }
+
+    const pieces = block.fence ? splitFence(block.fence, limit)
+      : block.tableHeader ? splitTable(block.text, block.tableHeader, limit)
+        : splitLongText(block.text, limit);
+    chunks.push(...pieces.slice(0, -1));
+    current = pieces[pieces.length - 1] ?? '';
+  }
+  if (current) chunks.push(current);
+
+  return chunks;
+}
+
+module.exports = { chunkMarkdown, DEFAULT_MAX_MESSAGE_LENGTH };
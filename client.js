@@ -0,0 +1,229 @@
+/**
+ * Zulip API Client
+ *
+ * One client per account (realm + bot email). Requests go through a small
+ * concurrency-limited queue, honor Zulip's rate-limit headers, back off and
+ * retry on 429 and 5xx, and time out. Failures that never produce a Zulip
+ * JSON body (timeouts, network errors, proxy pages) are thrown as
+ * ZulipApiError; Zulip error bodies are returned as-is, with their `code`.
+ */
+
+const DEFAULT_TIMEOUT_MS = 30_000;
+const DEFAULT_MAX_CONCURRENT = 4;
+const DEFAULT_MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 30_000;
+
+// Retrying a failed POST could duplicate a message; 429s are safe to retry
+// because the server rejected the request before acting on it.
+const IDEMPOTENT_METHODS = new Set(['GET', 'PATCH', 'DELETE']);
+
+class ZulipApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {string} [details.code] - Zulip error code (e.g. BAD_EVENT_QUEUE_ID,
+   *   RATE_LIMIT_HIT) or a client-side code (TIMEOUT, NETWORK_ERROR,
+   *   SERVER_ERROR, BAD_RESPONSE)
+   * @param {number} [details.status] - HTTP status, when a response arrived
+   * @param {string} [details.endpoint]
+   * @param {number} [details.retryAfterMs]
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ZulipApiError';
+    this.code = details.code ?? 'UNKNOWN';
+    this.status = details.status;
+    this.endpoint = details.endpoint;
+    this.retryAfterMs = details.retryAfterMs;
+  }
+
+  // Build from a `{ result: 'error', msg, code }` response body
+  static fromResult(result, endpoint) {
+    return new ZulipApiError(result?.msg ?? 'Unknown Zulip error', { code: result?.code, endpoint });
+  }
+}
+
+function authHeader(creds) {
+  return `Basic ${Buffer.from(`${creds.email}:${creds.apiKey}`).toString('base64')}`;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function backoffMs(attempt) {
+  const delay = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+function getHeader(response, name) {
+  return response.headers?.get?.(name) ?? null;
+}
+
+function createZulipClient(creds, opts = {}) {
+  const maxConcurrent = opts.maxConcurrent ?? DEFAULT_MAX_CONCURRENT;
+  const maxRetries = opts.maxRetries ?? DEFAULT_MAX_RETRIES;
+  const defaultTimeoutMs = opts.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+
+  let active = 0;
+  const waiting = [];
+  // No requests before this time (ms epoch); set by rate-limit headers and 429s
+  let pausedUntil = 0;
+
+  const acquire = () => new Promise(resolve => {
+    if (active < maxConcurrent) {
+      active++;
+      resolve();
+    } else {
+      waiting.push(resolve);
+    }
+  });
+
+  const release = () => {
+    const next = waiting.shift();
+    if (next) next();
+    else active--;
+  };
+
+  const noteRateLimit = (response) => {
+    const remaining = getHeader(response, 'x-ratelimit-remaining');
+    const reset = getHeader(response, 'x-ratelimit-reset');
+    if (remaining !== null && Number(remaining) <= 0 && reset !== null) {
+      pausedUntil = Math.max(pausedUntil, Number(reset) * 1000);
+    }
+  };
+
+  const retryAfterMs = (response, body, attempt) => {
+    const header = getHeader(response, 'retry-after');
+    const seconds = header !== null ? Number(header) : Number(body?.['retry-after']);
+    return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : backoffMs(attempt);
+  };
+
+  const buildRequest = (endpoint, method, data) => {
+    const url = new URL(`/api/v1${endpoint}`, creds.site);
+    const headers = { 'Authorization': authHeader(creds) };
+
+    let body;
+    if (data instanceof FormData) {
+      // fetch sets the multipart boundary itself
+      body = data;
+    } else if (data && (method === 'POST' || method === 'PATCH' || method === 'DELETE')) {
+      headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      body = new URLSearchParams(data).toString();
+    }
+
+    return { url: url.toString(), init: { method, headers, body } };
+  };
+
+  const send = async (endpoint, method, data, reqOpts) => {
+    const { url, init } = buildRequest(endpoint, method, data);
+    const timeoutMs = reqOpts.timeoutMs ?? defaultTimeoutMs;
+    const retryable = IDEMPOTENT_METHODS.has(method) && !reqOpts.longPoll;
+
+    for (let attempt = 0; ; attempt++) {
+      const wait = pausedUntil - Date.now();
+      if (wait > 0) await sleep(wait);
+
+      let response;
+      try {
+        response = await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+      } catch (err) {
+        const timedOut = err.name === 'TimeoutError';
+        const error = new ZulipApiError(
+          timedOut ? `Request to ${endpoint} timed out after ${timeoutMs}ms` : `Request to ${endpoint} failed: ${err.message}`,
+          { code: timedOut ? 'TIMEOUT' : 'NETWORK_ERROR', endpoint },
+        );
+        if (retryable && attempt < maxRetries) {
+          await sleep(backoffMs(attempt));
+          continue;
+        }
+        throw error;
+      }
+
+      noteRateLimit(response);
+      const status = response.status ?? 200;
+
+      if (status >= 500) {
+        if (retryable && attempt < maxRetries) {
+          await sleep(backoffMs(attempt));
+          continue;
+        }
+        throw new ZulipApiError(`Zulip server error (HTTP ${status}) from ${endpoint}`, { code: 'SERVER_ERROR', status, endpoint });
+      }
+
+      let body;
+      try {
+        body = await response.json();
+      } catch {
+        // A proxy's rate-limit page is still a rate limit
+        if (status !== 429) {
+          throw new ZulipApiError(`Invalid JSON response (HTTP ${status}) from ${endpoint}`, { code: 'BAD_RESPONSE', status, endpoint });
+        }
+      }
+
+      if (status === 429) {
+        const delay = retryAfterMs(response, body, attempt);
+        pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+        if (attempt < maxRetries) continue;
+        throw new ZulipApiError(body?.msg ?? 'Rate limit exceeded', { code: body?.code ?? 'RATE_LIMIT_HIT', status, endpoint, retryAfterMs: delay });
+      }
+
+      return body;
+    }
+  };
+
+  return {
+    creds,
+
+    /**
+     * Make an API request. Returns the parsed Zulip response body, including
+     * `{ result: 'error', msg, code }` bodies; throws ZulipApiError when no
+     * usable response arrives.
+     *
+     * @param {string} endpoint - Path under /api/v1, with query string
+     * @param {string} [method]
+     * @param {object|FormData} [data]
+     * @param {object} [reqOpts]
+     * @param {number} [reqOpts.timeoutMs]
+     * @param {boolean} [reqOpts.longPoll] - Skip the queue and never retry (for /events)
+     */
+    request: async (endpoint, method = 'GET', data, reqOpts = {}) => {
+      // A long-poll would hold a queue slot for a minute or more
+      if (reqOpts.longPoll) return send(endpoint, method, data, reqOpts);
+
+      await acquire();
+      try {
+        return await send(endpoint, method, data, reqOpts);
+      } finally {
+        release();
+      }
+    },
+  };
+}
+
+// One client per realm + bot, so queue and rate-limit state are shared by
+// every caller using the same account
+const clients = new Map();
+
+function getZulipClient(creds) {
+  const key = `${creds.site}|${creds.email}|${creds.apiKey}`;
+  let client = clients.get(key);
+  if (!client) {
+    client = createZulipClient(creds);
+    clients.set(key, client);
+  }
+  return client;
+}
+
+async function zulipApi(creds, endpoint, method = 'GET', data, opts = {}) {
+  return getZulipClient(creds).request(endpoint, method, data, opts);
+}
+
+module.exports = {
+  ZulipApiError,
+  createZulipClient,
+  getZulipClient,
+  zulipApi,
+  authHeader,
+};
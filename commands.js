@@ -0,0 +1,95 @@
+/**
+ * In-chat commands
+ *
+ * Messages such as `/reset`, `/persona muse`, `/status`, `/help`, or
+ * `@bot help` are answered by the plugin instead of the agent. A command may
+ * follow mentions of the bot or its persona bots, but not of anyone else. A
+ * bare `help` is only a command after such a mention. Anything else that
+ * starts with `/` goes to the agent as usual.
+ */
+
+const COMMANDS = {
+  help: {
+    usage: '/help',
+    description: 'list these commands',
+    authorized: false,
+  },
+  reset: {
+    usage: '/reset',
+    description: 'start a new session for this topic or DM; earlier messages are left out of the context',
+    authorized: true,
+  },
+  persona: {
+    usage: '/persona [name|auto]',
+    description: "show or switch this conversation's persona; `auto` goes back to routing",
+    authorized: true,
+  },
+  status: {
+    usage: '/status',
+    description: "show the bot's connection, this conversation's session and persona, and its context and style settings",
+    authorized: true,
+  },
+};
+
+// One leading mention: `@**Bot**`, `@**Bot|12**`, silent `@_**Bot**`
+const LEADING_MENTION = /^\s*@_?\*\*([^*|]+)(?:\|(\d+))?\*\*[\s,:]*/;
+
+/**
+ * Recognize a command in a message's Markdown.
+ *
+ * @param {string} text
+ * @param {object} [bots] - Who counts as the bot in leading mentions
+ * @param {string[]} [bots.names] - Full names of the bot and its persona bots
+ * @param {number[]} [bots.userIds]
+ * @returns {{ name: string, args: string } | null}
+ */
+function parseCommand(text, { names = [], userIds = [] } = {}) {
+  const botNames = names.filter(Boolean).map(name => name.toLowerCase());
+  let stripped = String(text ?? '');
+  let mentioned = false;
+  for (let match = LEADING_MENTION.exec(stripped); match; match = LEADING_MENTION.exec(stripped)) {
+    const isBot = match[2] ? userIds.includes(Number(match[2])) : botNames.includes(match[1].trim().toLowerCase());
+    if (!isBot) return null;
+    mentioned = true;
+    stripped = stripped.slice(match[0].length);
+  }
+  stripped = stripped.trim();
+
+  if (mentioned && /^help[.!?]?$/i.test(stripped)) return { name: 'help', args: '' };
+  const match = /^\/([a-z]+)(?:\s+([\s\S]*))?$/i.exec(stripped);
+  if (!match) return null;
+  const name = match[1].toLowerCase();
+  if (!COMMANDS[name]) return null;
+  return { name, args: (match[2] ?? '').trim() };
+}
+
+// Whether the sender may run a command
+function isCommandAllowed(name, commandAuthorized) {
+  return !COMMANDS[name].authorized || commandAuthorized === true;
+}
+
+function formatHelp({ commandAuthorized }) {
+  const lines = Object.values(COMMANDS)
+    .filter(command => !command.authorized || commandAuthorized)
+    .map(command => `- \`${command.usage}\` — ${command.description}`);
+  const note = commandAuthorized ? '' : '\n\nOther commands need the bot operator to allow you.';
+  return `Commands:\n${lines.join('\n')}${note}\n\nAnything else goes to the agent.`;
+}
+
+function formatDuration(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+module.exports = {
+  COMMANDS,
+  parseCommand,
+  isCommandAllowed,
+  formatHelp,
+  formatDuration,
+};
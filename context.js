@@ -0,0 +1,270 @@
+/**
+ * Conversation context for the agent
+ *
+ * Builds the history block passed as `ThreadStarterBody`: the most recent
+ * messages of a topic or DM within a budget of messages and characters,
+ * optionally the topic's opening message, and a short summary of the
+ * history just before the budget.
+ *
+ * Fetched history is cached per conversation and kept current from the
+ * event queue (new messages, edits, reactions, deletions), so a busy topic
+ * costs one `/messages` call rather than one per inbound message.
+ */
+
+const { zulipApi } = require('./client.js');
+const { zulipHtmlToMarkdown } = require('./markdown.js');
+
+const DEFAULT_CONTEXT_MESSAGES = 15;
+// Messages before the budget that are fetched and cached for the summary
+const SUMMARY_WINDOW = 50;
+const SUMMARY_EXCERPTS = 5;
+const EXCERPT_LENGTH = 100;
+const MAX_FETCH = 1000;
+const MAX_CACHED_CONVERSATIONS = 200;
+
+/**
+ * Merge context settings, most specific last. `false` turns the context off.
+ * @returns {{ maxMessages: number, maxChars: number|null, includeFirst: boolean, summary: boolean } | null}
+ */
+function resolveContextOptions(...layers) {
+  let merged = {};
+  for (const layer of layers) {
+    if (layer === false) return null;
+    if (layer && typeof layer === 'object') merged = { ...merged, ...layer };
+  }
+  const positive = (value) => (Number.isInteger(value) && value > 0 ? value : null);
+  return {
+    maxMessages: positive(merged.maxMessages) ?? DEFAULT_CONTEXT_MESSAGES,
+    maxChars: positive(merged.maxChars),
+    includeFirst: merged.includeFirst === true,
+    summary: merged.summary !== false,
+  };
+}
+
+/**
+ * Per-conversation message cache, kept current by the caller from events.
+ * Conversation keys are opaque to the cache.
+ */
+function createContextCache({ maxConversations = MAX_CACHED_CONVERSATIONS } = {}) {
+  // key -> { messages (ascending IDs), foundOldest, opening }
+  const conversations = new Map();
+  // message ID -> key
+  const index = new Map();
+
+  const touch = (key) => {
+    const entry = conversations.get(key);
+    if (entry) {
+      conversations.delete(key);
+      conversations.set(key, entry);
+    }
+    return entry;
+  };
+
+  const forget = (key) => {
+    const entry = conversations.get(key);
+    if (!entry) return;
+    for (const m of entry.messages) index.delete(m.id);
+    conversations.delete(key);
+  };
+
+  const findMessage = (id) => {
+    const entry = conversations.get(index.get(id));
+    return entry?.messages.find(m => m.id === id);
+  };
+
+  return {
+    get: touch,
+
+    // Replace a conversation's history with freshly fetched messages
+    store(key, messages, { foundOldest, keep }) {
+      forget(key);
+      const sorted = [...messages].sort((a, b) => a.id - b.id);
+      const kept = sorted.slice(-keep);
+      const entry = { messages: kept, foundOldest: foundOldest && kept.length === sorted.length, opening: undefined, keep };
+      for (const m of kept) index.set(m.id, key);
+      conversations.set(key, entry);
+      while (conversations.size > maxConversations) forget(conversations.keys().next().value);
+      return entry;
+    },
+
+    // A new message; only conversations already cached are kept current
+    record(key, msg) {
+      const entry = conversations.get(key);
+      if (!entry || index.has(msg.id)) return;
+      if (entry.messages.length > 0 && msg.id < entry.messages[entry.messages.length - 1].id) {
+        // Out of order (a backfill): the cached window may have a gap
+        forget(key);
+        return;
+      }
+      entry.messages.push(msg);
+      index.set(msg.id, key);
+      if (entry.messages.length > entry.keep) {
+        index.delete(entry.messages.shift().id);
+        entry.foundOldest = false;
+      }
+    },
+
+    edit(id, { content, editTimestamp }) {
+      const m = findMessage(id);
+      if (!m) return;
+      if (content !== undefined) m.content = content;
+      if (editTimestamp !== undefined) m.last_edit_timestamp = editTimestamp;
+    },
+
+    react(id, { op, userId, emojiName, emojiCode, reactionType }) {
+      const m = findMessage(id);
+      if (!m) return;
+      const reactions = m.reactions ?? [];
+      m.reactions = op === 'add'
+        ? [...reactions, { emoji_name: emojiName, emoji_code: emojiCode, reaction_type: reactionType, user_id: userId }]
+        : reactions.filter(r => !(r.emoji_name === emojiName && (r.user_id ?? r.user?.id) === userId));
+    },
+
+    remove(id) {
+      const key = index.get(id);
+      const entry = conversations.get(key);
+      if (!entry) return;
+      entry.messages = entry.messages.filter(m => m.id !== id);
+      if (entry.opening?.id === id) entry.opening = undefined;
+      index.delete(id);
+    },
+
+    forget,
+
+    clear() {
+      conversations.clear();
+      index.clear();
+    },
+  };
+}
+
+async function fetchMessages(creds, narrow, { anchor, numBefore, numAfter = 0 }) {
+  const qs = new URLSearchParams({
+    narrow: JSON.stringify(narrow),
+    anchor: String(anchor),
+    num_before: String(numBefore),
+    num_after: String(numAfter),
+  }).toString();
+  return zulipApi(creds, `/messages?${qs}`);
+}
+
+function firstLine(text) {
+  const line = text.split('\n').find(l => l.trim() !== '')?.trim() ?? '';
+  return line.length > EXCERPT_LENGTH ? `${line.slice(0, EXCERPT_LENGTH - 1)}…` : line;
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp * 1000).toISOString().slice(0, 10);
+}
+
+// A few lines on the history before the budget: size, dates, who spoke,
+// and the first line of the latest few messages
+function summarizeOlder(older, { moreBefore, render, describeSender }) {
+  if (older.length === 0) return null;
+  const counts = new Map();
+  for (const m of older) {
+    const name = describeSender(m);
+    counts.set(name, (counts.get(name) ?? 0) + 1);
+  }
+  const people = [...counts].sort((a, b) => b[1] - a[1]).map(([name, n]) => `${name} (${n})`).join(', ');
+  const first = formatDate(older[0].timestamp);
+  const last = formatDate(older[older.length - 1].timestamp);
+  const span = first === last ? first : `${first} to ${last}`;
+  const count = `${moreBefore ? 'at least ' : ''}${older.length} earlier message${older.length === 1 ? '' : 's'}`;
+  const excerpts = older.slice(-SUMMARY_EXCERPTS).map(m => `- [${describeSender(m)}] ${firstLine(render(m))}`);
+  return `Summary of ${count} (${span}) from ${people}. Latest of them:\n${excerpts.join('\n')}`;
+}
+
+/**
+ * Build the context block for a conversation.
+ *
+ * @param {object} params
+ * @param {object} params.creds
+ * @param {object} params.cache - From createContextCache()
+ * @param {string} params.key - Conversation key for the cache
+ * @param {object[]} params.narrow - Narrow selecting the conversation
+ * @param {number} params.anchorId - Newest message to include
+ * @param {object} params.options - From resolveContextOptions()
+ * @param {boolean} [params.isTopic] - Whether the conversation has an opening message worth showing
+ * @param {string} params.label - Heading for the recent messages
+ * @param {(m: object) => string} params.describeSender
+ * @param {Set<number>} [params.exclude] - Message IDs to leave out (deleted)
+ * @param {number} [params.after] - Leave out this message and everything before it (a session reset)
+ * @returns {Promise<string|undefined>}
+ */
+async function buildContext({ creds, cache, key, narrow, anchorId, options, isTopic, label, describeSender, exclude, after }) {
+  const keep = Math.min(options.maxMessages + (options.summary ? SUMMARY_WINDOW : 0), MAX_FETCH);
+
+  // Use the cache when it reaches far enough back from the anchor
+  let entry = cache.get(key);
+  const coversAnchor = (e) => {
+    const before = e.messages.filter(m => m.id <= anchorId);
+    return e.messages.length > 0 && e.messages[e.messages.length - 1].id >= anchorId
+      && (e.foundOldest || before.length >= keep || (after && e.messages[0].id <= after));
+  };
+  let history;
+  let foundOldest;
+  if (entry && coversAnchor(entry)) {
+    history = entry.messages.filter(m => m.id <= anchorId);
+    foundOldest = entry.foundOldest;
+  } else {
+    const result = await fetchMessages(creds, narrow, { anchor: anchorId, numBefore: keep });
+    if (result.result !== 'success') return undefined;
+    history = result.messages ?? [];
+    foundOldest = result.found_oldest === true;
+    // Only the latest window is worth keeping current
+    const newest = entry?.messages[entry.messages.length - 1]?.id ?? 0;
+    if (anchorId >= newest) entry = cache.store(key, history, { foundOldest, keep });
+  }
+  // After a reset the conversation starts over
+  if (after && history.some(m => m.id <= after)) foundOldest = true;
+  history = history.filter(m => !exclude?.has(m.id) && !(after && m.id <= after)).sort((a, b) => a.id - b.id);
+  if (history.length === 0) return undefined;
+
+  const render = (m) => zulipHtmlToMarkdown(m.content, { site: creds.site });
+  const formatLine = (m) => {
+    const edited = m.last_edit_timestamp ? ' (edited)' : '';
+    const reactions = (m.reactions ?? []).map(r => r.emoji_name);
+    const reactStr = reactions.length > 0 ? ` [reacts: ${reactions.join(', ')}]` : '';
+    return `[${describeSender(m)}] (id:${m.id})${edited} ${render(m)}${reactStr}`;
+  };
+
+  // Newest first until either budget runs out; the anchor always fits
+  const recent = [];
+  let chars = 0;
+  for (let i = history.length - 1; i >= 0 && recent.length < options.maxMessages; i--) {
+    const line = formatLine(history[i]);
+    if (options.maxChars && recent.length > 0 && chars + line.length > options.maxChars) break;
+    recent.unshift({ msg: history[i], line });
+    chars += line.length;
+  }
+  const older = history.slice(0, history.length - recent.length);
+
+  // The topic's opening message, fetched once per cached topic
+  let opening = null;
+  if (options.includeFirst && isTopic && !after && !(foundOldest && older.length === 0)) {
+    opening = foundOldest ? history[0] : entry?.opening;
+    if (opening === undefined) {
+      const result = await fetchMessages(creds, narrow, { anchor: 'oldest', numBefore: 0, numAfter: 1 });
+      opening = result.result === 'success' ? (result.messages?.[0] ?? null) : null;
+      if (entry && result.result === 'success') entry.opening = opening;
+    }
+    if (opening && (exclude?.has(opening.id) || recent.some(r => r.msg.id === opening.id))) opening = null;
+  }
+
+  const sections = [];
+  if (opening) sections.push(`Opening message of this topic:\n${formatLine(opening)}`);
+  if (options.summary) {
+    const summarized = older.filter(m => m.id !== opening?.id);
+    const summary = summarizeOlder(summarized, { moreBefore: !foundOldest, render, describeSender });
+    if (summary) sections.push(summary);
+  }
+  sections.push(`${label}:\n${recent.map(r => r.line).join('\n')}`);
+  return sections.join('\n\n');
+}
+
+module.exports = {
+  resolveContextOptions,
+  createContextCache,
+  buildContext,
+};
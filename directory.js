@@ -0,0 +1,166 @@
+/**
+ * Zulip directory: subscribed streams, recent topics, and realm users
+ *
+ * Lookups are cached per account for a few minutes (topics for less, since
+ * they change with every new conversation). `resolveTarget` maps what a
+ * person or agent types — a display name, `#stream`, an email, or an ID —
+ * to the canonical `stream:<name>` / `private:<email>` targets used for
+ * sending, and refuses names that match more than one stream or user.
+ */
+
+const { zulipApi, ZulipApiError } = require('./client.js');
+
+const DIRECTORY_CACHE_MS = 5 * 60_000;
+const TOPIC_CACHE_MS = 60_000;
+
+// `${site}|${email}|${kind}` -> { fetchedAt, value }
+const directoryCache = new Map();
+
+async function cached(creds, kind, ttlMs, load) {
+  const key = `${creds.site}|${creds.email}|${kind}`;
+  const entry = directoryCache.get(key);
+  if (entry && Date.now() - entry.fetchedAt < ttlMs) return entry.value;
+
+  const value = await load();
+  directoryCache.set(key, { fetchedAt: Date.now(), value });
+  return value;
+}
+
+function clearDirectoryCache() {
+  directoryCache.clear();
+}
+
+function checkResult(result, endpoint) {
+  if (result.result !== 'success') throw ZulipApiError.fromResult(result, endpoint);
+  return result;
+}
+
+/**
+ * Streams the bot is subscribed to.
+ * @returns {Promise<Array<{ id: number, name: string, description: string }>>}
+ */
+async function listStreams(creds) {
+  return cached(creds, 'streams', DIRECTORY_CACHE_MS, async () => {
+    const result = checkResult(await zulipApi(creds, '/users/me/subscriptions'), '/users/me/subscriptions');
+    return (result.subscriptions ?? []).map(s => ({ id: s.stream_id, name: s.name, description: s.description ?? '' }));
+  });
+}
+
+/**
+ * Topics in a stream, most recently active first.
+ * @returns {Promise<Array<{ name: string, lastMessageId: number }>>}
+ */
+async function listTopics(creds, streamId) {
+  return cached(creds, `topics:${streamId}`, TOPIC_CACHE_MS, async () => {
+    const endpoint = `/users/me/${streamId}/topics`;
+    const result = checkResult(await zulipApi(creds, endpoint), endpoint);
+    return (result.topics ?? []).map(t => ({ name: t.name, lastMessageId: t.max_id }));
+  });
+}
+
+/**
+ * Active users in the realm, bots included.
+ * @returns {Promise<Array<{ id: number, email: string, fullName: string, isBot: boolean }>>}
+ */
+async function listUsers(creds) {
+  return cached(creds, 'users', DIRECTORY_CACHE_MS, async () => {
+    const result = checkResult(await zulipApi(creds, '/users'), '/users');
+    return (result.members ?? [])
+      .filter(u => u.is_active !== false)
+      .map(u => ({ id: u.user_id, email: u.email, fullName: u.full_name, isBot: Boolean(u.is_bot) }));
+  });
+}
+
+async function findStream(creds, nameOrId) {
+  const streams = await listStreams(creds);
+  if (/^\d+$/.test(nameOrId)) return streams.find(s => s.id === Number(nameOrId)) ?? null;
+  return streams.find(s => s.name.toLowerCase() === nameOrId.toLowerCase()) ?? null;
+}
+
+function streamTarget(stream) {
+  return { ok: true, kind: 'stream', to: `stream:${stream.name}`, name: stream.name, id: stream.id };
+}
+
+function userTarget(user) {
+  return { ok: true, kind: 'user', to: `private:${user.email}`, name: user.fullName, id: user.id };
+}
+
+function ambiguous(input, candidates) {
+  const names = candidates.map(c => (c.kind === 'stream' ? `#${c.name}` : `${c.name} <${c.to.slice('private:'.length)}>`));
+  return { ok: false, error: `"${input}" is ambiguous: ${names.join(', ')}`, code: 'AMBIGUOUS_TARGET', candidates };
+}
+
+function notFound(input) {
+  return { ok: false, error: `No stream or user matches "${input}"`, code: 'UNKNOWN_TARGET' };
+}
+
+/**
+ * Resolve a target to `stream:<name>` or `private:<email>`.
+ *
+ * Accepts `stream:<name|id>`, `#<name>`, `private:<email|id>`, `user:<id>`,
+ * `@<name>`, an email, a bare ID, or a display name. Bare IDs and names
+ * may refer to a stream or a user; a match on both (or on several users
+ * with the same name) is reported as ambiguous.
+ *
+ * @returns {Promise<{ ok: true, kind: 'stream'|'user', to: string, name: string, id: number }
+ *   | { ok: false, error: string, code: string, candidates?: object[] }>}
+ */
+async function resolveTarget(creds, input) {
+  const raw = String(input ?? '').trim();
+  if (!raw) return { ok: false, error: 'Empty target', code: 'INVALID_TARGET' };
+
+  const prefixed = /^(stream|private|user):(.+)$/i.exec(raw);
+  if (prefixed) {
+    const [, prefix, value] = prefixed;
+    if (prefix.toLowerCase() === 'stream') {
+      const stream = await findStream(creds, value.trim());
+      if (stream) return streamTarget(stream);
+      // The bot may post to public streams it isn't subscribed to
+      if (!/^\d+$/.test(value.trim())) return { ok: true, kind: 'stream', to: `stream:${value.trim()}`, name: value.trim() };
+      return { ok: false, error: `No subscribed stream has ID ${value}`, code: 'UNKNOWN_TARGET' };
+    }
+    return resolveUser(creds, value.trim(), raw);
+  }
+
+  if (raw.startsWith('#')) {
+    const stream = await findStream(creds, raw.slice(1).replace(/^\*\*|\*\*$/g, ''));
+    return stream ? streamTarget(stream) : notFound(raw);
+  }
+  if (raw.startsWith('@')) {
+    return resolveUser(creds, raw.slice(1).replace(/^\*\*|\*\*$/g, ''), raw);
+  }
+  if (raw.includes('@')) return resolveUser(creds, raw, raw);
+
+  const stream = await findStream(creds, raw);
+  const user = await resolveUser(creds, raw, raw);
+  if (stream && user.ok) return ambiguous(raw, [streamTarget(stream), user]);
+  if (stream) return streamTarget(stream);
+  if (user.ok || user.code === 'AMBIGUOUS_TARGET') return user;
+  return notFound(raw);
+}
+
+async function resolveUser(creds, value, input) {
+  const users = await listUsers(creds);
+  let matches;
+  if (/^\d+$/.test(value)) {
+    matches = users.filter(u => u.id === Number(value));
+  } else if (value.includes('@')) {
+    matches = users.filter(u => u.email.toLowerCase() === value.toLowerCase());
+    // Emails hidden by realm settings still work as send targets
+    if (matches.length === 0) return { ok: true, kind: 'user', to: `private:${value}`, name: value };
+  } else {
+    matches = users.filter(u => u.fullName.toLowerCase() === value.toLowerCase());
+  }
+
+  if (matches.length === 1) return userTarget(matches[0]);
+  if (matches.length > 1) return ambiguous(input, matches.map(userTarget));
+  return { ok: false, error: `No user matches "${value}"`, code: 'UNKNOWN_TARGET' };
+}
+
+module.exports = {
+  listStreams,
+  listTopics,
+  listUsers,
+  resolveTarget,
+  clearDirectoryCache,
+};
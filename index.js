@@ -4,15 +4,43 @@
  * Registers the Zulip channel plugin, tools, and services with OpenClaw.
  */
 
-const { zulipPlugin, loadCredentials, zulipApi, setPluginRuntime } = require('./plugin.js');
+const {
+  zulipPlugin,
+  resolveCredentials,
+  noAccountError,
+  zulipApi,
+  runManagementAction,
+  setPluginRuntime,
+  ZulipApiError,
+} = require('./plugin.js');
+const { searchMessages } = require('./search.js');
+const { getUserProfile, getUserPresence } = require('./users.js');
 
 function jsonResult(payload) {
   return { content: [{ type: 'text', text: JSON.stringify(payload, null, 2) }] };
 }
 
+const accountParam = { type: 'string', description: 'Zulip account ID (defaults to the configured default account)' };
+const confirmParam = { type: 'boolean', description: 'Confirm a move that was refused with CONFIRMATION_REQUIRED (ask the user first)' };
+
+// Report request-layer failures (timeouts, exhausted retries) as tool results
+function withApiErrors(execute) {
+  return async (toolCallId, params) => {
+    try {
+      return await execute(toolCallId, params);
+    } catch (err) {
+      if (err instanceof ZulipApiError) return jsonResult({ ok: false, error: err.message, code: err.code });
+      throw err;
+    }
+  };
+}
+
 function register(api) {
   const logger = api.logger ?? console;
 
+  // Tools resolve credentials against the live config so account edits apply without re-registering
+  const loadConfig = () => api.runtime?.config?.loadConfig?.() ?? api.config ?? {};
+
   // Store the plugin runtime so the gateway can dispatch inbound messages
   setPluginRuntime(api.runtime);
 
@@ -27,28 +55,29 @@ function register(api) {
       parameters: {
         type: 'object',
         properties: {
-          stream: { type: 'string', description: 'Stream name' },
-          topic: { type: 'string', description: 'Topic (required for streams)' },
-          user: { type: 'string', description: 'User email (for DMs)' },
+          to: { type: 'string', description: 'Target: stream:name/topic, #**stream>topic**, a user email, name, or ID, comma-separated users for a group DM, or a Zulip narrow URL' },
+          stream: { type: 'string', description: 'Stream name (instead of to)' },
+          topic: { type: 'string', description: 'Topic for streams (default chat)' },
+          user: { type: 'string', description: 'User email (for DMs, instead of to)' },
           message: { type: 'string', description: 'Message content' },
+          account: accountParam,
         },
         required: ['message'],
       },
-      execute: async (toolCallId, params) => {
-        const creds = loadCredentials();
-        if (!creds) return jsonResult({ error: 'No Zulip credentials configured' });
-
-        if (params.stream) {
-          const data = { type: 'stream', to: params.stream, content: params.message, topic: params.topic ?? 'general' };
-          const result = await zulipApi(creds, '/messages', 'POST', data);
-          return jsonResult(result.result === 'success' ? { ok: true, messageId: result.id } : { ok: false, error: result.msg });
-        } else if (params.user) {
-          const data = { type: 'private', to: params.user, content: params.message };
-          const result = await zulipApi(creds, '/messages', 'POST', data);
-          return jsonResult(result.result === 'success' ? { ok: true, messageId: result.id } : { ok: false, error: result.msg });
-        }
-        return jsonResult({ error: 'Must specify either stream or user' });
-      },
+      execute: withApiErrors(async (toolCallId, params) => {
+        const to = params.to
+          ?? (params.stream ? `stream:${String(params.stream).replace(/^stream:/, '')}` : undefined)
+          ?? (params.user ? `private:${String(params.user).replace(/^private:/, '')}` : undefined);
+        if (!to) return jsonResult({ error: 'Must specify to, stream, or user' });
+
+        const result = await zulipPlugin.actions.handleAction({
+          action: 'send',
+          params: { to, topic: params.topic, message: params.message },
+          cfg: loadConfig(),
+          accountId: params.account,
+        });
+        return jsonResult(result.ok ? { ok: true, messageId: result.messageId } : result);
+      }),
     }, { name: 'zulip_send' });
 
     api.registerTool({
@@ -57,43 +86,110 @@ function register(api) {
       parameters: {
         type: 'object',
         properties: {
-          stream: { type: 'string', description: 'Stream name' },
+          stream: { type: 'string', description: 'Stream name, `stream:<name>/<topic>`, `#**stream>topic**`, or a narrow URL' },
           topic: { type: 'string', description: 'Topic (optional filter)' },
           limit: { type: 'number', description: 'Number of messages (default 10)' },
+          account: accountParam,
         },
         required: ['stream'],
       },
-      execute: async (toolCallId, params) => {
-        const creds = loadCredentials();
-        if (!creds) return jsonResult({ error: 'No Zulip credentials configured' });
+      execute: withApiErrors(async (toolCallId, params) => jsonResult(await zulipPlugin.actions.handleAction({
+        action: 'read',
+        params: { stream: params.stream, topic: params.topic, limit: params.limit },
+        cfg: loadConfig(),
+        accountId: params.account,
+      }))),
+    }, { name: 'zulip_read' });
 
-        const narrow = [{ operator: 'stream', operand: params.stream }];
-        if (params.topic) narrow.push({ operator: 'topic', operand: params.topic });
+    api.registerTool({
+      name: 'zulip_search',
+      description: 'Search Zulip messages by keyword, stream, topic, sender, and filters. Results include highlights and permalinks; pass a returned cursor to get the next page. after/before filter the fetched messages: a search skips up to 5 pages looking for the date range, so no messages with a cursor means keep paging, not nothing found.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Keywords (full-text search)' },
+          stream: { type: 'string', description: 'Limit to one stream (omit to search across streams)' },
+          topic: { type: 'string', description: 'Limit to one topic' },
+          sender: { type: 'string', description: 'Sender email or user ID' },
+          has: { type: 'array', items: { type: 'string', enum: ['link', 'attachment', 'image', 'reaction'] }, description: 'Messages that have these' },
+          is: { type: 'array', items: { type: 'string', enum: ['starred', 'mentioned', 'alerted', 'unread', 'resolved', 'dm', 'followed'] }, description: 'Messages that are these' },
+          after: { type: 'string', description: 'Only messages at or after this date (ISO 8601)' },
+          before: { type: 'string', description: 'Only messages before this date (ISO 8601)' },
+          public: { type: 'boolean', description: 'Search all public streams, including ones the bot is not subscribed to' },
+          limit: { type: 'number', description: 'Messages per page (default 20, max 100)' },
+          anchor: { type: 'string', description: 'newest (default), oldest, or a message ID to page back from' },
+          near: { type: 'string', description: 'Message ID to center the page on' },
+          cursor: { type: 'string', description: 'Cursor from a previous search (cursors.older or cursors.newer)' },
+          account: accountParam,
+        },
+      },
+      execute: withApiErrors(async (toolCallId, params) => {
+        const creds = resolveCredentials(loadConfig(), params.account);
+        if (!creds) return jsonResult({ error: noAccountError(params.account) });
 
-        const qs = new URLSearchParams({
-          narrow: JSON.stringify(narrow),
-          num_before: String(params.limit ?? 10),
-          num_after: '0',
-          anchor: 'newest',
-        }).toString();
+        return jsonResult(await searchMessages(creds, params));
+      }),
+    }, { name: 'zulip_search' });
 
-        const result = await zulipApi(creds, `/messages?${qs}`);
-        if (result.result === 'success') {
-          return jsonResult({
-            ok: true,
-            messages: (result.messages ?? []).reverse().map(m => ({
-              id: m.id,
-              sender: m.sender_full_name,
-              topic: m.subject,
-              content: m.content.replace(/<[^>]*>/g, ''),
-              timestamp: m.timestamp,
-              reactions: (m.reactions ?? []).map(r => ({ emoji: r.emoji_name, user: r.user.full_name })),
-            })),
-          });
-        }
-        return jsonResult({ ok: false, error: result.msg });
+    api.registerTool({
+      name: 'zulip_user',
+      description: "Look up a Zulip user's profile: full name, role, custom profile fields, and timezone with their current local time",
+      parameters: {
+        type: 'object',
+        properties: {
+          user: { type: 'string', description: 'User ID, email, or full name' },
+          account: accountParam,
+        },
+        required: ['user'],
       },
-    }, { name: 'zulip_read' });
+      execute: withApiErrors(async (toolCallId, params) => {
+        const creds = resolveCredentials(loadConfig(), params.account);
+        if (!creds) return jsonResult({ error: noAccountError(params.account) });
+
+        return jsonResult(await getUserProfile(creds, params.user));
+      }),
+    }, { name: 'zulip_user' });
+
+    api.registerTool({
+      name: 'zulip_presence',
+      description: 'Check whether a Zulip user is active, idle, or offline, with their status message and local time',
+      parameters: {
+        type: 'object',
+        properties: {
+          user: { type: 'string', description: 'User ID, email, or full name' },
+          account: accountParam,
+        },
+        required: ['user'],
+      },
+      execute: withApiErrors(async (toolCallId, params) => {
+        const creds = resolveCredentials(loadConfig(), params.account);
+        if (!creds) return jsonResult({ error: noAccountError(params.account) });
+
+        return jsonResult(await getUserPresence(creds, params.user));
+      }),
+    }, { name: 'zulip_presence' });
+
+    api.registerTool({
+      name: 'zulip_schedule',
+      description: 'Schedule a Zulip message for later, change or cancel a scheduled message, or list pending ones. Times without an offset are read in the DM recipient\'s timezone.',
+      parameters: {
+        type: 'object',
+        properties: {
+          action: { type: 'string', enum: ['schedule', 'list', 'cancel'], description: 'What to do (default schedule)' },
+          to: { type: 'string', description: 'Target: stream:name, a user email or name, or comma-separated users for a group DM' },
+          message: { type: 'string', description: 'Message content' },
+          topic: { type: 'string', description: 'Topic for stream messages' },
+          at: { type: 'string', description: 'When to send: ISO timestamp, "in 2 hours", "+30m", or "friday 9:00"' },
+          timezone: { type: 'string', description: 'IANA timezone for times without an offset (e.g., Europe/Berlin)' },
+          scheduledMessageId: { type: 'string', description: 'Scheduled message to change (with schedule) or cancel' },
+          account: accountParam,
+        },
+      },
+      execute: withApiErrors(async (toolCallId, params) => {
+        const action = { list: 'list-scheduled', cancel: 'cancel-scheduled' }[params.action] ?? 'schedule';
+        return jsonResult(await zulipPlugin.actions.handleAction({ action, params, cfg: loadConfig(), accountId: params.account }));
+      }),
+    }, { name: 'zulip_schedule' });
 
     api.registerTool({
       name: 'zulip_react',
@@ -104,21 +200,134 @@ function register(api) {
           messageId: { type: 'string', description: 'Message ID' },
           emoji: { type: 'string', description: 'Emoji name (e.g., heart, thumbs_up)' },
           remove: { type: 'boolean', description: 'Remove reaction instead of adding' },
+          account: accountParam,
         },
         required: ['messageId', 'emoji'],
       },
-      execute: async (toolCallId, params) => {
-        const creds = loadCredentials();
-        if (!creds) return jsonResult({ error: 'No Zulip credentials configured' });
+      execute: withApiErrors(async (toolCallId, params) => {
+        const creds = resolveCredentials(loadConfig(), params.account);
+        if (!creds) return jsonResult({ error: noAccountError(params.account) });
 
         const method = params.remove ? 'DELETE' : 'POST';
         const result = await zulipApi(creds, `/messages/${params.messageId}/reactions`, method, { emoji_name: params.emoji });
         if (result.result === 'success') {
           return jsonResult({ ok: true, emoji: params.emoji, messageId: params.messageId });
         }
-        return jsonResult({ ok: false, error: result.msg ?? 'Unknown error' });
-      },
+        return jsonResult({ ok: false, error: result.msg ?? 'Unknown error', code: result.code });
+      }),
     }, { name: 'zulip_react' });
+
+    // Stream and topic management; each tool maps to a `handleAction` action
+    const manage = (chooseAction) => withApiErrors(async (toolCallId, params) => {
+      const cfg = loadConfig();
+      const creds = resolveCredentials(cfg, params.account);
+      if (!creds) return jsonResult({ error: noAccountError(params.account) });
+
+      const account = zulipPlugin.config.resolveAccount(cfg, params.account);
+      return jsonResult(await runManagementAction(creds, chooseAction(params), params, { cfg, account }));
+    });
+
+    api.registerTool({
+      name: 'zulip_move_topic',
+      description: 'Rename a Zulip topic or move it to another stream. Moves to another stream, or into an existing topic, need confirm: true.',
+      parameters: {
+        type: 'object',
+        properties: {
+          stream: { type: 'string', description: 'Current stream name' },
+          topic: { type: 'string', description: 'Current topic' },
+          newTopic: { type: 'string', description: 'New topic name (defaults to the current one)' },
+          newStream: { type: 'string', description: 'Stream to move the topic to' },
+          propagateMode: { type: 'string', enum: ['change_all', 'change_later', 'change_one'], description: 'Which messages to move (default change_all)' },
+          messageId: { type: 'string', description: 'Message to start from (required for change_later and change_one)' },
+          notifyOldTopic: { type: 'boolean', description: 'Post a notice in the old topic' },
+          notifyNewTopic: { type: 'boolean', description: 'Post a notice in the new topic' },
+          confirm: confirmParam,
+          account: accountParam,
+        },
+        required: ['stream', 'topic'],
+      },
+      execute: manage(() => 'move-topic'),
+    }, { name: 'zulip_move_topic' });
+
+    api.registerTool({
+      name: 'zulip_resolve_topic',
+      description: 'Mark a Zulip topic as resolved (✔) or unresolved',
+      parameters: {
+        type: 'object',
+        properties: {
+          stream: { type: 'string', description: 'Stream name' },
+          topic: { type: 'string', description: 'Topic' },
+          unresolve: { type: 'boolean', description: 'Mark as unresolved instead' },
+          account: accountParam,
+        },
+        required: ['stream', 'topic'],
+      },
+      execute: manage(params => (params.unresolve ? 'unresolve-topic' : 'resolve-topic')),
+    }, { name: 'zulip_resolve_topic' });
+
+    api.registerTool({
+      name: 'zulip_create_stream',
+      description: 'Create a Zulip stream',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Stream name' },
+          description: { type: 'string', description: 'Stream description' },
+          private: { type: 'boolean', description: 'Create an invite-only stream' },
+          users: { type: 'array', items: { type: 'string' }, description: 'Emails or user IDs to subscribe (the bot is always subscribed)' },
+          account: accountParam,
+        },
+        required: ['name'],
+      },
+      execute: manage(() => 'create-stream'),
+    }, { name: 'zulip_create_stream' });
+
+    api.registerTool({
+      name: 'zulip_subscriptions',
+      description: 'Subscribe or unsubscribe the bot or other users to Zulip streams',
+      parameters: {
+        type: 'object',
+        properties: {
+          op: { type: 'string', enum: ['subscribe', 'unsubscribe'], description: 'Operation' },
+          streams: { type: 'array', items: { type: 'string' }, description: 'Stream names' },
+          users: { type: 'array', items: { type: 'string' }, description: 'Emails or user IDs (defaults to the bot)' },
+          account: accountParam,
+        },
+        required: ['op', 'streams'],
+      },
+      execute: manage(params => (params.op === 'unsubscribe' ? 'unsubscribe' : 'subscribe')),
+    }, { name: 'zulip_subscriptions' });
+
+    api.registerTool({
+      name: 'zulip_mute_topic',
+      description: "Mute or unmute a Zulip topic for the bot's account",
+      parameters: {
+        type: 'object',
+        properties: {
+          stream: { type: 'string', description: 'Stream name' },
+          topic: { type: 'string', description: 'Topic' },
+          unmute: { type: 'boolean', description: 'Unmute instead' },
+          account: accountParam,
+        },
+        required: ['stream', 'topic'],
+      },
+      execute: manage(params => (params.unmute ? 'unmute-topic' : 'mute-topic')),
+    }, { name: 'zulip_mute_topic' });
+
+    api.registerTool({
+      name: 'zulip_mark_read',
+      description: 'Mark a Zulip stream, or one topic in it, as read',
+      parameters: {
+        type: 'object',
+        properties: {
+          stream: { type: 'string', description: 'Stream name' },
+          topic: { type: 'string', description: 'Topic (optional; defaults to the whole stream)' },
+          account: accountParam,
+        },
+        required: ['stream'],
+      },
+      execute: manage(() => 'mark-read'),
+    }, { name: 'zulip_mark_read' });
   }
 
   logger.info('[zulip] Plugin registered');
@@ -0,0 +1,90 @@
+/**
+ * JSON config files that are validated, cached, and watched
+ *
+ * The first load reads and validates the file; after that it is re-read
+ * whenever it changes on disk, so edits apply without a restart. An invalid
+ * edit is reported and ignored, keeping the last good value. A missing file
+ * loads as null. Also home to the path and shape helpers the config modules
+ * share.
+ */
+
+const { readFileSync, existsSync, watchFile, unwatchFile } = require('fs');
+const { join } = require('path');
+const { homedir } = require('os');
+
+const WATCH_INTERVAL_MS = 2000;
+
+// path -> { config }
+const watchedFiles = new Map();
+
+// OpenClaw's config directory, `~/.openclaw` unless OPENCLAW_STATE_DIR is set
+function openclawDir() {
+  return process.env.OPENCLAW_STATE_DIR ?? join(homedir(), '.openclaw');
+}
+
+function expandHome(path) {
+  return path.replace(/^~/, homedir());
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// A single value or a list, as a list
+function asList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function readJsonFile(path, validate) {
+  if (!existsSync(path)) return { ok: true, config: null };
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (err) {
+    return { ok: false, errors: [`not valid JSON: ${err.message}`] };
+  }
+  return validate(raw);
+}
+
+function reload(path, entry, validate, label) {
+  const result = readJsonFile(path, validate);
+  if (result.ok) {
+    entry.config = result.config;
+    return;
+  }
+  const kept = entry.config ? `keeping the previous ${label}` : `${label} are off`;
+  console.warn(`[zulip] Invalid ${label} config ${path} (${kept}):\n  - ${result.errors.join('\n  - ')}`);
+}
+
+/**
+ * Load a watched JSON file.
+ *
+ * @param {string} path
+ * @param {(raw: any) => ({ ok: true, config: any } | { ok: false, errors: string[] })} validate
+ * @param {string} label - What the file configures, for log messages (plural)
+ * @returns {any} The validated config, or null
+ */
+function loadWatchedJson(path, validate, label) {
+  let entry = watchedFiles.get(path);
+  if (!entry) {
+    entry = { config: null };
+    reload(path, entry, validate, label);
+    watchedFiles.set(path, entry);
+    watchFile(path, { interval: WATCH_INTERVAL_MS, persistent: false }, () => reload(path, entry, validate, label));
+  }
+  return entry.config;
+}
+
+function clearWatchedJson() {
+  for (const path of watchedFiles.keys()) unwatchFile(path);
+  watchedFiles.clear();
+}
+
+module.exports = {
+  loadWatchedJson,
+  clearWatchedJson,
+  openclawDir,
+  expandHome,
+  isObject,
+  asList,
+};
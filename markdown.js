@@ -0,0 +1,329 @@
+/**
+ * Zulip HTML → Markdown
+ *
+ * Converts the HTML Zulip renders for a message back into Zulip-flavored
+ * Markdown, so the agent sees what the sender actually wrote: code fences,
+ * links, quotes, mentions, spoilers, math, and emoji survive the trip.
+ */
+
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'input', 'meta', 'link', 'wbr', 'col', 'source']);
+
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'pre', 'blockquote', 'ul', 'ol', 'table', 'hr',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+]);
+
+// Link previews and media embeds duplicate a link already present in the text
+const SKIPPED_CLASSES = [
+  'message_inline_image',
+  'message_inline_ref',
+  'message_embed',
+  'inline-preview-twitter',
+  'youtube-video',
+  'vimeo-video',
+  'embed-video',
+];
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1] === 'x' || code[1] === 'X'
+        ? parseInt(code.slice(2), 16)
+        : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+// --- Parsing ---
+
+function parseAttrs(source) {
+  const attrs = {};
+  for (const match of source.matchAll(/([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g)) {
+    attrs[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attrs;
+}
+
+function parseHtml(html) {
+  const root = { tag: '#root', attrs: {}, children: [] };
+  const stack = [root];
+  // Comments match none of the capture groups and are dropped
+  const tokens = /<!--[\s\S]*?-->|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>|([^<]+|<)/g;
+
+  for (const [, closeTag, openTag, attrSource, selfClose, text] of html.matchAll(tokens)) {
+    const parent = stack[stack.length - 1];
+
+    if (text !== undefined) {
+      parent.children.push({ tag: '#text', text: decodeEntities(text) });
+    } else if (openTag) {
+      const tag = openTag.toLowerCase();
+      const node = { tag, attrs: parseAttrs(attrSource ?? ''), children: [] };
+      parent.children.push(node);
+      if (!selfClose && !VOID_TAGS.has(tag)) stack.push(node);
+    } else if (closeTag) {
+      const tag = closeTag.toLowerCase();
+      const index = stack.map(n => n.tag).lastIndexOf(tag);
+      if (index > 0) stack.length = index;
+    }
+  }
+
+  return root;
+}
+
+// --- Rendering ---
+
+function hasClass(node, className) {
+  return (node.attrs?.class ?? '').split(/\s+/).includes(className);
+}
+
+function textContent(node) {
+  if (node.tag === '#text') return node.text;
+  return node.children.map(textContent).join('');
+}
+
+function findNode(node, predicate) {
+  if (predicate(node)) return node;
+  for (const child of node.children ?? []) {
+    const found = findNode(child, predicate);
+    if (found) return found;
+  }
+  return null;
+}
+
+function isBlock(node) {
+  return BLOCK_TAGS.has(node.tag) || (node.tag === 'span' && hasClass(node, 'katex-display'));
+}
+
+function fenceFor(content, char = '`') {
+  const longest = Math.max(0, ...(content.match(new RegExp(`${char}+`, 'g')) ?? []).map(run => run.length));
+  return char.repeat(Math.max(3, longest + 1));
+}
+
+function cleanInline(text) {
+  return text.replace(/[ \t]*\n[ \t]*/g, '\n').trim();
+}
+
+function resolveHref(href, ctx) {
+  if (!href || !ctx.site || /^[a-z][\w+.-]*:/i.test(href)) return href;
+  try {
+    return new URL(href, ctx.site).toString();
+  } catch {
+    return href;
+  }
+}
+
+function texSource(node) {
+  const annotation = findNode(node, n => n.tag === 'annotation' && n.attrs.encoding === 'application/x-tex');
+  return annotation ? textContent(annotation).trim() : textContent(node).trim();
+}
+
+function renderCodeBlock(pre, language) {
+  const code = textContent(findNode(pre, n => n.tag === 'code') ?? pre).replace(/\n$/, '');
+  const fence = fenceFor(code);
+  return `${fence}${language ?? ''}\n${code}\n${fence}`;
+}
+
+function renderList(node, ctx) {
+  let number = Number(node.attrs.start ?? 1);
+  return node.children
+    .filter(child => child.tag === 'li')
+    .map(item => {
+      const marker = node.tag === 'ol' ? `${number++}. ` : '- ';
+      const indent = ' '.repeat(marker.length);
+      const lines = renderBlocks(item.children, ctx, '\n').split('\n');
+      return lines.map((line, i) => (i === 0 ? marker + line : (line ? indent + line : line))).join('\n');
+    })
+    .join('\n');
+}
+
+function renderTable(node, ctx) {
+  const rows = [];
+  const collectRows = (parent) => {
+    for (const child of parent.children) {
+      if (child.tag === 'tr') rows.push(child);
+      else if (child.children) collectRows(child);
+    }
+  };
+  collectRows(node);
+  if (rows.length === 0) return '';
+
+  const lines = rows.map(row => {
+    const cells = row.children
+      .filter(cell => cell.tag === 'th' || cell.tag === 'td')
+      .map(cell => cleanInline(renderInline(cell.children, ctx)).replace(/\n/g, ' ').replace(/\|/g, '\\|'));
+    return cells;
+  });
+  const width = Math.max(...lines.map(cells => cells.length));
+  const format = (cells) => `| ${[...cells, ...Array(width - cells.length).fill('')].join(' | ')} |`;
+
+  return [format(lines[0]), format(Array(width).fill('---')), ...lines.slice(1).map(format)].join('\n');
+}
+
+function renderSpoiler(node, ctx) {
+  const header = findNode(node, n => hasClass(n, 'spoiler-header'));
+  const content = findNode(node, n => hasClass(n, 'spoiler-content'));
+  const title = header ? renderBlocks(header.children, ctx).replace(/\n+/g, ' ') : '';
+  const body = content ? renderBlocks(content.children, ctx) : '';
+  const fence = fenceFor(body);
+  return `${fence}spoiler${title ? ` ${title}` : ''}\n${body}\n${fence}`;
+}
+
+function renderBlock(node, ctx) {
+  const { tag } = node;
+
+  if (tag === 'pre') return renderCodeBlock(node);
+  if (tag === 'hr') return '---';
+  if (tag === 'ul' || tag === 'ol') return renderList(node, ctx);
+  if (tag === 'table') return renderTable(node, ctx);
+
+  if (/^h[1-6]$/.test(tag)) {
+    return `${'#'.repeat(Number(tag[1]))} ${cleanInline(renderInline(node.children, ctx))}`;
+  }
+
+  if (tag === 'blockquote') {
+    return renderBlocks(node.children, ctx)
+      .split('\n')
+      .map(line => (line ? `> ${line}` : '>'))
+      .join('\n');
+  }
+
+  if (tag === 'span') {
+    // katex-display
+    const tex = texSource(node);
+    const fence = fenceFor(tex);
+    return `${fence}math\n${tex}\n${fence}`;
+  }
+
+  if (tag === 'div') {
+    if (SKIPPED_CLASSES.some(cls => hasClass(node, cls))) return '';
+    if (hasClass(node, 'codehilite')) {
+      const pre = findNode(node, n => n.tag === 'pre');
+      return pre ? renderCodeBlock(pre, node.attrs['data-code-language']?.toLowerCase()) : '';
+    }
+    if (hasClass(node, 'spoiler-block')) return renderSpoiler(node, ctx);
+  }
+
+  return renderBlocks(node.children, ctx);
+}
+
+function renderInlineNode(node, ctx) {
+  const { tag } = node;
+
+  if (tag === '#text') return node.text.replace(/\s+/g, ' ');
+  if (tag === 'br') return '\n';
+
+  const inner = () => renderInline(node.children, ctx);
+
+  switch (tag) {
+    case 'strong':
+    case 'b':
+      return `**${inner()}**`;
+    case 'em':
+    case 'i':
+      return `*${inner()}*`;
+    case 'del':
+    case 's':
+      return `~~${inner()}~~`;
+    case 'code': {
+      const code = textContent(node);
+      const fence = '`'.repeat(Math.max(0, ...(code.match(/`+/g) ?? []).map(run => run.length)) + 1);
+      const pad = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+      return `${fence}${pad}${code}${pad}${fence}`;
+    }
+    case 'time':
+      return node.attrs.datetime ? `<time:${node.attrs.datetime}>` : inner();
+    case 'img':
+      if (hasClass(node, 'emoji')) return node.attrs.alt ?? '';
+      return node.attrs.src ? `![${node.attrs.alt ?? ''}](${resolveHref(node.attrs.src, ctx)})` : '';
+    case 'a': {
+      const text = textContent(node).trim();
+      if (hasClass(node, 'stream-topic')) {
+        const [stream, ...topic] = text.replace(/^#/, '').split(' > ');
+        return `#**${stream}>${topic.join(' > ')}**`;
+      }
+      if (hasClass(node, 'stream')) return `#**${text.replace(/^#/, '')}**`;
+
+      const href = resolveHref(node.attrs.href, ctx);
+      const label = cleanInline(inner());
+      if (!href) return label;
+      if (!label || label === href || label === node.attrs.href) return href;
+      return `[${label}](${href})`;
+    }
+    case 'span': {
+      const text = textContent(node).trim();
+      const silent = hasClass(node, 'silent') ? '_' : '';
+      if (hasClass(node, 'user-mention')) return `@${silent}**${text.replace(/^@/, '')}**`;
+      if (hasClass(node, 'user-group-mention')) return `@${silent}*${text.replace(/^@/, '')}*`;
+      if (hasClass(node, 'topic-mention')) return `@${silent}**${text.replace(/^@/, '')}**`;
+      if (hasClass(node, 'katex')) return `$$${texSource(node)}$$`;
+      if (hasClass(node, 'emoji')) return text;
+      return inner();
+    }
+    default:
+      return inner();
+  }
+}
+
+function renderInline(nodes, ctx) {
+  return nodes.map(node => renderInlineNode(node, ctx)).join('');
+}
+
+function renderBlocks(nodes, ctx, separator = '\n\n') {
+  const blocks = [];
+  let inline = [];
+
+  const flush = () => {
+    const text = cleanInline(renderInline(inline, ctx));
+    if (text) blocks.push(text);
+    inline = [];
+  };
+
+  for (const node of nodes) {
+    if (isBlock(node)) {
+      flush();
+      const block = renderBlock(node, ctx);
+      if (block.trim()) blocks.push(block);
+    } else {
+      inline.push(node);
+    }
+  }
+  flush();
+
+  return blocks.join(separator);
+}
+
+/**
+ * Convert Zulip's rendered message HTML to Markdown.
+ *
+ * @param {string} html - `content` of a message fetched with apply_markdown=true
+ * @param {object} [opts]
+ * @param {string} [opts.site] - Realm URL used to absolutize relative links
+ * @returns {string}
+ */
+function zulipHtmlToMarkdown(html, opts = {}) {
+  if (!html) return '';
+  return renderBlocks(parseHtml(html).children, { site: opts.site });
+}
+
+module.exports = { zulipHtmlToMarkdown, decodeEntities };
@@ -0,0 +1,257 @@
+/**
+ * Persona configuration and routing
+ *
+ * Personas live in `~/.openclaw/secrets/zulip-personas.json` (under
+ * `$OPENCLAW_STATE_DIR` when set). The file is validated when it is read,
+ * then cached and watched: edits apply without a restart, and an invalid
+ * edit is reported and ignored, keeping the last good configuration.
+ *
+ * A message is routed to a persona by, in order: a trigger word naming one
+ * of the stream's personas, the persona the topic started with, the first
+ * matching rule (stream, topic pattern, sender, DM), the stream's default,
+ * and the file's default. With none of those there is no persona.
+ */
+
+const { readFileSync, statSync } = require('fs');
+const { join, isAbsolute } = require('path');
+const { loadWatchedJson, clearWatchedJson, openclawDir, expandHome, isObject, asList } = require('./jsonfile.js');
+
+const RULE_FIELDS = ['stream', 'topic', 'sender', 'dm', 'persona'];
+
+// persona file path -> { mtimeMs, content }
+const contentCache = new Map();
+
+function defaultPersonasPath() {
+  return join(openclawDir(), 'secrets', 'zulip-personas.json');
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim() !== '');
+}
+
+/**
+ * Check a parsed personas file and normalize it for routing.
+ * @returns {{ ok: true, config: object } | { ok: false, errors: string[] }}
+ */
+function validatePersonasConfig(raw) {
+  if (!isObject(raw)) return { ok: false, errors: ['must be a JSON object'] };
+  if (!isObject(raw.personas)) return { ok: false, errors: ['personas must be an object of persona entries'] };
+
+  const errors = [];
+  const known = (id) => typeof id === 'string' && Object.prototype.hasOwnProperty.call(raw.personas, id);
+
+  if (raw.personasDir !== undefined && typeof raw.personasDir !== 'string') {
+    errors.push('personasDir must be a string');
+  }
+  const personasDir = typeof raw.personasDir === 'string' ? expandHome(raw.personasDir) : null;
+
+  const personas = {};
+  for (const [id, entry] of Object.entries(raw.personas)) {
+    const where = `personas.${id}`;
+    if (!isObject(entry)) {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+    if (typeof entry.file !== 'string' || entry.file === '') {
+      errors.push(`${where}.file must be a file name`);
+    } else if (!personasDir && !isAbsolute(expandHome(entry.file))) {
+      errors.push(`${where}.file is a relative path, so personasDir is required`);
+    }
+    if (entry.triggers !== undefined && !isStringList(entry.triggers)) {
+      errors.push(`${where}.triggers must be a list of words`);
+    }
+    if (entry.name !== undefined && typeof entry.name !== 'string') {
+      errors.push(`${where}.name must be a string`);
+    }
+    if (entry.bot !== undefined && !(isObject(entry.bot) && typeof entry.bot.email === 'string')) {
+      errors.push(`${where}.bot must be an object with an email`);
+    }
+    personas[id] = { ...entry, triggers: isStringList(entry.triggers) ? entry.triggers : [] };
+  }
+
+  // Stream entries: a list of personas (the first is the default when there
+  // is only one), or { personas, default }
+  const streams = {};
+  if (raw.streams !== undefined && !isObject(raw.streams)) errors.push('streams must be an object');
+  for (const [name, entry] of Object.entries(isObject(raw.streams) ? raw.streams : {})) {
+    const where = `streams.${name}`;
+    const normalized = Array.isArray(entry)
+      ? { personas: entry, default: entry.length === 1 ? entry[0] : null }
+      : isObject(entry) ? { personas: entry.personas ?? [], default: entry.default ?? null } : null;
+    if (!normalized || !Array.isArray(normalized.personas)) {
+      errors.push(`${where} must be a list of personas or { personas, default }`);
+      continue;
+    }
+    for (const id of normalized.personas) {
+      if (!known(id)) errors.push(`${where} refers to unknown persona "${id}"`);
+    }
+    if (!Array.isArray(entry) && normalized.default !== null && !known(normalized.default)) {
+      errors.push(`${where}.default refers to unknown persona "${normalized.default}"`);
+    }
+    streams[name.toLowerCase()] = normalized;
+  }
+
+  const rules = [];
+  if (raw.rules !== undefined && !Array.isArray(raw.rules)) errors.push('rules must be a list');
+  (Array.isArray(raw.rules) ? raw.rules : []).forEach((rule, i) => {
+    const where = `rules[${i}]`;
+    if (!isObject(rule)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    for (const field of Object.keys(rule)) {
+      if (!RULE_FIELDS.includes(field)) errors.push(`${where} has unknown field "${field}"`);
+    }
+    if (!known(rule.persona)) errors.push(`${where}.persona refers to unknown persona "${rule.persona}"`);
+    if (rule.stream !== undefined && !isStringList(asList(rule.stream))) {
+      errors.push(`${where}.stream must be a stream name or a list of them`);
+    }
+    if (rule.sender !== undefined && !asList(rule.sender).every(s => typeof s === 'string' || typeof s === 'number')) {
+      errors.push(`${where}.sender must be an email, a user ID, or a list of them`);
+    }
+    if (rule.dm !== undefined && typeof rule.dm !== 'boolean') errors.push(`${where}.dm must be true or false`);
+
+    let topic = null;
+    if (rule.topic !== undefined) {
+      try {
+        topic = new RegExp(rule.topic, 'i');
+      } catch (err) {
+        errors.push(`${where}.topic is not a valid pattern: ${err.message}`);
+      }
+    }
+    rules.push({
+      persona: rule.persona,
+      streams: rule.stream === undefined ? null : asList(rule.stream).map(s => String(s).toLowerCase()),
+      topic,
+      senders: rule.sender === undefined ? null : asList(rule.sender).map(s => String(s).toLowerCase()),
+      dm: rule.dm ?? null,
+    });
+  });
+
+  if (raw.default !== undefined && !known(raw.default)) {
+    errors.push(`default refers to unknown persona "${raw.default}"`);
+  }
+
+  if (errors.length > 0) return { ok: false, errors };
+  return { ok: true, config: { personasDir, personas, streams, rules, default: raw.default ?? null } };
+}
+
+/**
+ * The validated personas config, or null when there is none. The file is
+ * read once, then re-read whenever it changes.
+ */
+function loadPersonasConfig(path = defaultPersonasPath()) {
+  return loadWatchedJson(path, validatePersonasConfig, 'personas');
+}
+
+function clearPersonasCache() {
+  clearWatchedJson();
+  contentCache.clear();
+}
+
+function findStream(config, streamName) {
+  return config.streams[String(streamName).toLowerCase()] ?? config.streams['*'] ?? null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The candidate whose trigger word appears first in the message
+function findTriggeredPersona(config, candidates, text) {
+  let best = null;
+  for (const id of candidates) {
+    for (const trigger of config.personas[id]?.triggers ?? []) {
+      const match = new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegExp(trigger)}(?=$|[^\\p{L}\\p{N}_])`, 'iu').exec(text);
+      if (match && (!best || match.index < best.index)) best = { id, index: match.index };
+    }
+  }
+  return best?.id ?? null;
+}
+
+function ruleMatches(rule, { stream, topic, sender, isDirect }) {
+  if (rule.dm !== null && rule.dm !== isDirect) return false;
+  if (rule.streams && (isDirect || !rule.streams.some(s => s === '*' || s === String(stream).toLowerCase()))) return false;
+  if (rule.topic && (isDirect || !rule.topic.test(topic))) return false;
+  if (rule.senders && !rule.senders.some(s => s === String(sender?.id) || s === sender?.email?.toLowerCase())) return false;
+  return true;
+}
+
+/**
+ * Pick the persona for a message.
+ *
+ * @param {object} config - From loadPersonasConfig()
+ * @param {object} message
+ * @param {string} [message.stream]
+ * @param {string} [message.topic]
+ * @param {{ id: number, email: string }} message.sender
+ * @param {boolean} message.isDirect
+ * @param {string} message.text
+ * @param {string} [message.sticky] - The persona the topic started with
+ * @returns {{ personaId: string, source: string } | null}
+ */
+function resolvePersona(config, { stream, topic, sender, isDirect, text, sticky }) {
+  if (!config) return null;
+  const streamEntry = isDirect ? null : findStream(config, stream);
+  const candidates = streamEntry?.personas.length > 0 ? streamEntry.personas : Object.keys(config.personas);
+
+  const triggered = findTriggeredPersona(config, candidates, text ?? '');
+  if (triggered) return { personaId: triggered, source: 'trigger' };
+
+  if (sticky && config.personas[sticky]) return { personaId: sticky, source: 'topic' };
+
+  const rule = config.rules.find(r => ruleMatches(r, { stream, topic, sender, isDirect }));
+  if (rule) return { personaId: rule.persona, source: 'rule' };
+
+  if (streamEntry?.default) return { personaId: streamEntry.default, source: 'stream default' };
+  if (config.default) return { personaId: config.default, source: 'default' };
+  return null;
+}
+
+function personaDisplayName(config, personaId) {
+  const persona = config?.personas[personaId];
+  return persona?.name ?? persona?.triggers[0] ?? personaId;
+}
+
+// A persona by ID, name, or trigger word, ignoring case
+function findPersona(config, nameOrId) {
+  const wanted = String(nameOrId ?? '').trim().toLowerCase();
+  if (!wanted || !config) return null;
+  const ids = Object.keys(config.personas);
+  return ids.find(id => id.toLowerCase() === wanted)
+    ?? ids.find(id => config.personas[id].name?.toLowerCase() === wanted)
+    ?? ids.find(id => config.personas[id].triggers.some(t => t.toLowerCase() === wanted))
+    ?? null;
+}
+
+// Persona file contents, re-read only when the file changes
+function loadPersonaContent(config, personaId) {
+  const persona = config?.personas[personaId];
+  if (!persona) return null;
+
+  const file = expandHome(persona.file);
+  const filePath = isAbsolute(file) ? file : join(config.personasDir, file);
+
+  try {
+    const { mtimeMs } = statSync(filePath);
+    const entry = contentCache.get(filePath);
+    if (entry?.mtimeMs === mtimeMs) return entry.content;
+    const content = readFileSync(filePath, 'utf-8');
+    contentCache.set(filePath, { mtimeMs, content });
+    return content;
+  } catch (err) {
+    console.warn(`[zulip] Failed to read persona file ${filePath}: ${err.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  loadPersonasConfig,
+  validatePersonasConfig,
+  resolvePersona,
+  personaDisplayName,
+  findPersona,
+  loadPersonaContent,
+  clearPersonasCache,
+  defaultPersonasPath,
+};
@@ -5,9 +5,25 @@
  * reactions, and persona support.
  */
 
-const { readFileSync, existsSync } = require('fs');
-const { join } = require('path');
-const { homedir } = require('os');
+const { readFileSync, existsSync, writeFileSync, mkdirSync } = require('fs');
+const { readFile, writeFile, mkdir } = require('fs/promises');
+const { join, dirname, basename, extname } = require('path');
+const { tmpdir } = require('os');
+const { randomUUID } = require('crypto');
+const { fileURLToPath } = require('url');
+const { zulipApi, authHeader, ZulipApiError } = require('./client.js');
+const { openclawDir, expandHome } = require('./jsonfile.js');
+const { zulipHtmlToMarkdown } = require('./markdown.js');
+const { chunkMarkdown, DEFAULT_MAX_MESSAGE_LENGTH } = require('./chunker.js');
+const { listStreams, listTopics, listUsers, resolveTarget } = require('./directory.js');
+const { loadPersonasConfig, resolvePersona, personaDisplayName, findPersona, loadPersonaContent } = require('./personas.js');
+const { resolveContextOptions, createContextCache, buildContext } = require('./context.js');
+const { loadStyleRules, resolveStyle, formatStyleInstructions, enforceStyle, createReplyBudget } = require('./style.js');
+const { searchMessages } = require('./search.js');
+const { parseTarget, normalizeTarget, formatStreamTarget, resolveSendTarget, streamReadNarrow } = require('./targets.js');
+const { parseCommand, isCommandAllowed, formatHelp, formatDuration } = require('./commands.js');
+const { getUserProfile, getUserPresence } = require('./users.js');
+const { scheduleMessage, listScheduledMessages, cancelScheduledMessage } = require('./schedule.js');
 
 // --- Plugin Runtime (set during registration) ---
 
@@ -22,10 +38,16 @@ function getPluginRuntime() {
   return pluginRuntime;
 }
 
+// Read config fresh so policy edits apply without restarting the poller
+function loadLiveConfig(ctx) {
+  return pluginRuntime?.config?.loadConfig?.() ?? ctx?.cfg ?? {};
+}
+
 // --- Credentials ---
 
-function loadCredentials() {
-  const secretsPath = join(homedir(), '.openclaw', 'secrets', 'zulip.env');
+const DEFAULT_ACCOUNT_ID = 'default';
+
+function loadCredentials(secretsPath = join(openclawDir(), 'secrets', 'zulip.env')) {
   if (!existsSync(secretsPath)) return null;
 
   const content = readFileSync(secretsPath, 'utf-8');
@@ -40,93 +62,1216 @@ function loadCredentials() {
   return (creds.email && creds.apiKey && creds.site) ? creds : null;
 }
 
-// --- Persona Routing (Optional) ---
+// Named accounts live under `channels.zulip.accounts` in the OpenClaw config:
+//
+//   channels: {
+//     zulip: {
+//       defaultAccount: 'ops',
+//       accounts: {
+//         ops: { site: 'https://a.zulipchat.com', email: 'ops-bot@...', apiKeyEnv: 'ZULIP_OPS_KEY' },
+//         research: { site: 'https://b.zulipchat.com', email: 'bot@...', apiKeyFile: '~/.openclaw/secrets/research.key' },
+//       },
+//     },
+//   }
+//
+// Without any configured accounts we fall back to the single `default`
+// account read from ~/.openclaw/secrets/zulip.env.
+
+function getChannelConfig(cfg) {
+  return cfg?.channels?.zulip ?? {};
+}
+
+function getConfiguredAccounts(cfg) {
+  const accounts = getChannelConfig(cfg).accounts;
+  return accounts && typeof accounts === 'object' ? accounts : {};
+}
+
+function resolveApiKey(entry) {
+  if (entry.apiKey) return entry.apiKey;
+  if (entry.apiKeyEnv) return process.env[entry.apiKeyEnv] ?? null;
+  if (entry.apiKeyFile) {
+    const keyPath = expandHome(entry.apiKeyFile);
+    if (!existsSync(keyPath)) {
+      console.warn(`[zulip] API key file not found: ${keyPath}`);
+      return null;
+    }
+    return readFileSync(keyPath, 'utf-8').trim() || null;
+  }
+  return null;
+}
+
+function accountCredentials(account) {
+  return { email: account.email, apiKey: account.apiKey, site: account.site };
+}
+
+function noAccountError(accountId) {
+  return accountId
+    ? `No Zulip account configured for "${accountId}"`
+    : 'No Zulip account configured';
+}
 
-function loadPersonasConfig() {
-  const configPath = join(homedir(), '.openclaw', 'secrets', 'zulip-personas.json');
-  if (!existsSync(configPath)) return null;
+function resolveCredentials(cfg, accountId) {
+  const account = zulipPlugin.config.resolveAccount(cfg, accountId);
+  if (!account || account.enabled === false || !zulipPlugin.config.isConfigured(account)) return null;
+  return accountCredentials(account);
+}
 
+// --- Stream Policy ---
+
+// How the bot decides whether to answer a stream message:
+//   mention — only when @-mentioned (default)
+//   joined  — when mentioned, or in a topic the bot has already posted in
+//   always  — every message
+//   never   — stay silent
+//
+// Configured per stream under `channels.zulip.streams` (or per account):
+//
+//   streams: { '*': { reply: 'mention' }, support: { reply: 'always' } },
+//   allowStreams: ['support', 'general'],
+//   denyStreams: ['random'],
+const REPLY_MODES = ['mention', 'joined', 'always', 'never'];
+const DEFAULT_STREAM_REPLY = 'mention';
+
+function getAccountSetting(cfg, account, key) {
+  return account?.config?.[key] ?? getChannelConfig(cfg)[key];
+}
+
+function findStreamEntry(entries, streamName) {
+  const key = Object.keys(entries ?? {}).find(k => k.toLowerCase() === String(streamName).toLowerCase());
+  return key !== undefined ? entries[key] : undefined;
+}
+
+function streamListIncludes(list, streamName) {
+  return list.some(name => name === '*' || name.toLowerCase() === String(streamName).toLowerCase());
+}
+
+function resolveStreamPolicy(cfg, account, streamName) {
+  const allow = getAccountSetting(cfg, account, 'allowStreams') ?? [];
+  const deny = getAccountSetting(cfg, account, 'denyStreams') ?? [];
+  const allowed = (allow.length === 0 || streamListIncludes(allow, streamName))
+    && !streamListIncludes(deny, streamName);
+
+  const accountStreams = account?.config?.streams;
+  const channelStreams = getChannelConfig(cfg).streams;
+  const entry = findStreamEntry(accountStreams, streamName)
+    ?? findStreamEntry(channelStreams, streamName)
+    ?? accountStreams?.['*']
+    ?? channelStreams?.['*']
+    ?? {};
+  const reply = REPLY_MODES.includes(entry.reply) ? entry.reply : DEFAULT_STREAM_REPLY;
+
+  return { allowed, reply, config: entry };
+}
+
+function isBotMentioned({ flags, text, botName }) {
+  if (flags?.some(flag => flag === 'mentioned' || flag.endsWith('wildcard_mentioned'))) return true;
+  if (!botName || !text) return false;
+  // `@**Bot Name**` or the disambiguated `@**Bot Name|123**`
+  const escaped = botName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`@\\*\\*${escaped}(\\|\\d+)?\\*\\*`, 'i').test(text);
+}
+
+function topicKey(stream, topic) {
+  return `${stream}\u0000${topic}`.toLowerCase();
+}
+
+// --- DM Security ---
+
+// Who may DM the bot:
+//   open      — anyone in the realm
+//   allowlist — only senders matching `allowFrom`
+//   pairing   — unknown senders get a pairing code an operator approves (default)
+//   disabled  — ignore all DMs
+//
+// `allowFrom` entries are emails, user IDs, or `group:<name|id>` user groups.
+// Senders approved through pairing are read from OpenClaw's pairing store.
+const DM_POLICIES = ['open', 'allowlist', 'pairing', 'disabled'];
+const DEFAULT_DM_POLICY = 'pairing';
+const USER_GROUP_CACHE_MS = 5 * 60_000;
+
+function normalizeAllowEntry(entry) {
+  return String(entry).trim().replace(/^zulip(-openclaw)?:/i, '').toLowerCase();
+}
+
+function resolveDmPolicy(cfg, account) {
+  const policy = getAccountSetting(cfg, account, 'dmPolicy');
+  return DM_POLICIES.includes(policy) ? policy : DEFAULT_DM_POLICY;
+}
+
+function resolveAllowFrom(cfg, account) {
+  return (getAccountSetting(cfg, account, 'allowFrom') ?? []).map(String);
+}
+
+// User groups by realm URL, refreshed every USER_GROUP_CACHE_MS
+const userGroupCache = new Map();
+
+async function findUserGroupId(creds, nameOrId) {
+  if (/^\d+$/.test(nameOrId)) return Number(nameOrId);
+
+  let cached = userGroupCache.get(creds.site);
+  if (!cached || Date.now() - cached.fetchedAt > USER_GROUP_CACHE_MS) {
+    const result = await zulipApi(creds, '/user_groups');
+    if (result.result !== 'success') return null;
+    cached = { fetchedAt: Date.now(), groups: result.user_groups ?? [] };
+    userGroupCache.set(creds.site, cached);
+  }
+  return cached.groups.find(group => group.name.toLowerCase() === nameOrId)?.id ?? null;
+}
+
+async function isUserGroupMember(creds, group, userId) {
+  const groupId = await findUserGroupId(creds, group);
+  if (groupId === null) return false;
+  // Membership through subgroups counts too
+  const result = await zulipApi(creds, `/user_groups/${groupId}/members/${userId}`);
+  return result.result === 'success' && result.is_user_group_member === true;
+}
+
+async function isSenderAllowed(creds, allowFrom, sender) {
+  const entries = allowFrom.map(normalizeAllowEntry);
+  if (entries.includes('*')) return true;
+  if (entries.includes(String(sender.id)) || entries.includes(`id:${sender.id}`)) return true;
+  if (sender.email && entries.includes(sender.email.toLowerCase())) return true;
+
+  for (const entry of entries.filter(e => e.startsWith('group:'))) {
+    if (await isUserGroupMember(creds, entry.slice('group:'.length), sender.id)) return true;
+  }
+  return false;
+}
+
+async function readPairedSenders(runtime) {
   try {
-    const content = readFileSync(configPath, 'utf-8');
-    return JSON.parse(content);
-  } catch (err) {
-    console.warn('[zulip] Failed to parse personas config:', err.message);
-    return null;
+    return (await runtime?.channel?.pairing?.readAllowFromStore?.('zulip-openclaw')) ?? [];
+  } catch {
+    return [];
   }
 }
 
-function resolvePersonaForMessage(config, streamName, messageText) {
-  if (!config) return null;
+// Resolve whether a sender may reach the agent and whether they may run commands
+async function resolveSenderAccess({ creds, cfg, account, runtime, sender, isDirect }) {
+  const policy = resolveDmPolicy(cfg, account);
+  const allowFrom = resolveAllowFrom(cfg, account);
+  const listed = await isSenderAllowed(creds, [...allowFrom, ...(await readPairedSenders(runtime))], sender);
+  const commandAuthorized = listed || (policy === 'open' && allowFrom.length === 0);
 
-  // Get available personas for this stream (or default)
-  const streamPersonas = config.streams[streamName] ?? config.streams['*'] ?? [];
-  if (streamPersonas.length === 0) return null;
+  if (!isDirect) return { policy, allowed: true, commandAuthorized };
+  if (policy === 'disabled') return { policy, allowed: false, commandAuthorized: false };
+  return { policy, allowed: policy === 'open' || listed, commandAuthorized };
+}
 
-  // If only one persona for stream, use it
-  if (streamPersonas.length === 1) {
-    return streamPersonas[0];
+async function sendPairingRequest({ creds, runtime, msg, log }) {
+  const pairing = runtime?.channel?.pairing;
+  if (!pairing?.upsertPairingRequest) {
+    log?.warn?.('[zulip] DM pairing requested but the runtime has no pairing store');
+    return;
   }
 
-  // Check message for persona triggers
-  const messageStart = messageText.slice(0, 50).toLowerCase();
-  for (const personaId of streamPersonas) {
-    const persona = config.personas[personaId];
-    if (!persona) continue;
+  const { code, created } = await pairing.upsertPairingRequest({
+    channel: 'zulip-openclaw',
+    id: String(msg.sender_id),
+    meta: { name: msg.sender_full_name, email: msg.sender_email },
+  });
+  if (!created) return;
+
+  const idLine = `Your Zulip user ID: ${msg.sender_id}`;
+  const content = pairing.buildPairingReply?.({ channel: 'zulip-openclaw', idLine, code })
+    ?? `${idLine}\nPairing code: ${code}\nAsk the bot operator to approve it with \`openclaw pairing approve zulip-openclaw ${code}\`.`;
+  await postMessage(creds, { type: 'private', to: JSON.stringify([msg.sender_id]), content });
+  log?.info?.(`[zulip] Sent pairing code to ${msg.sender_full_name}`);
+}
+
+// --- Group DMs ---
+
+// A private message's `display_recipient` lists every participant. With
+// more than one besides the bot it is a group DM (a "huddle"): replies go
+// to the whole group, and the group shares one session whoever is talking.
+
+function dmParticipants(msg, botUserId) {
+  const recipients = Array.isArray(msg.display_recipient) ? msg.display_recipient : [];
+  return recipients.filter(r => r.id !== botUserId);
+}
+
+function dmParticipantIds(msg, botUserId) {
+  return dmParticipants(msg, botUserId).map(r => r.id).sort((a, b) => a - b);
+}
 
-    for (const trigger of persona.triggers) {
-      if (messageStart.includes(trigger.toLowerCase())) {
-        return personaId;
+function isGroupDm(msg, botUserId) {
+  return msg.type !== 'stream' && dmParticipants(msg, botUserId).length > 1;
+}
+
+// --- Persona Routing (Optional) ---
+
+// The personas file and its routing rules are handled in personas.js. Each
+// topic keeps the persona it started with, saved in the account's state
+// under the topic's session peer ID so it survives renames and moves.
+
+// accountId -> { peerId: personaId }
+const topicPersonas = new Map();
+
+function getTopicPersonas(accountId) {
+  let personas = topicPersonas.get(accountId);
+  if (!personas) {
+    personas = loadAccountState(accountId).topicPersonas ?? {};
+    topicPersonas.set(accountId, personas);
+  }
+  return personas;
+}
+
+function topicPersona(accountId, peerId) {
+  return getTopicPersonas(accountId)[peerId] ?? null;
+}
+
+function rememberTopicPersona(accountId, peerId, personaId) {
+  const personas = getTopicPersonas(accountId);
+  if (personas[peerId] === personaId) return;
+  setCapped(personas, peerId, personaId);
+  saveAccountState(accountId, { topicPersonas: personas });
+}
+
+function forgetTopicPersona(accountId, peerId) {
+  const personas = getTopicPersonas(accountId);
+  if (!(peerId in personas)) return;
+  delete personas[peerId];
+  saveAccountState(accountId, { topicPersonas: personas });
+}
+
+// A persona can post as its own Zulip bot, so users see its name and
+// avatar and can mention, mute, or DM it directly:
+//
+//   "sage": { "file": "sage.md", "triggers": ["Sage"],
+//             "bot": { "email": "sage-bot@example.zulipchat.com", "apiKeyEnv": "ZULIP_SAGE_KEY" } }
+//
+// `bot` takes the same key options as an account; `site` defaults to the account's.
+function personaBotCredentials(persona, baseCreds) {
+  const bot = persona?.bot;
+  if (!bot?.email) return null;
+  const apiKey = resolveApiKey(bot);
+  if (!apiKey) return null;
+  return { email: bot.email, apiKey, site: bot.site ?? baseCreds.site };
+}
+
+// Look up each persona bot's identity; bots that can't sign in are skipped
+async function loadPersonaBots(config, baseCreds, log) {
+  const bots = new Map();
+  for (const [personaId, persona] of Object.entries(config?.personas ?? {})) {
+    if (!persona?.bot) continue;
+    const creds = personaBotCredentials(persona, baseCreds);
+    if (!creds) {
+      log?.warn?.(`[zulip] Persona ${personaId} has a bot without an email or API key, posting as the main bot`);
+      continue;
+    }
+    try {
+      const me = await zulipApi(creds, '/users/me');
+      if (me.result !== 'success') {
+        log?.warn?.(`[zulip] Persona bot ${creds.email} could not sign in: ${me.msg}`);
+        continue;
       }
+      bots.set(personaId, { personaId, creds, userId: me.user_id, fullName: me.full_name });
+    } catch (err) {
+      log?.warn?.(`[zulip] Persona bot ${creds.email} could not sign in: ${err.message}`);
+    }
+  }
+  return bots;
+}
+
+// The persona whose bot is @-mentioned in the message, if any
+function findMentionedPersona(personaBots, text) {
+  for (const bot of personaBots.values()) {
+    if (isBotMentioned({ text, botName: bot.fullName })) return bot.personaId;
+  }
+  return null;
+}
+
+// --- Messages ---
+
+// max_message_length from /register, keyed by realm URL
+const realmMaxMessageLength = new Map();
+
+function maxMessageLength(creds) {
+  return realmMaxMessageLength.get(creds.site) ?? DEFAULT_MAX_MESSAGE_LENGTH;
+}
+
+function rememberRealmLimits(creds, registerResult) {
+  if (registerResult.max_message_length) {
+    realmMaxMessageLength.set(creds.site, registerResult.max_message_length);
+  }
+}
+
+// POST /messages, split into parts that fit the realm limit and sent in order
+async function postMessage(creds, data) {
+  const parts = data.content ? chunkMarkdown(data.content, maxMessageLength(creds)) : [data.content];
+  const messageIds = [];
+  for (const content of parts) {
+    let result;
+    try {
+      result = await zulipApi(creds, '/messages', 'POST', { ...data, content });
+    } catch (err) {
+      if (!(err instanceof ZulipApiError)) throw err;
+      return { ok: false, error: err.message, code: err.code, messageIds };
     }
+    if (result.result !== 'success') return { ok: false, error: result.msg, code: result.code, messageIds };
+    messageIds.push(String(result.id));
   }
+  return { ok: true, messageId: messageIds[0], messageIds };
+}
 
-  // Default to Ember if no match
-  return 'ember';
+// Messages the agent starts (outbound sends and the send action) go where a
+// renamed or moved topic lives now and follow the same style limits as replies
+async function sendAgentMessage(cfg, accountId, creds, { to, text, topic }) {
+  const target = await resolveSendTarget(creds, to, { topic });
+  if (!target.ok) return { ok: false, error: target.error, code: target.code };
+  const { type } = target;
+  let { to: destination, topic: destinationTopic } = target;
+
+  if (type === 'stream') {
+    const account = zulipPlugin.config.resolveAccount(cfg, accountId);
+    ({ stream: destination, topic: destinationTopic } = currentTopicLocation(account.accountId, destination, destinationTopic));
+  }
+
+  const style = resolveStyle(loadStyleRules(), { stream: destination, topic: destinationTopic, isDirect: type !== 'stream' });
+  const data = { type, to: destination, content: enforceStyle(text, style) };
+  if (type === 'stream') data.topic = destinationTopic;
+  return postMessage(creds, data);
 }
 
-function loadPersonaContent(config, personaId) {
-  if (!config || !personaId) return null;
+// --- Queue State & Backfill ---
+
+// The last processed message ID is kept per account so messages sent while
+// the event queue was dead (or the gateway was down) can be replayed.
+const DEFAULT_BACKFILL_MAX_MESSAGES = 50;
+const DEFAULT_BACKFILL_MAX_AGE_MINUTES = 60;
+// Processed IDs are saved at most this often, and when the gateway stops
+const STATE_SAVE_INTERVAL_MS = 5_000;
 
-  const persona = config.personas[personaId];
-  if (!persona) return null;
+function stateFilePath(accountId) {
+  return join(openclawDir(), 'state', 'zulip-openclaw', `${accountId}.json`);
+}
 
-  // Expand ~ in personasDir
-  const personasDir = config.personasDir.replace(/^~/, homedir());
-  const filePath = join(personasDir, persona.file);
+function loadAccountState(accountId) {
+  const statePath = stateFilePath(accountId);
+  if (!existsSync(statePath)) return {};
 
-  if (!existsSync(filePath)) {
-    console.warn(`[zulip] Persona file not found: ${filePath}`);
-    return null;
+  try {
+    return JSON.parse(readFileSync(statePath, 'utf-8'));
+  } catch (err) {
+    console.warn(`[zulip] Failed to read queue state: ${err.message}`);
+    return {};
   }
+}
+
+// Per-conversation maps in the state file (topic personas, moves, resets)
+// keep only the most recently written entries
+const MAX_SAVED_CONVERSATIONS = 1000;
 
+// Set `key` as the newest entry of a saved map, dropping the oldest past the cap
+function setCapped(map, key, value, max = MAX_SAVED_CONVERSATIONS) {
+  delete map[key];
+  map[key] = value;
+  const keys = Object.keys(map);
+  for (const old of keys.slice(0, Math.max(0, keys.length - max))) delete map[old];
+}
+
+// Merge `patch` into the saved state; other keys are kept
+function saveAccountState(accountId, patch) {
+  const statePath = stateFilePath(accountId);
   try {
-    return readFileSync(filePath, 'utf-8');
+    mkdirSync(dirname(statePath), { recursive: true });
+    writeFileSync(statePath, JSON.stringify({ ...loadAccountState(accountId), ...patch }, null, 2));
   } catch (err) {
-    console.warn(`[zulip] Failed to read persona file: ${err.message}`);
-    return null;
+    console.warn(`[zulip] Failed to write queue state: ${err.message}`);
   }
 }
 
-// --- API Client ---
+function resolveBackfillOptions(cfg, account) {
+  const backfill = getAccountSetting(cfg, account, 'backfill');
+  if (backfill === false) return null;
+  return {
+    maxMessages: backfill?.maxMessages ?? DEFAULT_BACKFILL_MAX_MESSAGES,
+    maxAgeMs: (backfill?.maxAgeMinutes ?? DEFAULT_BACKFILL_MAX_AGE_MINUTES) * 60_000,
+  };
+}
 
-async function zulipApi(creds, endpoint, method = 'GET', data, opts = {}) {
-  const url = new URL(`/api/v1${endpoint}`, creds.site);
-  const auth = Buffer.from(`${creds.email}:${creds.apiKey}`).toString('base64');
-  const headers = { 'Authorization': `Basic ${auth}` };
+// Fetch messages newer than `afterId`: at most the newest `maxMessages`,
+// none older than `maxAgeMs`. `newestId` covers skipped messages too, so the
+// caller can mark everything seen.
+async function fetchMissedMessages(creds, afterId, { maxMessages, maxAgeMs }) {
+  const qs = new URLSearchParams({
+    narrow: '[]',
+    anchor: 'newest',
+    num_before: String(maxMessages),
+    num_after: '0',
+  }).toString();
+  const result = await zulipApi(creds, `/messages?${qs}`);
+  if (result.result !== 'success') throw ZulipApiError.fromResult(result);
+
+  const fetched = result.messages ?? [];
+  const newer = fetched.filter(m => m.id > afterId);
+  const missed = newer.slice(-maxMessages);
+  const cutoff = (Date.now() - maxAgeMs) / 1000;
+  const fresh = missed.filter(m => m.timestamp >= cutoff);
+
+  return {
+    messages: fresh,
+    newestId: missed.length > 0 ? missed[missed.length - 1].id : afterId,
+    tooOld: missed.length - fresh.length,
+    // Every fetched message was new, so older missed ones fell outside the cap
+    truncated: newer.length > missed.length || (newer.length > 0 && newer.length === fetched.length && !result.found_oldest),
+  };
+}
+
+// --- Topic Routing ---
+
+// A stream conversation's session is keyed by `<stream>:<topic>`. When a
+// topic is renamed or moved, the new location is mapped back to the
+// original peer ID so the agent keeps its session, and the old location is
+// mapped forward so replies addressed to it land where the topic went.
+// Resolving a topic ("✔ " prefix) never changes its session. A new message
+// in the old location afterwards starts a new topic there, with a session
+// of its own.
+//
+// The mappings are saved with the account's queue state.
+const RESOLVED_TOPIC_PREFIX = '✔ ';
+const MAX_TOPIC_MOVE_HOPS = 20;
+
+// accountId -> { moves: { key: { stream, topic, lastMessageId } }, sessions: { key: peerId } }
+const topicRoutes = new Map();
+
+function unresolvedTopic(topic) {
+  return topic.startsWith(RESOLVED_TOPIC_PREFIX) ? topic.slice(RESOLVED_TOPIC_PREFIX.length) : topic;
+}
+
+function getTopicRoutes(accountId) {
+  let routes = topicRoutes.get(accountId);
+  if (!routes) {
+    const state = loadAccountState(accountId);
+    routes = { moves: state.topicMoves ?? {}, sessions: state.topicSessions ?? {} };
+    topicRoutes.set(accountId, routes);
+  }
+  return routes;
+}
+
+// Session peer ID for a stream topic, following earlier renames and moves
+function topicPeerId(accountId, stream, topic) {
+  const base = unresolvedTopic(topic);
+  return getTopicRoutes(accountId).sessions[topicKey(stream, base)] ?? `${stream}:${base}`;
+}
 
-  let body;
-  if (data && (method === 'POST' || method === 'PATCH' || method === 'DELETE')) {
-    headers['Content-Type'] = 'application/x-www-form-urlencoded';
-    body = new URLSearchParams(data).toString();
+// Where a topic lives now, following renames and moves
+function currentTopicLocation(accountId, stream, topic) {
+  const { moves } = getTopicRoutes(accountId);
+  let location = { stream, topic };
+  for (let hops = 0; hops < MAX_TOPIC_MOVE_HOPS; hops++) {
+    const next = moves[topicKey(location.stream, unresolvedTopic(location.topic))];
+    if (!next) break;
+    location = { stream: next.stream, topic: next.topic };
   }
+  return location;
+}
+
+// Returns false when nothing changed but the resolved prefix.
+// `lastMessageId` is the newest moved message; later ones in `from` are new.
+function recordTopicMove(accountId, from, to, lastMessageId = 0) {
+  const fromKey = topicKey(from.stream, unresolvedTopic(from.topic));
+  const toKey = topicKey(to.stream, unresolvedTopic(to.topic));
+  if (fromKey === toKey) return false;
+
+  const routes = getTopicRoutes(accountId);
+  setCapped(routes.sessions, toKey, topicPeerId(accountId, from.stream, from.topic));
+  setCapped(routes.moves, fromKey, { stream: to.stream, topic: unresolvedTopic(to.topic), lastMessageId });
+  // Moving a topic back to where it came from must not loop
+  delete routes.moves[toKey];
+  saveAccountState(accountId, { topicMoves: routes.moves, topicSessions: routes.sessions });
+  return true;
+}
+
+// A message in a topic that was moved away, sent after the move, starts a
+// new topic there: replies stop following the move, and the new topic gets
+// its own session. Returns whether it did.
+function reclaimTopic(accountId, stream, topic, messageId) {
+  const base = unresolvedTopic(topic);
+  const key = topicKey(stream, base);
+  const routes = getTopicRoutes(accountId);
+  const move = routes.moves[key];
+  if (!move || messageId <= move.lastMessageId) return false;
+
+  delete routes.moves[key];
+  // The original peer ID stays with the moved topic
+  setCapped(routes.sessions, key, `${stream}:${base}@${messageId}`);
+  saveAccountState(accountId, { topicMoves: routes.moves, topicSessions: routes.sessions });
+  return true;
+}
+
+// --- Session Resets ---
+
+// `/reset` gives a conversation a fresh session: the peer it is routed by
+// (a topic's original peer ID, a DM, or a group DM) gets a generation
+// suffix, and its context starts after the reset. Saved with the account's
+// queue state so a restart keeps the new session.
+
+// accountId -> { "<kind>:<peerId>": { generation, afterMessageId } }
+const sessionResets = new Map();
 
-  const fetchOpts = { method, headers, body };
-  if (opts.timeoutMs) {
-    fetchOpts.signal = AbortSignal.timeout(opts.timeoutMs);
+function getSessionResets(accountId) {
+  let resets = sessionResets.get(accountId);
+  if (!resets) {
+    resets = loadAccountState(accountId).sessionResets ?? {};
+    sessionResets.set(accountId, resets);
   }
+  return resets;
+}
+
+function sessionReset(accountId, peer) {
+  return getSessionResets(accountId)[`${peer.kind}:${peer.id}`] ?? null;
+}
+
+function recordSessionReset(accountId, peer, afterMessageId) {
+  const resets = getSessionResets(accountId);
+  const key = `${peer.kind}:${peer.id}`;
+  setCapped(resets, key, { generation: (resets[key]?.generation ?? 0) + 1, afterMessageId });
+  saveAccountState(accountId, { sessionResets: resets });
+  return resets[key];
+}
+
+// The peer to resolve the agent route for, after any resets
+function routedPeer(accountId, peer) {
+  const reset = sessionReset(accountId, peer);
+  return reset ? { ...peer, id: `${peer.id}#${reset.generation}` } : peer;
+}
 
-  const response = await fetch(url.toString(), fetchOpts);
-  return response.json();
+// --- Stream & Topic Management ---
+
+// Actions that change streams and topics, shared by `handleAction` and the
+// agent tools. Moves are checked before they run: every stream involved
+// must pass the account's allow/deny lists, the topic must exist, and
+// moving a topic to another stream (which changes who can see it) or into
+// a topic that already exists (which merges the two) needs `confirm: true`.
+const MANAGEMENT_ACTIONS = [
+  'move-topic', 'resolve-topic', 'unresolve-topic',
+  'create-stream', 'subscribe', 'unsubscribe',
+  'mute-topic', 'unmute-topic', 'mark-read',
+];
+const PROPAGATE_MODES = ['change_all', 'change_later', 'change_one'];
+
+function streamParam(value) {
+  return value ? String(value).replace(/^stream:/, '') : undefined;
+}
+
+// Arrays or comma-separated strings; numeric entries become user/stream IDs
+function listParam(value) {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return items.map(item => String(item).trim()).filter(Boolean).map(item => (/^\d+$/.test(item) ? Number(item) : item));
+}
+
+function invalidParams(error) {
+  return { ok: false, error, code: 'INVALID_PARAMS' };
+}
+
+function checkManagedStreams(cfg, account, streams) {
+  const denied = streams.find(name => !resolveStreamPolicy(cfg, account, name).allowed);
+  return denied === undefined
+    ? null
+    : { ok: false, error: `Stream "${denied}" is not allowed for this account`, code: 'STREAM_NOT_ALLOWED' };
+}
+
+async function getStreamId(creds, name) {
+  const result = await zulipApi(creds, `/get_stream_id?${new URLSearchParams({ stream: name })}`);
+  return result.result === 'success' ? result.stream_id : null;
+}
+
+async function newestTopicMessage(creds, stream, topic) {
+  const qs = new URLSearchParams({
+    narrow: JSON.stringify([
+      { operator: 'stream', operand: stream },
+      { operator: 'topic', operand: topic },
+    ]),
+    num_before: '1',
+    num_after: '0',
+    anchor: 'newest',
+  }).toString();
+  const result = await zulipApi(creds, `/messages?${qs}`);
+  return result.result === 'success' ? result.messages?.[0] ?? null : null;
+}
+
+function apiResult(result, extra = {}) {
+  return result.result === 'success'
+    ? { ok: true, ...extra }
+    : { ok: false, error: result.msg, code: result.code };
+}
+
+async function moveTopic(creds, params, { cfg, account }) {
+  const stream = streamParam(params.stream ?? params.channelId);
+  const topic = params.topic ?? params.threadId;
+  const newStream = streamParam(params.newStream) ?? stream;
+  const newTopic = params.newTopic ?? topic;
+  const propagateMode = params.propagateMode ?? 'change_all';
+
+  if (!stream || !topic) return invalidParams('stream and topic are required');
+  if (!String(newTopic).trim()) return invalidParams('newTopic cannot be empty');
+  if (!PROPAGATE_MODES.includes(propagateMode)) return invalidParams(`propagateMode must be one of ${PROPAGATE_MODES.join(', ')}`);
+  if (propagateMode !== 'change_all' && !params.messageId) return invalidParams(`messageId is required with ${propagateMode}`);
+
+  const crossStream = newStream.toLowerCase() !== stream.toLowerCase();
+  if (!crossStream && newTopic === topic) return invalidParams('newTopic or newStream must differ from the current location');
+
+  const denied = checkManagedStreams(cfg, account, [stream, newStream]);
+  if (denied) return denied;
+
+  const anchor = params.messageId ? { id: params.messageId } : await newestTopicMessage(creds, stream, topic);
+  if (!anchor) return { ok: false, error: `No messages in #${stream} > ${topic}`, code: 'TOPIC_NOT_FOUND' };
+
+  if (!params.confirm) {
+    if (crossStream) {
+      return {
+        ok: false,
+        error: `Moving #${stream} > ${topic} to #${newStream} changes who can see it; repeat with confirm: true to proceed`,
+        code: 'CONFIRMATION_REQUIRED',
+      };
+    }
+    // Topic names are case-insensitive, so a case-only rename is not a merge
+    const renamesInPlace = newTopic.toLowerCase() === topic.toLowerCase();
+    if (!renamesInPlace && await newestTopicMessage(creds, newStream, newTopic)) {
+      return {
+        ok: false,
+        error: `#${newStream} > ${newTopic} already exists and would be merged with #${stream} > ${topic}; repeat with confirm: true to merge`,
+        code: 'CONFIRMATION_REQUIRED',
+      };
+    }
+  }
+
+  const data = { topic: newTopic, propagate_mode: propagateMode };
+  if (params.notifyOldTopic !== undefined) data.send_notification_to_old_thread = String(Boolean(params.notifyOldTopic));
+  if (params.notifyNewTopic !== undefined) data.send_notification_to_new_thread = String(Boolean(params.notifyNewTopic));
+  if (crossStream) {
+    const streamId = await getStreamId(creds, newStream);
+    if (!streamId) return { ok: false, error: `Stream "${newStream}" not found`, code: 'STREAM_NOT_FOUND' };
+    data.stream_id = String(streamId);
+  }
+
+  const result = await zulipApi(creds, `/messages/${anchor.id}`, 'PATCH', data);
+  return apiResult(result, { stream: newStream, topic: newTopic });
+}
+
+async function setTopicResolved(creds, params, ctx, resolved) {
+  const topic = params.topic ?? params.threadId;
+  if (!topic) return invalidParams('stream and topic are required');
+
+  const base = unresolvedTopic(topic);
+  const newTopic = resolved ? `${RESOLVED_TOPIC_PREFIX}${base}` : base;
+  if (newTopic === topic) return { ok: true, stream: streamParam(params.stream ?? params.channelId), topic, unchanged: true };
+
+  // Zulip merges a topic into its resolved twin itself; that is expected here
+  return moveTopic(creds, { stream: params.stream ?? params.channelId, topic, newTopic, confirm: true }, ctx);
+}
+
+async function createStream(creds, params, { cfg, account }) {
+  const name = params.name ?? streamParam(params.stream);
+  if (!name) return invalidParams('name is required');
+  const denied = checkManagedStreams(cfg, account, [name]);
+  if (denied) return denied;
+  if (await getStreamId(creds, name)) return { ok: false, error: `Stream "${name}" already exists`, code: 'STREAM_EXISTS' };
+
+  const data = {
+    subscriptions: JSON.stringify([{ name, description: params.description ?? '' }]),
+    invite_only: String(Boolean(params.private)),
+  };
+  const users = listParam(params.users ?? params.subscribers);
+  // Keep the bot subscribed, or it could not see a private stream it created.
+  // Zulip takes principals as all user IDs or all emails, so the bot is added
+  // the same way as the others.
+  if (users.length > 0) {
+    const byId = users.every(user => typeof user === 'number');
+    if (!byId && users.some(user => typeof user === 'number')) {
+      return invalidParams('users must be all user IDs or all emails');
+    }
+    if (byId) {
+      const me = await zulipApi(creds, '/users/me');
+      if (me.result !== 'success') return apiResult(me);
+      data.principals = JSON.stringify([...users, me.user_id]);
+    } else {
+      data.principals = JSON.stringify([...users.map(String), creds.email]);
+    }
+  }
+
+  const result = await zulipApi(creds, '/users/me/subscriptions', 'POST', data);
+  return apiResult(result, { stream: name });
+}
+
+async function updateSubscriptions(creds, params, { cfg, account }, subscribe) {
+  const streams = listParam(params.streams ?? params.stream ?? params.channelId).map(s => streamParam(String(s)));
+  if (streams.length === 0) return invalidParams('streams is required');
+  const denied = checkManagedStreams(cfg, account, streams);
+  if (denied) return denied;
+
+  const data = {
+    subscriptions: JSON.stringify(subscribe ? streams.map(name => ({ name })) : streams),
+  };
+  const users = listParam(params.users);
+  if (users.length > 0) data.principals = JSON.stringify(users);
+
+  const result = await zulipApi(creds, '/users/me/subscriptions', subscribe ? 'POST' : 'DELETE', data);
+  return apiResult(result, { streams, users: users.length > 0 ? users : ['me'] });
+}
+
+async function setTopicMuted(creds, params, muted) {
+  const stream = streamParam(params.stream ?? params.channelId);
+  const topic = params.topic ?? params.threadId;
+  if (!stream || !topic) return invalidParams('stream and topic are required');
+  const streamId = await getStreamId(creds, stream);
+  if (!streamId) return { ok: false, error: `Stream "${stream}" not found`, code: 'STREAM_NOT_FOUND' };
+
+  // visibility_policy: 1 = muted, 0 = default
+  const result = await zulipApi(creds, '/user_topics', 'POST', {
+    stream_id: String(streamId),
+    topic,
+    visibility_policy: muted ? '1' : '0',
+  });
+  return apiResult(result, { stream, topic, muted });
+}
+
+async function markRead(creds, params) {
+  const stream = streamParam(params.stream ?? params.channelId);
+  const topic = params.topic ?? params.threadId;
+  if (!stream) return invalidParams('stream is required');
+  const streamId = await getStreamId(creds, stream);
+  if (!streamId) return { ok: false, error: `Stream "${stream}" not found`, code: 'STREAM_NOT_FOUND' };
+
+  const result = topic
+    ? await zulipApi(creds, '/mark_topic_as_read', 'POST', { stream_id: String(streamId), topic_name: topic })
+    : await zulipApi(creds, '/mark_stream_as_read', 'POST', { stream_id: String(streamId) });
+  return apiResult(result, topic ? { stream, topic } : { stream });
+}
+
+/**
+ * Run one of MANAGEMENT_ACTIONS. Returns `{ ok, error, code, ... }`;
+ * `code: 'CONFIRMATION_REQUIRED'` means the caller should ask before
+ * repeating the call with `confirm: true`.
+ */
+async function runManagementAction(creds, action, params, { cfg, account }) {
+  const ctx = { cfg, account };
+  switch (action) {
+    case 'move-topic': return moveTopic(creds, params, ctx);
+    case 'resolve-topic': return setTopicResolved(creds, params, ctx, true);
+    case 'unresolve-topic': return setTopicResolved(creds, params, ctx, false);
+    case 'create-stream': return createStream(creds, params, ctx);
+    case 'subscribe': return updateSubscriptions(creds, params, ctx, true);
+    case 'unsubscribe': return updateSubscriptions(creds, params, ctx, false);
+    case 'mute-topic': return setTopicMuted(creds, params, true);
+    case 'unmute-topic': return setTopicMuted(creds, params, false);
+    case 'mark-read': return markRead(creds, params);
+    default: return { ok: false, error: `Unsupported action: ${action}` };
+  }
+}
+
+// --- Streaming Replies ---
+
+// Edit-in-place streaming is on unless `streaming.mode` is 'off'. Zulip
+// allows ~200 requests/minute per user, so edits are throttled.
+const DEFAULT_STREAM_THROTTLE_MS = 1500;
+const DEFAULT_STREAM_PLACEHOLDER = '_Thinking…_';
+const STREAM_BLOCK_SEPARATOR = '\n\n';
+
+function resolveStreamingOptions(cfg, account) {
+  const streaming = getAccountSetting(cfg, account, 'streaming') ?? {};
+  return {
+    enabled: streaming.mode !== 'off',
+    throttleMs: streaming.throttleMs ?? DEFAULT_STREAM_THROTTLE_MS,
+    placeholder: streaming.placeholder ?? DEFAULT_STREAM_PLACEHOLDER,
+  };
+}
+
+// A reply that grows in place: one placeholder message is posted, then
+// edited with PATCH /messages/{id} as blocks arrive. Text beyond the realm's
+// length limit rolls over into new messages in the same conversation.
+function createStreamingReply(creds, target, opts = {}) {
+  const throttleMs = opts.throttleMs ?? DEFAULT_STREAM_THROTTLE_MS;
+  const maxLength = opts.maxLength ?? maxMessageLength(creds);
+  const messages = [];
+  let text = '';
+  let timer = null;
+  let lastSyncAt = 0;
+  let queue = Promise.resolve();
+
+  const post = async (content) => {
+    const data = { type: target.type, to: target.to, content };
+    if (target.topic) data.topic = target.topic;
+    const result = await zulipApi(creds, '/messages', 'POST', data);
+    if (result.result !== 'success') throw ZulipApiError.fromResult(result);
+    messages.push({ id: String(result.id), content });
+  };
+
+  // Bring the posted messages in line with the text so far, touching only
+  // the parts that changed
+  const sync = async () => {
+    lastSyncAt = Date.now();
+    const parts = chunkMarkdown(text, maxLength);
+    for (let i = 0; i < parts.length; i++) {
+      if (i >= messages.length) {
+        await post(parts[i]);
+      } else if (messages[i].content !== parts[i]) {
+        const result = await zulipApi(creds, `/messages/${messages[i].id}`, 'PATCH', { content: parts[i] });
+        if (result.result !== 'success') throw ZulipApiError.fromResult(result);
+        messages[i].content = parts[i];
+      }
+    }
+  };
+
+  const enqueue = (task) => {
+    queue = queue.then(task).catch(err => {
+      opts.log?.error?.(`[zulip] Failed to update streaming reply: ${err.message}`);
+    });
+    return queue;
+  };
+
+  return {
+    start: () => (opts.placeholder ? enqueue(() => post(opts.placeholder)) : queue),
+
+    append: (block) => {
+      text = text ? `${text}${STREAM_BLOCK_SEPARATOR}${block}` : block;
+      if (timer) return;
+      const delay = Math.max(0, lastSyncAt + throttleMs - Date.now());
+      timer = setTimeout(() => {
+        timer = null;
+        enqueue(sync);
+      }, delay);
+    },
+
+    finish: async () => {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      await enqueue(async () => {
+        if (text) return sync();
+        // The agent had nothing to say: remove the placeholder
+        for (const message of messages.splice(0)) {
+          await zulipApi(creds, `/messages/${message.id}`, 'DELETE');
+        }
+      });
+      return { messageIds: messages.map(m => m.id) };
+    },
+  };
+}
+
+// --- Typing Indicators ---
+
+// Zulip clients drop a typing notice after ~15s without a refresh, so a
+// turn that runs longer re-sends `start` on an interval. `typing: false`
+// (per account or channel) turns indicators off.
+const DEFAULT_TYPING_REFRESH_MS = 10_000;
+
+function resolveTypingOptions(cfg, account) {
+  const typing = getAccountSetting(cfg, account, 'typing');
+  if (typing === false) return null;
+  return { refreshMs: typing?.refreshMs ?? DEFAULT_TYPING_REFRESH_MS };
+}
+
+// /typing parameters for the conversation a message belongs to: the stream
+// topic, or every DM participant except the bot
+function typingTarget(msg, botUserId) {
+  if (msg.type === 'stream') {
+    return { type: 'stream', stream_id: msg.stream_id, topic: msg.subject };
+  }
+  const to = dmParticipantIds(msg, botUserId);
+  return { type: 'direct', to: JSON.stringify(to.length > 0 ? to : [msg.sender_id]) };
+}
+
+function createTypingIndicator(creds, target, opts = {}) {
+  const refreshMs = opts.refreshMs ?? DEFAULT_TYPING_REFRESH_MS;
+  let timer = null;
+
+  const send = async (op) => {
+    try {
+      const result = await zulipApi(creds, '/typing', 'POST', { ...target, op });
+      if (result.result !== 'success') {
+        opts.log?.debug?.(`[zulip] Typing ${op} failed: ${result.msg}`);
+      }
+    } catch (err) {
+      opts.log?.debug?.(`[zulip] Typing ${op} failed: ${err.message}`);
+    }
+  };
+
+  return {
+    start() {
+      if (timer) return;
+      send('start');
+      timer = setInterval(() => send('start'), refreshMs);
+    },
+
+    async stop() {
+      if (!timer) return;
+      clearInterval(timer);
+      timer = null;
+      await send('stop');
+    },
+  };
+}
+
+// --- Edits & Deletions ---
+
+// What to do when a user edits the message the bot last answered in a
+// conversation (`edits`, per account or channel):
+//   note   — tell the agent about the edit on the conversation's next turn (default)
+//   rerun  — answer the edited message again
+//   ignore — do nothing
+const EDIT_MODES = ['note', 'rerun', 'ignore'];
+const DEFAULT_EDIT_MODE = 'note';
+// Deleted message IDs remembered for filtering context fetches
+const MAX_DELETED_IDS = 1000;
+
+function resolveEditMode(cfg, account) {
+  const mode = getAccountSetting(cfg, account, 'edits');
+  return EDIT_MODES.includes(mode) ? mode : DEFAULT_EDIT_MODE;
+}
+
+// Stable key for the conversation a message belongs to: its stream topic,
+// or the set of DM participants other than the bot
+function conversationKey(msg, botUserId) {
+  if (msg.type === 'stream') return topicKey(msg.display_recipient, msg.subject);
+  return `dm:${dmParticipantIds(msg, botUserId).join(',')}`;
+}
+
+// The peer a conversation's session is routed by, before any `/reset`.
+// `identity` is the bot the message reached; a persona bot's DMs and group
+// DMs are sessions of their own, apart from the main bot's.
+function sessionPeer(accountId, msg, identity, senderId) {
+  if (msg.type === 'stream') {
+    return { kind: 'channel', id: topicPeerId(accountId, msg.display_recipient, msg.subject) };
+  }
+  const prefix = identity.personaId ? `${identity.personaId}:` : '';
+  if (isGroupDm(msg, identity.userId)) {
+    return { kind: 'group', id: `${prefix}${dmParticipantIds(msg, identity.userId).join(',')}` };
+  }
+  return { kind: 'direct', id: `${prefix}${senderId}` };
+}
+
+function formatEditNotes(edits) {
+  const lines = edits.map(edit => `[${edit.senderName}] (id:${edit.messageId}) now reads:\n> ${edit.text.split('\n').join('\n> ')}`);
+  return `Messages edited since your last reply:\n${lines.join('\n')}`;
+}
+
+// --- Reactions ---
+
+// What an emoji reaction does, configured under `reactions` on the channel,
+// account, or a stream entry (stream keys override the rest):
+//
+//   reactions: {
+//     feedback: true,                // reactions on bot messages go to the agent
+//     regenerate: ['repeat'],        // on a bot message: answer again
+//     summon: ['robot'],             // on any message: answer it as if mentioned
+//     delete: ['x', 'cross_mark'],   // on a bot message: delete it
+//   }
+//
+// `reactions: false` turns reaction handling off.
+const DEFAULT_DELETE_EMOJI = ['x', 'cross_mark'];
+
+function normalizeEmojiName(name) {
+  return String(name).replace(/^:|:$/g, '').toLowerCase();
+}
+
+function emojiList(value, fallback) {
+  if (value === undefined) return fallback;
+  return [].concat(value ?? []).map(normalizeEmojiName);
+}
+
+function resolveReactionOptions(cfg, account, streamName) {
+  const base = getAccountSetting(cfg, account, 'reactions');
+  const override = streamName != null
+    ? resolveStreamPolicy(cfg, account, streamName).config.reactions
+    : undefined;
+  if (override === false || (base === false && override === undefined)) return null;
+
+  const merged = { ...(base || {}), ...(override || {}) };
+  return {
+    // Off unless enabled: every forwarded reaction is an agent turn
+    feedback: merged.feedback === true ? true : emojiList(merged.feedback || [], []),
+    regenerate: emojiList(merged.regenerate, []),
+    summon: emojiList(merged.summon, []),
+    delete: emojiList(merged.delete, DEFAULT_DELETE_EMOJI),
+  };
+}
+
+// Map a reaction to 'delete' | 'regenerate' | 'summon' | 'feedback' | null.
+// Commands take precedence over feedback; summoning on the bot's own
+// messages makes no sense, so those fall through to feedback.
+function classifyReaction(options, { emojiName, isBotMessage }) {
+  if (!options) return null;
+  const emoji = normalizeEmojiName(emojiName);
+  if (isBotMessage) {
+    if (options.delete.includes(emoji)) return 'delete';
+    if (options.regenerate.includes(emoji)) return 'regenerate';
+    return options.feedback === true || options.feedback.includes(emoji) ? 'feedback' : null;
+  }
+  return options.summon.includes(emoji) ? 'summon' : null;
+}
+
+// Whether a reaction could mean anything in some conversation, so the
+// reacted message only needs fetching when it might: the DM settings or any
+// configured stream entry may act on the emoji.
+function reactionMayApply(cfg, account, emojiName) {
+  const emoji = normalizeEmojiName(emojiName);
+  const streamNames = [...Object.keys(account?.config?.streams ?? {}), ...Object.keys(getChannelConfig(cfg).streams ?? {})];
+  return [null, ...streamNames].some((streamName) => {
+    const options = resolveReactionOptions(cfg, account, streamName);
+    if (!options) return false;
+    return options.feedback === true
+      || [options.feedback, options.delete, options.regenerate, options.summon].some(list => list.includes(emoji));
+  });
+}
+
+// --- Media ---
+
+const DEFAULT_MEDIA_MAX_MB = 25;
+const MEDIA_FETCH_TIMEOUT_MS = 60_000;
+const MAX_INBOUND_ATTACHMENTS = 5;
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.json': 'application/json',
+  '.csv': 'text/csv',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.mp4': 'video/mp4',
+  '.zip': 'application/zip',
+};
+
+function contentTypeForFilename(filename) {
+  return CONTENT_TYPES[extname(filename).toLowerCase()] ?? 'application/octet-stream';
+}
+
+function extensionForContentType(contentType) {
+  const entry = Object.entries(CONTENT_TYPES).find(([, type]) => type === contentType);
+  return entry ? entry[0] : '';
+}
+
+function mediaMaxBytes(cfg, account) {
+  return (getAccountSetting(cfg, account, 'mediaMaxMb') ?? DEFAULT_MEDIA_MAX_MB) * 1024 * 1024;
+}
+
+function checkMediaSize(buffer, maxBytes) {
+  if (buffer.length > maxBytes) {
+    throw new Error(`Media is ${buffer.length} bytes, over the ${maxBytes} byte limit`);
+  }
+}
+
+// Accepts a data: URL, an http(s) URL, a file:// URL, or a local path
+async function loadOutboundMedia(mediaUrl, maxBytes) {
+  if (mediaUrl.startsWith('data:')) {
+    const match = /^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s.exec(mediaUrl);
+    if (!match) throw new Error('Invalid data URL');
+    const contentType = match[1] || 'application/octet-stream';
+    const buffer = match[2].includes(';base64')
+      ? Buffer.from(match[3], 'base64')
+      : Buffer.from(decodeURIComponent(match[3]));
+    checkMediaSize(buffer, maxBytes);
+    return { buffer, contentType, filename: `upload${extensionForContentType(contentType)}` };
+  }
+
+  if (/^https?:\/\//i.test(mediaUrl)) {
+    const response = await fetch(mediaUrl, { signal: AbortSignal.timeout(MEDIA_FETCH_TIMEOUT_MS) });
+    if (!response.ok) throw new Error(`Failed to fetch ${mediaUrl}: HTTP ${response.status}`);
+    const buffer = Buffer.from(await response.arrayBuffer());
+    checkMediaSize(buffer, maxBytes);
+    const filename = decodeURIComponent(basename(new URL(mediaUrl).pathname)) || 'upload';
+    const contentType = response.headers.get('content-type')?.split(';')[0] || contentTypeForFilename(filename);
+    return { buffer, contentType, filename };
+  }
+
+  const path = mediaUrl.startsWith('file://') ? fileURLToPath(mediaUrl) : expandHome(mediaUrl);
+  const buffer = await readFile(path);
+  checkMediaSize(buffer, maxBytes);
+  const filename = basename(path);
+  return { buffer, contentType: contentTypeForFilename(filename), filename };
+}
+
+async function uploadMedia(creds, media) {
+  const form = new FormData();
+  form.append('file', new Blob([media.buffer], { type: media.contentType }), media.filename);
+
+  const result = await zulipApi(creds, '/user_uploads', 'POST', form);
+  if (result.result !== 'success') throw ZulipApiError.fromResult(result, '/user_uploads');
+  return { url: result.url ?? result.uri, filename: result.filename ?? media.filename };
+}
+
+function formatUploadLink(upload) {
+  return `[${upload.filename}](${upload.url})`;
+}
+
+// Upload each media URL and return the message content with attachment links appended
+async function appendUploadLinks(creds, text, mediaUrls, maxBytes) {
+  const links = [];
+  for (const mediaUrl of mediaUrls) {
+    const media = await loadOutboundMedia(mediaUrl, maxBytes);
+    links.push(formatUploadLink(await uploadMedia(creds, media)));
+  }
+  return [text, ...links].filter(Boolean).join('\n');
+}
+
+// Zulip renders uploads as <a href="/user_uploads/...">; image previews link
+// to the same path, so href alone finds every attachment once.
+function extractUploadPaths(html, site) {
+  const paths = [];
+  const origin = site ? new URL(site).origin : null;
+  for (const match of html.matchAll(/href="([^"]*\/user_uploads\/[^"]+)"/g)) {
+    const href = match[1].replace(/&amp;/g, '&');
+    let path = href;
+    if (/^https?:\/\//i.test(href)) {
+      const url = new URL(href);
+      if (url.origin !== origin) continue;
+      path = url.pathname;
+    }
+    if (path.startsWith('/user_uploads/') && !paths.includes(path)) paths.push(path);
+  }
+  return paths;
+}
+
+async function downloadUpload(creds, path, maxBytes) {
+  const response = await fetch(new URL(path, creds.site).toString(), {
+    headers: { 'Authorization': authHeader(creds) },
+    signal: AbortSignal.timeout(MEDIA_FETCH_TIMEOUT_MS),
+  });
+  if (!response.ok) throw new Error(`Failed to download ${path}: HTTP ${response.status}`);
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  checkMediaSize(buffer, maxBytes);
+  const filename = decodeURIComponent(basename(path));
+  const contentType = response.headers.get('content-type')?.split(';')[0] || contentTypeForFilename(filename);
+  return { buffer, contentType, filename };
+}
+
+async function saveInboundMedia(media, maxBytes) {
+  // Prefer the host's media store so OpenClaw manages retention
+  const saveMediaBuffer = pluginRuntime?.channel?.media?.saveMediaBuffer;
+  if (saveMediaBuffer) {
+    const saved = await saveMediaBuffer(media.buffer, media.contentType, 'inbound', maxBytes);
+    return { path: saved.path, contentType: saved.contentType ?? media.contentType };
+  }
+
+  const dir = join(tmpdir(), 'zulip-openclaw', 'inbound');
+  await mkdir(dir, { recursive: true });
+  const path = join(dir, `${randomUUID()}-${media.filename.replace(/[^\w.-]/g, '_')}`);
+  await writeFile(path, media.buffer);
+  return { path, contentType: media.contentType };
+}
+
+async function fetchInboundMedia(creds, html, maxBytes, log) {
+  const media = [];
+  for (const path of extractUploadPaths(html, creds.site).slice(0, MAX_INBOUND_ATTACHMENTS)) {
+    try {
+      const download = await downloadUpload(creds, path, maxBytes);
+      const saved = await saveInboundMedia(download, maxBytes);
+      media.push({ ...saved, url: new URL(path, creds.site).toString() });
+    } catch (err) {
+      log?.warn?.(`[zulip] Failed to fetch attachment ${path}: ${err.message}`);
+    }
+  }
+  return media;
 }
 
 // --- Channel Plugin Definition ---
@@ -148,20 +1293,41 @@ const zulipPlugin = {
     reactions: true,
     threads: true,   // Zulip topics = threads
     media: true,
+    // Zulip has no bot-registered slash commands; `/reset` and friends
+    // are recognized in message text by the gateway (commands.js)
     nativeCommands: false,
   },
 
   config: {
-    listAccountIds: (_cfg) => {
-      const creds = loadCredentials();
-      return creds ? ['default'] : [];
+    listAccountIds: (cfg) => {
+      const ids = Object.keys(getConfiguredAccounts(cfg));
+      if (ids.length > 0) return ids;
+      return loadCredentials() ? [DEFAULT_ACCOUNT_ID] : [];
     },
 
-    resolveAccount: (_cfg, accountId) => {
+    resolveAccount: (cfg, accountId) => {
+      const id = accountId ?? zulipPlugin.config.defaultAccountId(cfg);
+      const accounts = getConfiguredAccounts(cfg);
+
+      if (Object.keys(accounts).length > 0) {
+        const entry = accounts[id];
+        if (!entry) return null;
+        return {
+          accountId: id,
+          name: entry.name ?? id,
+          email: entry.email,
+          apiKey: resolveApiKey(entry),
+          site: entry.site,
+          enabled: entry.enabled !== false,
+          config: entry,
+        };
+      }
+
+      if (id !== DEFAULT_ACCOUNT_ID) return null;
       const creds = loadCredentials();
       if (!creds) return null;
       return {
-        accountId: accountId ?? 'default',
+        accountId: DEFAULT_ACCOUNT_ID,
         name: 'Zulip Bot',
         email: creds.email,
         apiKey: creds.apiKey,
@@ -171,7 +1337,11 @@ const zulipPlugin = {
       };
     },
 
-    defaultAccountId: (_cfg) => 'default',
+    defaultAccountId: (cfg) => {
+      const section = getChannelConfig(cfg);
+      if (section.defaultAccount) return section.defaultAccount;
+      return Object.keys(getConfiguredAccounts(cfg))[0] ?? DEFAULT_ACCOUNT_ID;
+    },
 
     isConfigured: (account) => Boolean(account?.email && account?.apiKey && account?.site),
 
@@ -181,58 +1351,145 @@ const zulipPlugin = {
       enabled: account.enabled,
       configured: Boolean(account.email && account.apiKey),
     }),
+
+    resolveAllowFrom: ({ cfg, accountId }) =>
+      resolveAllowFrom(cfg, zulipPlugin.config.resolveAccount(cfg, accountId)),
   },
 
-  messaging: {
-    normalizeTarget: (target) => {
-      if (!target) return target;
-      // Support formats: "stream:general", "private:user@email.com", raw stream name
-      if (target.startsWith('stream:') || target.startsWith('private:')) return target;
-      return `stream:${target}`;
+  security: {
+    resolveDmPolicy: ({ cfg, accountId, account }) => {
+      const resolved = account ?? zulipPlugin.config.resolveAccount(cfg, accountId);
+      const basePath = getConfiguredAccounts(cfg)[resolved?.accountId]
+        ? `channels.zulip.accounts.${resolved.accountId}`
+        : 'channels.zulip';
+      return {
+        policy: resolveDmPolicy(cfg, resolved),
+        allowFrom: resolveAllowFrom(cfg, resolved),
+        policyPath: `${basePath}.dmPolicy`,
+        allowFromPath: `${basePath}.allowFrom`,
+        approveHint: 'Approve with: openclaw pairing approve zulip-openclaw <code>',
+        normalizeEntry: normalizeAllowEntry,
+      };
+    },
+  },
+
+  pairing: {
+    idLabel: 'zulipUserId',
+    normalizeAllowEntry,
+    notifyApproval: async ({ cfg, id, accountId }) => {
+      const creds = resolveCredentials(cfg, accountId);
+      if (!creds) return;
+      await postMessage(creds, {
+        type: 'private',
+        to: JSON.stringify([Number(id)]),
+        content: 'You have been approved. You can now message this bot.',
+      });
     },
+  },
+
+  messaging: {
+    normalizeTarget: (target) => (target ? normalizeTarget(target) : target),
     targetResolver: {
-      looksLikeId: (input) => input.startsWith('stream:') || input.startsWith('private:') || input.includes('@'),
-      hint: '<stream:name|private:email>',
+      // Anything but a bare name or ID parses without a directory lookup
+      looksLikeId: (input) => {
+        const parsed = parseTarget(input);
+        return parsed.ok && parsed.kind !== 'name';
+      },
+      hint: '<stream:name/topic|#**stream>topic**|private:email,email|narrow URL|display name|ID>',
+      // Names and IDs to canonical targets; ambiguous names are errors
+      resolveTarget: async ({ cfg, accountId, input }) => {
+        const creds = resolveCredentials(cfg, accountId);
+        if (!creds) return { ok: false, error: noAccountError(accountId) };
+        return resolveTarget(creds, input);
+      },
     },
   },
 
-  outbound: {
-    deliveryMode: 'direct',
-    chunker: null,
-    textChunkLimit: 10000, // Zulip supports long messages
+  directory: {
+    self: async ({ cfg, accountId }) => {
+      const creds = resolveCredentials(cfg, accountId);
+      if (!creds) return null;
+      const me = await zulipApi(creds, '/users/me');
+      if (me.result !== 'success') return null;
+      return { kind: 'user', id: `private:${me.email}`, name: me.full_name, handle: me.email };
+    },
 
-    sendText: async ({ to, text, accountId, cfg, replyToId }) => {
-      const account = zulipPlugin.config.resolveAccount(cfg, accountId);
-      if (!account) return { ok: false, error: 'No Zulip account configured' };
+    // Realm users, optionally filtered by name or email
+    listPeers: async ({ cfg, accountId, query, limit }) => {
+      const creds = resolveCredentials(cfg, accountId);
+      if (!creds) return [];
+      const q = query?.toLowerCase();
+      return (await listUsers(creds))
+        .filter(u => !q || u.fullName.toLowerCase().includes(q) || u.email.toLowerCase().includes(q))
+        .slice(0, limit ?? undefined)
+        .map(u => ({ kind: 'user', id: `private:${u.email}`, name: u.fullName, handle: u.email, raw: u }));
+    },
+
+    // Subscribed streams, optionally filtered by name
+    listGroups: async ({ cfg, accountId, query, limit }) => {
+      const creds = resolveCredentials(cfg, accountId);
+      if (!creds) return [];
+      const q = query?.toLowerCase();
+      return (await listStreams(creds))
+        .filter(s => !q || s.name.toLowerCase().includes(q))
+        .slice(0, limit ?? undefined)
+        .map(s => ({ kind: 'channel', id: formatStreamTarget(s.name), name: s.name, raw: s }));
+    },
 
-      const creds = { email: account.email, apiKey: account.apiKey, site: account.site };
+    // Recent topics in a stream (by name or ID), most recent first
+    listTopics: async ({ cfg, accountId, stream, limit }) => {
+      const creds = resolveCredentials(cfg, accountId);
+      if (!creds) return [];
+      const target = await resolveTarget(creds, `stream:${String(stream).replace(/^stream:/, '')}`);
+      if (!target.ok || target.id === undefined) return [];
+      return (await listTopics(creds, target.id))
+        .slice(0, limit ?? undefined)
+        .map(t => ({ kind: 'group', id: formatStreamTarget(target.name, t.name), name: t.name, raw: t }));
+    },
+  },
 
-      let type = 'private';
-      let target = to;
-      let topic = replyToId ?? 'chat';
+  groups: {
+    resolveRequireMention: ({ cfg, accountId, groupId }) => {
+      const account = zulipPlugin.config.resolveAccount(cfg, accountId);
+      return resolveStreamPolicy(cfg, account, groupId).reply !== 'always';
+    },
+  },
 
-      if (to.startsWith('stream:')) {
-        type = 'stream';
-        target = to.slice(7);
-      } else if (to.startsWith('private:')) {
-        target = to.slice(8);
-      }
+  streaming: {
+    // Block coalescing for the host; the gateway then edits one message in place
+    blockStreamingCoalesceDefaults: { minChars: 200, idleMs: 800 },
+  },
 
-      const data = { type, to: target, content: text };
-      if (type === 'stream') data.topic = topic;
+  outbound: {
+    deliveryMode: 'direct',
+    chunker: (text, limit) => chunkMarkdown(text, limit),
+    textChunkLimit: DEFAULT_MAX_MESSAGE_LENGTH,
+
+    sendText: async ({ to, text, accountId, cfg, replyToId }) => {
+      const creds = resolveCredentials(cfg, accountId);
+      if (!creds) return { channel: 'zulip-openclaw', ok: false, error: noAccountError(accountId) };
 
-      const result = await zulipApi(creds, '/messages', 'POST', data);
+      const result = await sendAgentMessage(cfg, accountId, creds, { to, text, topic: replyToId });
 
-      if (result.result === 'success') {
-        return { channel: 'zulip-openclaw', ok: true, messageId: String(result.id) };
+      if (result.ok) {
+        return { channel: 'zulip-openclaw', ok: true, messageId: result.messageId, messageIds: result.messageIds };
       }
-      return { channel: 'zulip-openclaw', ok: false, error: result.msg };
+      return { channel: 'zulip-openclaw', ok: false, error: result.error, code: result.code };
     },
 
     sendMedia: async ({ to, text, mediaUrl, accountId, cfg, replyToId }) => {
-      // TODO: Upload file to Zulip, then send message with attachment link
-      // For now, send text with media URL
-      const content = text ? `${text}\n${mediaUrl}` : mediaUrl;
+      if (!mediaUrl) return zulipPlugin.outbound.sendText({ to, text, accountId, cfg, replyToId });
+
+      const account = zulipPlugin.config.resolveAccount(cfg, accountId);
+      const creds = resolveCredentials(cfg, accountId);
+      if (!creds) return { channel: 'zulip-openclaw', ok: false, error: noAccountError(accountId) };
+
+      let content;
+      try {
+        content = await appendUploadLinks(creds, text, [mediaUrl], mediaMaxBytes(cfg, account));
+      } catch (err) {
+        return { channel: 'zulip-openclaw', ok: false, error: `Failed to upload media: ${err.message}` };
+      }
       return zulipPlugin.outbound.sendText({ to, text: content, accountId, cfg, replyToId });
     },
   },
@@ -241,157 +1498,984 @@ const zulipPlugin = {
     listActions: ({ cfg }) => {
       const accounts = zulipPlugin.config.listAccountIds(cfg);
       if (accounts.length === 0) return [];
-      return ['send', 'react', 'reactions', 'read', 'edit', 'delete'];
+      return ['send', 'react', 'reactions', 'read', 'search', 'user', 'presence', 'edit', 'delete',
+        'schedule', 'list-scheduled', 'cancel-scheduled', ...MANAGEMENT_ACTIONS];
     },
 
     handleAction: async ({ action, params, cfg, accountId }) => {
-      const account = zulipPlugin.config.resolveAccount(cfg, accountId);
-      if (!account) return { error: 'No Zulip account configured' };
+      try {
+        const creds = resolveCredentials(cfg, accountId);
+        if (!creds) return { error: noAccountError(accountId) };
+
+        if (action === 'send') {
+          const message = params.message ?? params.content ?? '';
+          const result = await sendAgentMessage(cfg, accountId, creds, {
+            to: params.to ?? params.target,
+            text: message,
+            topic: params.threadId ?? params.topic,
+          });
+          return result.ok
+            ? { ok: true, messageId: result.messageId, messageIds: result.messageIds }
+            : { ok: false, error: result.error, code: result.code };
+        }
 
-      const creds = { email: account.email, apiKey: account.apiKey, site: account.site };
+        if (action === 'react') {
+          const messageId = params.messageId;
+          const emoji = params.emoji;
+          const remove = params.remove ?? false;
 
-      if (action === 'send') {
-        const to = params.to ?? params.target;
-        const message = params.message ?? params.content ?? '';
-        const topic = params.threadId ?? params.topic ?? 'chat';
+          const method = remove ? 'DELETE' : 'POST';
+          const result = await zulipApi(creds, `/messages/${messageId}/reactions`, method, { emoji_name: emoji });
+          return { ok: result.result === 'success', error: result.msg, code: result.code };
+        }
 
-        let type = 'private';
-        let target = to;
-        if (to?.startsWith('stream:')) {
-          type = 'stream';
-          target = to.slice(7);
-        } else if (to?.startsWith('private:')) {
-          target = to.slice(8);
+        if (action === 'reactions') {
+          const messageId = params.messageId;
+          const result = await zulipApi(creds, `/messages/${messageId}`);
+          if (result.result === 'success') {
+            const reactions = (result.message?.reactions ?? []).map(r => ({
+              emoji: r.emoji_name,
+              user: r.user?.full_name ?? 'unknown',
+            }));
+            return { ok: true, messageId, reactions };
+          }
+          return { ok: false, error: result.msg, code: result.code };
         }
 
-        const data = { type, to: target, content: message };
-        if (type === 'stream') data.topic = topic;
+        if (action === 'read') {
+          const stream = params.channelId ?? params.stream;
+          const topic = params.topic ?? params.threadId;
+          const limit = params.limit ?? 10;
+
+          let narrow = [];
+          if (stream) {
+            const built = streamReadNarrow(String(stream), topic);
+            if (!built.ok) return built;
+            narrow = built.narrow;
+          } else if (topic) {
+            narrow.push({ operator: 'topic', operand: topic });
+          }
 
-        const result = await zulipApi(creds, '/messages', 'POST', data);
-        return result.result === 'success'
-          ? { ok: true, messageId: String(result.id) }
-          : { ok: false, error: result.msg };
-      }
+          const queryParams = {
+            narrow: JSON.stringify(narrow),
+            num_before: String(limit),
+            num_after: '0',
+            anchor: 'newest',
+          };
+          const qs = new URLSearchParams(queryParams).toString();
+          const result = await zulipApi(creds, `/messages?${qs}`);
+          
+          if (result.result === 'success') {
+            const messages = (result.messages ?? []).reverse().map(m => ({
+              id: String(m.id),
+              sender: m.sender_full_name,
+              senderEmail: m.sender_email,
+              content: zulipHtmlToMarkdown(m.content, { site: creds.site }),
+              topic: m.subject,
+              timestamp: m.timestamp,
+              reactions: (m.reactions ?? []).map(r => ({ emoji: r.emoji_name, user: r.user.full_name })),
+            }));
+            return { ok: true, messages };
+          }
+          return { ok: false, error: result.msg, code: result.code };
+        }
 
-      if (action === 'react') {
-        const messageId = params.messageId;
-        const emoji = params.emoji;
-        const remove = params.remove ?? false;
+        if (action === 'search') {
+          return await searchMessages(creds, params);
+        }
 
-        const method = remove ? 'DELETE' : 'POST';
-        const result = await zulipApi(creds, `/messages/${messageId}/reactions`, method, { emoji_name: emoji });
-        return { ok: result.result === 'success', error: result.msg };
-      }
+        if (action === 'user' || action === 'presence') {
+          const user = params.user ?? params.userId ?? params.email ?? params.to ?? params.target;
+          return action === 'user' ? await getUserProfile(creds, user) : await getUserPresence(creds, user);
+        }
 
-      if (action === 'reactions') {
-        const messageId = params.messageId;
-        const result = await zulipApi(creds, `/messages/${messageId}`);
-        if (result.result === 'success') {
-          const reactions = (result.message?.reactions ?? []).map(r => ({
-            emoji: r.emoji_name,
-            user: r.user?.full_name ?? 'unknown',
-          }));
-          return { ok: true, messageId, reactions };
+        if (action === 'schedule') {
+          const account = zulipPlugin.config.resolveAccount(cfg, accountId);
+          return await scheduleMessage(creds, params, { defaultTimezone: getAccountSetting(cfg, account, 'timezone') });
         }
-        return { ok: false, error: result.msg };
-      }
 
-      if (action === 'read') {
-        const stream = params.channelId ?? params.stream;
-        const topic = params.topic ?? params.threadId;
-        const limit = params.limit ?? 10;
+        if (action === 'list-scheduled') {
+          return await listScheduledMessages(creds);
+        }
 
-        const narrow = [];
-        if (stream) {
-          const streamName = stream.startsWith('stream:') ? stream.slice(7) : stream;
-          narrow.push({ operator: 'stream', operand: streamName });
+        if (action === 'cancel-scheduled') {
+          return await cancelScheduledMessage(creds, params.scheduledMessageId ?? params.messageId);
         }
-        if (topic) narrow.push({ operator: 'topic', operand: topic });
 
-        const queryParams = {
-          narrow: JSON.stringify(narrow),
-          num_before: String(limit),
-          num_after: '0',
-          anchor: 'newest',
-        };
-        const qs = new URLSearchParams(queryParams).toString();
-        const result = await zulipApi(creds, `/messages?${qs}`);
-        
-        if (result.result === 'success') {
-          const messages = (result.messages ?? []).reverse().map(m => ({
-            id: String(m.id),
-            sender: m.sender_full_name,
-            senderEmail: m.sender_email,
-            content: m.content.replace(/<[^>]*>/g, ''), // strip HTML
-            topic: m.subject,
-            timestamp: m.timestamp,
-            reactions: (m.reactions ?? []).map(r => ({ emoji: r.emoji_name, user: r.user.full_name })),
-          }));
-          return { ok: true, messages };
-        }
-        return { ok: false, error: result.msg };
-      }
+        if (action === 'edit') {
+          const messageId = params.messageId;
+          const content = params.message ?? params.content;
+          const result = await zulipApi(creds, `/messages/${messageId}`, 'PATCH', { content });
+          return { ok: result.result === 'success', error: result.msg, code: result.code };
+        }
 
-      if (action === 'edit') {
-        const messageId = params.messageId;
-        const content = params.message ?? params.content;
-        const result = await zulipApi(creds, `/messages/${messageId}`, 'PATCH', { content });
-        return { ok: result.result === 'success', error: result.msg };
-      }
+        if (action === 'delete') {
+          const messageId = params.messageId;
+          const result = await zulipApi(creds, `/messages/${messageId}`, 'DELETE');
+          return { ok: result.result === 'success', error: result.msg, code: result.code };
+        }
 
-      if (action === 'delete') {
-        const messageId = params.messageId;
-        const result = await zulipApi(creds, `/messages/${messageId}`, 'DELETE');
-        return { ok: result.result === 'success', error: result.msg };
-      }
+        if (MANAGEMENT_ACTIONS.includes(action)) {
+          const account = zulipPlugin.config.resolveAccount(cfg, accountId);
+          return await runManagementAction(creds, action, params, { cfg, account });
+        }
 
-      return { error: `Unsupported action: ${action}` };
+        return { error: `Unsupported action: ${action}` };
+      } catch (err) {
+        // Timeouts, exhausted retries, and non-JSON responses
+        if (err instanceof ZulipApiError) return { ok: false, error: err.message, code: err.code };
+        throw err;
+      }
     },
   },
 
   gateway: {
     startAccount: async (ctx) => {
       const account = ctx.account;
-      const creds = { email: account.email, apiKey: account.apiKey, site: account.site };
-
-      ctx.log?.info?.(`[zulip] Starting event poller for ${account.email}`);
+      if (account.enabled === false) {
+        ctx.log?.info?.(`[zulip] Account ${account.accountId} is disabled, not starting poller`);
+        return;
+      }
+      const creds = accountCredentials(account);
+
+      ctx.log?.info?.(`[zulip] Starting event poller for ${account.email} (account: ${account.accountId})`);
+
+      // Last message taken off the queue, and the last one fully handled.
+      // Only handled IDs are persisted for backfill, so a crash mid-dispatch
+      // replays the message on restart; saves are batched.
+      let lastMessageId = loadAccountState(account.accountId).lastMessageId ?? 0;
+      let processedMessageId = lastMessageId;
+      let savedMessageId = lastMessageId;
+      let saveTimer = null;
+      const saveProcessed = () => {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        if (processedMessageId <= savedMessageId) return;
+        savedMessageId = processedMessageId;
+        saveAccountState(account.accountId, { lastMessageId: savedMessageId, updatedAt: new Date().toISOString() });
+      };
+      const markProcessed = (messageId) => {
+        lastMessageId = Math.max(lastMessageId, messageId);
+        if (messageId <= processedMessageId) return;
+        processedMessageId = messageId;
+        if (!saveTimer) {
+          saveTimer = setTimeout(saveProcessed, STATE_SAVE_INTERVAL_MS);
+          saveTimer.unref?.();
+        }
+      };
+      ctx.abortSignal?.addEventListener?.('abort', saveProcessed, { once: true });
+
+      // Register event queue; realm state carries max_message_length for the
+      // chunker, message state the newest ID for a first-run backfill baseline
+      const registerQueue = async () => {
+        const result = await zulipApi(creds, '/register', 'POST', {
+          event_types: JSON.stringify(['message', 'reaction', 'update_message', 'delete_message']),
+          fetch_event_types: JSON.stringify(['realm', 'message']),
+          // One delete_message event with `message_ids` per bulk deletion
+          client_capabilities: JSON.stringify({ bulk_message_deletion: true }),
+        });
+        if (result.result === 'success') {
+          rememberRealmLimits(creds, result);
+          if (!lastMessageId && result.max_message_id) markProcessed(result.max_message_id);
+        }
+        return result;
+      };
 
-      // Register event queue
-      const registerResult = await zulipApi(creds, '/register', 'POST', {
-        event_types: JSON.stringify(['message', 'reaction']),
-      });
+      const registerResult = await registerQueue();
 
       if (registerResult.result !== 'success') {
         ctx.log?.error?.(`[zulip] Failed to register event queue: ${registerResult.msg}`);
         return;
       }
 
-      let queueId = registerResult.queue_id;
-      let lastEventId = registerResult.last_event_id;
-
       // Get our own user ID to filter self-messages
       const meResult = await zulipApi(creds, '/users/me');
       const myUserId = meResult.user_id;
+      const myFullName = meResult.full_name;
+      const mainIdentity = { creds, userId: myUserId };
+
+      // Personas with their own bot accounts; their messages count as ours.
+      // Filled by syncPersonaBots from the personas file.
+      const personaBots = new Map();
+      const ourBotIds = new Set([myUserId]);
+      const personaBotByUserId = (userId) => [...personaBots.values()].find(bot => bot.userId === userId);
+
+      // Topics the bot has posted in, for the `joined` reply mode
+      const joinedTopics = new Set();
+      const hasJoinedTopic = async (stream, topic) => {
+        if (joinedTopics.has(topicKey(stream, topic))) return true;
+        const qs = new URLSearchParams({
+          narrow: JSON.stringify([
+            { operator: 'stream', operand: stream },
+            { operator: 'topic', operand: topic },
+            { operator: 'sender', operand: myUserId },
+          ]),
+          num_before: '1',
+          num_after: '0',
+          anchor: 'newest',
+        }).toString();
+        const result = await zulipApi(creds, `/messages?${qs}`);
+        const joined = result.result === 'success' && result.messages?.length > 0;
+        if (joined) joinedTopics.add(topicKey(stream, topic));
+        return joined;
+      };
+
+      // Edit/delete bookkeeping: the latest message answered per conversation,
+      // edits to mention on the next turn, and deleted IDs to keep out of context
+      const lastAnswered = new Map();
+      const pendingEdits = new Map();
+      const deletedMessageIds = new Set();
+
+      // Conversation history for the agent's context, kept current from events
+      const contextCache = createContextCache();
+      // Persona bots' DMs are separate conversations from the main bot's
+      const conversationKeyFor = (msg, identity) => (identity === mainIdentity
+        ? conversationKey(msg, identity.userId)
+        : `${identity.personaId}|${conversationKey(msg, identity.userId)}`);
+
+      // Topics keep their persona under the topic's peer ID; DMs under the DM's
+      const personaKeyFor = (peer) => (peer.kind === 'channel' ? peer.id : `${peer.kind}:${peer.id}`);
+
+      // For `/status`
+      const health = { startedAt: Date.now(), lastEventAt: null, reregistrations: 0 };
 
       // Poll loop with 90s timeout (Zulip long-poll typically returns within 60s)
       const POLL_TIMEOUT_MS = 90_000;
 
-      const poll = async () => {
-        while (!ctx.abortSignal?.aborted) {
+      // Handle one inbound message from the event queue (or a backfill)
+      const handleMessage = async (msg, flags = []) => {
+        // Backfill and the new queue can overlap
+        if (msg.id <= lastMessageId) return;
+        lastMessageId = msg.id;
+        await processMessage(msg, flags);
+        markProcessed(msg.id);
+      };
+
+      // Stream gating: allow/deny lists, then the stream's reply mode
+      const streamAllowsReply = async (liveCfg, msg, wasMentioned) => {
+        const policy = resolveStreamPolicy(liveCfg, account, msg.display_recipient);
+        if (!policy.allowed || policy.reply === 'never') return false;
+        if (policy.reply === 'mention' && !wasMentioned) return false;
+        if (policy.reply === 'joined' && !wasMentioned
+          && !(await hasJoinedTopic(msg.display_recipient, msg.subject))) return false;
+        return true;
+      };
+
+      // Gate a new message and hand it to a command or the agent
+      const processMessage = async (msg, flags) => {
+        contextCache.record(conversationKey(msg, myUserId), msg);
+
+        const isStream = msg.type === 'stream';
+        if (isStream && reclaimTopic(account.accountId, msg.display_recipient, msg.subject, msg.id)) {
+          ctx.log?.info?.(`[zulip] New topic #${msg.display_recipient} > ${msg.subject} where a moved topic used to be`);
+        }
+
+        if (ourBotIds.has(msg.sender_id)) {
+          if (isStream) joinedTopics.add(topicKey(msg.display_recipient, msg.subject));
+          return;
+        }
+        const chatId = isStream
+          ? `stream:${msg.display_recipient}`
+          : `private:${dmParticipants(msg, myUserId).map(r => r.email).join(',') || msg.sender_email}`;
+        const text = zulipHtmlToMarkdown(msg.content, { site: creds.site });
+        const wasMentioned = isBotMentioned({ flags, text, botName: myFullName })
+          || findMentionedPersona(personaBots, text) !== null;
+
+        const liveCfg = loadLiveConfig(ctx);
+
+        if (isStream && !(await streamAllowsReply(liveCfg, msg, wasMentioned))) return;
+
+        // DM gating: policy, allowlist, and pairing
+        const access = await resolveSenderAccess({
+          creds,
+          cfg: liveCfg,
+          account,
+          runtime: pluginRuntime,
+          sender: { id: msg.sender_id, email: msg.sender_email },
+          isDirect: !isStream,
+        });
+        if (!access.allowed) {
+          if (access.policy === 'pairing') {
+            await sendPairingRequest({ creds, runtime: pluginRuntime, msg, log: ctx.log });
+          } else {
+            ctx.log?.info?.(`[zulip] Ignoring DM from ${msg.sender_email} (dmPolicy: ${access.policy})`);
+          }
+          return;
+        }
+
+        ctx.log?.info?.(`[zulip] Received message from ${msg.sender_full_name} in ${chatId}`);
+
+        if (await handleCommand({ msg, text, commandAuthorized: access.commandAuthorized })) return;
+
+        await dispatchInbound({
+          msg,
+          sender: { id: msg.sender_id, email: msg.sender_email, fullName: msg.sender_full_name },
+          body: text,
+          wasMentioned,
+          commandAuthorized: access.commandAuthorized,
+        });
+      };
+
+      // In-chat commands (`/reset`, `/persona`, `/status`, `/help`), answered
+      // by the plugin rather than the agent. Returns whether `text` was one.
+      const handleCommand = async ({ msg, text, identity = mainIdentity, commandAuthorized }) => {
+        const liveCfg = loadLiveConfig(ctx);
+        if (getAccountSetting(liveCfg, account, 'commands') === false) return false;
+        const command = parseCommand(text, {
+          names: [myFullName, ...[...personaBots.values()].map(bot => bot.fullName)],
+          userIds: [...ourBotIds],
+        });
+        if (!command) return false;
+
+        const isStream = msg.type === 'stream';
+        const reply = (content) => postMessage(identity.creds, isStream
+          ? { type: 'stream', to: msg.display_recipient, topic: msg.subject, content }
+          : { type: 'private', to: JSON.stringify(dmParticipantIds(msg, identity.userId)), content });
+
+        if (!isCommandAllowed(command.name, commandAuthorized)) {
+          ctx.log?.info?.(`[zulip] Refused /${command.name} from ${msg.sender_email}`);
+          await reply(`You are not allowed to use \`/${command.name}\` here.`);
+          return true;
+        }
+        ctx.log?.info?.(`[zulip] Running /${command.name} for ${msg.sender_full_name}`);
+
+        const peer = sessionPeer(account.accountId, msg, identity, msg.sender_id);
+        const [where, Where] = isStream ? ['this topic', 'This topic'] : ['this conversation', 'This conversation'];
+        const personasConfig = loadPersonasConfig();
+        const personaKey = personaKeyFor(peer);
+
+        if (command.name === 'help') {
+          await reply(formatHelp({ commandAuthorized }));
+        } else if (command.name === 'reset') {
+          const sent = await reply(`Started a new session for ${where}. Earlier messages are left out from here on.`);
+          // The confirmation belongs to the old session too
+          const afterMessageId = Math.max(msg.id, ...(sent.messageIds ?? []).map(Number));
+          const { generation } = recordSessionReset(account.accountId, peer, afterMessageId);
+          const convKey = conversationKeyFor(msg, identity);
+          lastAnswered.delete(convKey);
+          pendingEdits.delete(convKey);
+          ctx.log?.info?.(`[zulip] Reset session ${peer.kind}:${peer.id} (generation ${generation})`);
+        } else if (command.name === 'persona') {
+          const available = personasConfig
+            ? Object.keys(personasConfig.personas).map(id => `\`${id}\` (${personaDisplayName(personasConfig, id)})`).join(', ')
+            : '';
+          if (!personasConfig) {
+            await reply('No personas are configured.');
+          } else if (identity.personaId) {
+            await reply(`This bot always answers as ${personaDisplayName(personasConfig, identity.personaId)}.`);
+          } else if (!command.args) {
+            const current = topicPersona(account.accountId, personaKey);
+            await reply(personasConfig.personas[current]
+              ? `${Where} uses **${personaDisplayName(personasConfig, current)}**. Available: ${available}.`
+              : `No persona is set for ${where}; each message is routed by the personas file. Available: ${available}.`);
+          } else if (['auto', 'off', 'default', 'none'].includes(command.args.toLowerCase())) {
+            forgetTopicPersona(account.accountId, personaKey);
+            await reply(`${Where} is back to automatic persona routing.`);
+          } else {
+            const personaId = findPersona(personasConfig, command.args);
+            if (!personaId) {
+              await reply(`No persona is called "${command.args}". Available: ${available}.`);
+            } else {
+              rememberTopicPersona(account.accountId, personaKey, personaId);
+              await reply(`Switched ${where} to **${personaDisplayName(personasConfig, personaId)}**.`);
+            }
+          }
+        } else if (command.name === 'status') {
+          const now = Date.now();
+          const reset = sessionReset(account.accountId, peer);
+          const persona = identity.personaId ?? topicPersona(account.accountId, personaKey);
+          const contextOpts = resolveContextOptions(
+            getAccountSetting(liveCfg, account, 'context'),
+            isStream ? resolveStreamPolicy(liveCfg, account, msg.display_recipient).config.context : undefined,
+          );
+          const style = resolveStyle(loadStyleRules(), {
+            stream: isStream ? msg.display_recipient : undefined,
+            topic: isStream ? msg.subject : undefined,
+            isDirect: !isStream,
+          });
+          const styleParts = style ? [
+            style.tone && `${style.tone} tone`,
+            style.language && `in ${style.language}`,
+            style.maxLength && `at most ${style.maxLength} characters`,
+            style.instructions.length > 0 && `${style.instructions.length} instruction${style.instructions.length === 1 ? '' : 's'}`,
+          ].filter(Boolean) : [];
+          const lines = [
+            `Account \`${account.accountId}\`, answering as ${identity.fullName ?? myFullName}`,
+            `Up ${formatDuration(now - health.startedAt)}; last heard from Zulip ${health.lastEventAt ? `${formatDuration(now - health.lastEventAt)} ago` : 'not yet'}`
+              + (health.reregistrations > 0 ? `; event queue re-registered ${health.reregistrations}×` : ''),
+            `Session: ${reset ? `reset ${reset.generation}× with \`/reset\`` : 'original'}`,
+            `Persona: ${personasConfig
+              ? (personasConfig.personas[persona] ? personaDisplayName(personasConfig, persona) : 'routed per message')
+              : 'none configured'}${personaBots.size > 0 ? ` (${personaBots.size} persona bot${personaBots.size === 1 ? '' : 's'})` : ''}`,
+            `Context: ${contextOpts
+              ? `last ${contextOpts.maxMessages} messages${contextOpts.maxChars ? ` within ${contextOpts.maxChars} characters` : ''}${contextOpts.summary ? ', with a summary of older ones' : ''}`
+              : 'off'}`,
+            `Style: ${style ? (styleParts.join(', ') || 'formatting limits only') : 'no rules'}`,
+          ];
+          await reply(`**Status**\n${lines.map(line => `- ${line}`).join('\n')}`);
+        }
+        return true;
+      };
+
+      // Hand a conversation turn to the agent and stream its reply back.
+      // `msg` anchors the conversation (stream/topic or DM) and the context
+      // window; `sender` is who the turn is attributed to, which for
+      // reactions is the reacting user rather than the message author.
+      // `identity` is the bot the conversation belongs to (a persona bot for
+      // DMs sent to it); `personaId` picks the persona without routing.
+      const dispatchInbound = async ({
+        msg, sender, body, wasMentioned, commandAuthorized, includeMedia = true,
+        identity = mainIdentity, personaId: forcedPersonaId,
+      }) => {
+        const isStream = msg.type === 'stream';
+        const isGroup = isGroupDm(msg, identity.userId);
+        const participants = isGroup ? dmParticipants(msg, identity.userId) : [];
+        const groupId = isGroup ? dmParticipantIds(msg, identity.userId).join(',') : null;
+        const from = isStream
+          ? `zulip:${msg.display_recipient}`
+          : isGroup ? `zulip:group:${groupId}` : `zulip:${sender.id}`;
+        const liveCfg = loadLiveConfig(ctx);
+
+        const peerId = isStream ? topicPeerId(account.accountId, msg.display_recipient, msg.subject) : null;
+        const basePeer = sessionPeer(account.accountId, msg, identity, sender.id);
+        const reset = sessionReset(account.accountId, basePeer);
+
+        // Resolve persona for this message (if config exists): a mentioned
+        // persona bot wins, then the personas file's routing
+        let personaContent = null;
+        let personaName = null;
+        let personaBot = null;
+        const personasConfig = loadPersonasConfig();
+        if (personasConfig) {
+          // Topics remember the persona they start with; DMs only one set with `/persona`
+          const sticky = topicPersona(account.accountId, personaKeyFor(basePeer));
+          const mentioned = forcedPersonaId ?? findMentionedPersona(personaBots, body);
+          const choice = mentioned
+            ? { personaId: mentioned, source: forcedPersonaId ? 'persona bot' : 'mention' }
+            : resolvePersona(personasConfig, {
+              stream: isStream ? msg.display_recipient : undefined,
+              topic: isStream ? msg.subject : undefined,
+              sender,
+              isDirect: !isStream,
+              text: body,
+              sticky,
+            });
+          if (choice) {
+            if (peerId && !personasConfig.personas[sticky]) {
+              rememberTopicPersona(account.accountId, peerId, choice.personaId);
+            }
+            personaContent = loadPersonaContent(personasConfig, choice.personaId);
+            if (personaContent) {
+              personaName = personaDisplayName(personasConfig, choice.personaId);
+              personaBot = personaBots.get(choice.personaId) ?? null;
+              ctx.log?.info?.(`[zulip] Using persona: ${personaName} (${choice.source})`);
+            }
+          }
+        }
+        // A persona with its own bot replies under that bot's name and avatar
+        const replyCreds = personaBot?.creds ?? identity.creds;
+
+        // Style rules for the stream or topic: described to the agent, and
+        // their length and formatting limits enforced on the reply
+        const style = resolveStyle(loadStyleRules(), {
+          stream: isStream ? msg.display_recipient : undefined,
+          topic: isStream ? msg.subject : undefined,
+          isDirect: !isStream,
+        });
+
+        // Show "typing…" until the turn ends, however it ends
+        const typingOpts = resolveTypingOptions(liveCfg, account);
+        const typing = typingOpts
+          ? createTypingIndicator(replyCreds, typingTarget(msg, identity.userId), { ...typingOpts, log: ctx.log })
+          : null;
+        typing?.start();
+
+        const convKey = conversationKeyFor(msg, identity);
+        if (!ourBotIds.has(msg.sender_id)) lastAnswered.set(convKey, msg.id);
+        const edits = pendingEdits.get(convKey);
+        pendingEdits.delete(convKey);
+
+        try {
+          // Download /user_uploads attachments so the agent can see them
+          const media = includeMedia
+            ? await fetchInboundMedia(identity.creds, msg.content, mediaMaxBytes(liveCfg, account), ctx.log)
+            : [];
+
+          // Recent topic/DM history for ThreadStarterBody, within the
+          // stream's (or account's) context budget
+          let threadStarterBody;
+          const contextOpts = resolveContextOptions(
+            getAccountSetting(liveCfg, account, 'context'),
+            isStream ? resolveStreamPolicy(liveCfg, account, msg.display_recipient).config.context : undefined,
+          );
+          if (contextOpts) {
+            try {
+              const contextNarrow = [];
+              if (isStream) {
+                contextNarrow.push({ operator: 'stream', operand: msg.display_recipient });
+                contextNarrow.push({ operator: 'topic', operand: msg.subject });
+              } else {
+                const emails = isGroup ? participants.map(p => p.email) : [sender.email];
+                contextNarrow.push({ operator: 'dm', operand: [identity.creds.email, ...emails] });
+              }
+
+              threadStarterBody = await buildContext({
+                creds: identity.creds,
+                cache: contextCache,
+                key: convKey,
+                narrow: contextNarrow,
+                anchorId: msg.id,
+                options: contextOpts,
+                isTopic: isStream,
+                label: isStream
+                  ? `Recent messages in #${msg.display_recipient} > ${msg.subject}`
+                  : isGroup
+                    ? `Recent group DM history with ${participants.map(p => p.full_name).join(', ')}`
+                    : `Recent DM history`,
+                describeSender: m => (m.sender_id === identity.userId
+                  ? '(bot)'
+                  : ourBotIds.has(m.sender_id) ? `(bot: ${m.sender_full_name})` : m.sender_full_name),
+                // The server may still return a message whose deletion we just saw
+                exclude: deletedMessageIds,
+                after: reset?.afterMessageId,
+              });
+            } catch (err) {
+              ctx.log?.warn?.(`[zulip] Failed to fetch context: ${err.message}`);
+            }
+          }
+          if (edits?.length > 0) {
+            threadStarterBody = [threadStarterBody, formatEditNotes(edits)].filter(Boolean).join('\n\n');
+          }
+
+          // The sender's wall-clock time, so "tomorrow morning" means theirs
+          let senderTime = null;
+          if (getAccountSetting(liveCfg, account, 'senderTime') === true) {
+            try {
+              const profile = await getUserProfile(identity.creds, sender.id);
+              if (profile.ok && profile.user.timezone) senderTime = profile.user;
+            } catch (err) {
+              ctx.log?.warn?.(`[zulip] Failed to look up sender timezone: ${err.message}`);
+            }
+          }
+          if (senderTime) {
+            const timeLine = `${sender.fullName}'s local time: ${senderTime.localTime} (${senderTime.timezone}, UTC${senderTime.utcOffset})`;
+            threadStarterBody = [timeLine, threadStarterBody].filter(Boolean).join('\n\n');
+          }
+
+          // Dispatch through OpenClaw's inbound message system
+          try {
+            const runtime = getPluginRuntime();
+            const cfg = runtime.config.loadConfig();
+
+            // Resolve agent route for this message
+            const peer = routedPeer(account.accountId, basePeer);
+            const route = runtime.channel.routing.resolveAgentRoute({
+              channel: 'zulip-openclaw',
+              accountId: account.accountId,
+              peer,
+              cfg,
+            });
+
+            // Build inbound context (matching OpenClaw's expected shape)
+            // Prepend persona content to thread starter body if available
+            let fullThreadStarterBody = threadStarterBody;
+            const styleInstructions = formatStyleInstructions(style);
+            if (styleInstructions) {
+              fullThreadStarterBody = [styleInstructions, threadStarterBody].filter(Boolean).join('\n\n');
+            }
+            if (personaContent) {
+              const personaSection = `You are responding as this persona:\n---\n${personaContent}\n---\n\nDo not prefix your response with your name — the system will add it automatically.\n\n`;
+              fullThreadStarterBody = personaSection + (fullThreadStarterBody ?? '');
+            }
+
+            const inboundCtx = runtime.channel.reply.finalizeInboundContext({
+              Body: body,
+              RawBody: body,
+              From: from,
+              To: `zulip:${identity.creds.email}`,
+              SessionKey: route.sessionKey,
+              AccountId: route.accountId,
+              ChatType: isStream || isGroup ? 'group' : 'direct',
+              SenderName: sender.fullName,
+              SenderId: String(sender.id),
+              SenderUsername: sender.email,
+              SenderTimezone: senderTime?.timezone,
+              Provider: 'zulip-openclaw',
+              Surface: 'zulip',
+              MessageSid: String(msg.id),
+              Timestamp: msg.timestamp * 1000,
+              ThreadId: isStream ? msg.subject : undefined,
+              GroupSubject: isStream
+                ? msg.display_recipient
+                : isGroup ? participants.map(p => p.full_name).join(', ') : undefined,
+              WasMentioned: wasMentioned,
+              CommandAuthorized: commandAuthorized,
+              ThreadStarterBody: fullThreadStarterBody,
+              ...(media.length > 0 ? {
+                MediaPath: media[0].path,
+                MediaType: media[0].contentType,
+                MediaUrl: media[0].url,
+                MediaPaths: media.map(m => m.path),
+                MediaTypes: media.map(m => m.contentType),
+                MediaUrls: media.map(m => m.url),
+              } : {}),
+            });
+
+            // Send reply back to Zulip
+            const replyTarget = isStream
+              ? msg.display_recipient
+              : isGroup ? JSON.stringify(participants.map(p => p.id)) : sender.email;
+            const replyType = isStream ? 'stream' : 'private';
+            const replyTopic = isStream ? msg.subject : undefined;
+            let personaPrefixed = false;
+
+            const streamingOpts = resolveStreamingOptions(liveCfg, account);
+            const streamingReply = streamingOpts.enabled
+              ? createStreamingReply(replyCreds, { type: replyType, to: replyTarget, topic: replyTopic }, { ...streamingOpts, log: ctx.log })
+              : null;
+            // Streamed blocks are joined into one message, so the separator
+            // between them counts against the limit too
+            const fitStyle = createReplyBudget(style, { separator: streamingReply ? STREAM_BLOCK_SEPARATOR : '' });
+            streamingReply?.start();
+            if (streamingReply && isStream) joinedTopics.add(topicKey(msg.display_recipient, msg.subject));
+
+            try {
+              await runtime.channel.reply.dispatchReplyWithBufferedBlockDispatcher({
+                ctx: inboundCtx,
+                cfg,
+                dispatcherOptions: {
+                  deliver: async (payload) => {
+                    let replyText = typeof payload === 'string' ? payload : (payload.body ?? payload.text ?? '');
+                    const replyMedia = payload.mediaUrls ?? (payload.mediaUrl ? [payload.mediaUrl] : []);
+                    if (!replyText && replyMedia.length === 0) return;
+
+                    // Prefix with persona name if available (once per streamed
+                    // reply); persona bots are already named by their account
+                    const prefix = personaName && !personaBot && !(streamingReply && personaPrefixed)
+                      ? `[${personaName}] `
+                      : '';
+
+                    // The length limit covers the whole reply, prefix included,
+                    // however it is delivered
+                    if (style && replyText) {
+                      const fitted = fitStyle(replyText, prefix);
+                      if (fitted.cut) ctx.log?.info?.(`[zulip] Reply cut to the ${style.maxLength}-character style limit`);
+                      replyText = fitted.text;
+                      if (!replyText && replyMedia.length === 0) return;
+                    }
+
+                    if (prefix) {
+                      replyText = `${prefix}${replyText}`;
+                      personaPrefixed = true;
+                    }
+
+                    if (replyMedia.length > 0) {
+                      try {
+                        replyText = await appendUploadLinks(replyCreds, replyText, replyMedia, mediaMaxBytes(liveCfg, account));
+                      } catch (err) {
+                        ctx.log?.error?.(`[zulip] Failed to upload reply media: ${err.message}`);
+                      }
+                    }
+                    if (!replyText) return;
+
+                    if (streamingReply) {
+                      streamingReply.append(replyText);
+                      return;
+                    }
+
+                    const data = { type: replyType, to: replyTarget, content: replyText };
+                    if (replyTopic) data.topic = replyTopic;
+
+                    const sendResult = await postMessage(replyCreds, data);
+                    if (sendResult.ok && isStream) {
+                      joinedTopics.add(topicKey(msg.display_recipient, msg.subject));
+                    }
+                    if (!sendResult.ok) {
+                      ctx.log?.error?.(`[zulip] Failed to send reply: ${sendResult.error}`);
+                    }
+                  },
+                  onError: (err) => {
+                    ctx.log?.error?.(`[zulip] Dispatch error: ${String(err)}`);
+                  },
+                },
+              });
+            } finally {
+              await streamingReply?.finish();
+            }
+          } catch (dispatchErr) {
+            ctx.log?.error?.(`[zulip] Failed to dispatch message: ${dispatchErr.message}`);
+          }
+        } finally {
+          await typing?.stop();
+        }
+      };
+
+      // Handle one reaction event: delete, regenerate, summon, or feedback
+      const handleReaction = async (event) => {
+        contextCache.react(event.message_id, {
+          op: event.op,
+          userId: event.user_id,
+          emojiName: event.emoji_name,
+          emojiCode: event.emoji_code,
+          reactionType: event.reaction_type,
+        });
+        if (event.op !== 'add' || ourBotIds.has(event.user_id)) return;
+        const liveCfg = loadLiveConfig(ctx);
+        if (!reactionMayApply(liveCfg, account, event.emoji_name)) return;
+
+        const messageResult = await zulipApi(creds, `/messages/${event.message_id}`);
+        if (messageResult.result !== 'success') {
+          ctx.log?.warn?.(`[zulip] Could not fetch reacted message ${event.message_id}: ${messageResult.msg}`);
+          return;
+        }
+        const msg = messageResult.message;
+        const isStream = msg.type === 'stream';
+        const isBotMessage = ourBotIds.has(msg.sender_id);
+        // Replies from a persona bot are regenerated and deleted as that persona
+        const authorBot = personaBotByUserId(msg.sender_id);
+
+        if (isStream) {
+          const policy = resolveStreamPolicy(liveCfg, account, msg.display_recipient);
+          if (!policy.allowed || policy.reply === 'never') return;
+        }
+        const options = resolveReactionOptions(liveCfg, account, isStream ? msg.display_recipient : null);
+        const command = classifyReaction(options, { emojiName: event.emoji_name, isBotMessage });
+        if (!command) return;
+
+        // `event.user` is deprecated but still sent by current servers
+        let reactor = event.user;
+        if (!reactor?.email) {
+          const userResult = await zulipApi(creds, `/users/${event.user_id}`);
+          if (userResult.result !== 'success') return;
+          reactor = userResult.user;
+        }
+        const sender = { id: event.user_id, email: reactor.email, fullName: reactor.full_name };
+
+        const access = await resolveSenderAccess({
+          creds,
+          cfg: liveCfg,
+          account,
+          runtime: pluginRuntime,
+          sender,
+          isDirect: !isStream,
+        });
+        if (!access.allowed) return;
+
+        ctx.log?.info?.(`[zulip] ${sender.fullName} reacted :${event.emoji_name}: to message ${msg.id} (${command})`);
+
+        if (command === 'delete') {
+          // In streams anyone could react; only authorized senders may delete
+          if (isStream && !access.commandAuthorized) return;
+          const result = await zulipApi(authorBot?.creds ?? creds, `/messages/${msg.id}`, 'DELETE');
+          if (result.result !== 'success') {
+            ctx.log?.error?.(`[zulip] Failed to delete message ${msg.id}: ${result.msg}`);
+          }
+          return;
+        }
+
+        if (command === 'summon') {
+          await dispatchInbound({
+            msg,
+            sender: { id: msg.sender_id, email: msg.sender_email, fullName: msg.sender_full_name },
+            body: zulipHtmlToMarkdown(msg.content, { site: creds.site }),
+            wasMentioned: true,
+            commandAuthorized: access.commandAuthorized,
+          });
+          return;
+        }
+
+        const replied = zulipHtmlToMarkdown(msg.content, { site: creds.site });
+        const quoted = `> ${replied.split('\n').join('\n> ')}`;
+        const body = command === 'regenerate'
+          ? `[Reaction] ${sender.fullName} asked you to regenerate your reply (id:${msg.id}). Answer again, differently:\n${quoted}`
+          : `[Reaction] ${sender.fullName} reacted :${event.emoji_name}: to your message (id:${msg.id}):\n${quoted}`;
+        await dispatchInbound({
+          msg,
+          sender,
+          body,
+          wasMentioned: true,
+          commandAuthorized: access.commandAuthorized,
+          includeMedia: false,
+          personaId: authorBot?.personaId,
+        });
+      };
+
+      // Follow a topic rename, move, or resolve so the session carries over
+      const handleTopicMove = async (event) => {
+        // Moving a single message splits it off; the topic stays put
+        if (event.propagate_mode === 'change_one') return;
+
+        // The moved messages tell us the new location
+        const movedId = event.message_ids?.[0] ?? event.message_id;
+        const movedResult = await zulipApi(creds, `/messages/${movedId}`);
+        if (movedResult.result !== 'success' || movedResult.message.type !== 'stream') return;
+        const to = { stream: movedResult.message.display_recipient, topic: movedResult.message.subject };
+
+        let fromStream = event.stream_name;
+        if (!fromStream && event.stream_id !== undefined && event.new_stream_id !== undefined) {
+          const streamResult = await zulipApi(creds, `/streams/${event.stream_id}`);
+          fromStream = streamResult.stream?.name;
+        }
+        const from = { stream: fromStream ?? to.stream, topic: event.orig_subject ?? to.topic };
+
+        // Cached history no longer matches either topic
+        contextCache.forget(topicKey(from.stream, from.topic));
+        contextCache.forget(topicKey(to.stream, to.topic));
+
+        const lastMovedId = Math.max(...(event.message_ids ?? [event.message_id]));
+        if (recordTopicMove(account.accountId, from, to, lastMovedId)) {
+          ctx.log?.info?.(`[zulip] Topic moved: #${from.stream} > ${from.topic} → #${to.stream} > ${to.topic}`);
+          if (joinedTopics.has(topicKey(from.stream, from.topic))) joinedTopics.add(topicKey(to.stream, to.topic));
+        }
+      };
+
+      // Handle an edit to a message the bot last answered: note it for the
+      // next turn, or answer it again
+      const handleUpdateMessage = async (event) => {
+        if (event.orig_subject !== undefined || event.new_stream_id !== undefined) {
+          await handleTopicMove(event);
+        }
+        if (event.rendered_content !== undefined) {
+          contextCache.edit(event.message_id, {
+            content: event.rendered_content,
+            editTimestamp: event.rendering_only ? undefined : event.edit_timestamp,
+          });
+        }
+
+        // Our own streaming edits, and server re-renders (link previews)
+        if (event.rendering_only || ourBotIds.has(event.user_id) || event.rendered_content === undefined) return;
+        const key = [...lastAnswered].find(([, id]) => id === event.message_id)?.[0];
+        if (key === undefined) return;
+
+        const liveCfg = loadLiveConfig(ctx);
+        const mode = resolveEditMode(liveCfg, account);
+        if (mode === 'ignore') return;
+
+        const messageResult = await zulipApi(creds, `/messages/${event.message_id}`);
+        if (messageResult.result !== 'success') return;
+        const msg = messageResult.message;
+        const text = zulipHtmlToMarkdown(msg.content, { site: creds.site });
+
+        if (mode === 'note') {
+          const earlier = (pendingEdits.get(key) ?? []).filter(edit => edit.messageId !== msg.id);
+          pendingEdits.set(key, [...earlier, { messageId: msg.id, senderName: msg.sender_full_name, text }]);
+          return;
+        }
+
+        const isStream = msg.type === 'stream';
+        const wasMentioned = isBotMentioned({ flags: msg.flags, text, botName: myFullName })
+          || findMentionedPersona(personaBots, text) !== null;
+        if (isStream && !(await streamAllowsReply(liveCfg, msg, wasMentioned))) return;
+        const sender = { id: msg.sender_id, email: msg.sender_email, fullName: msg.sender_full_name };
+        const access = await resolveSenderAccess({
+          creds,
+          cfg: liveCfg,
+          account,
+          runtime: pluginRuntime,
+          sender,
+          isDirect: !isStream,
+        });
+        if (!access.allowed) return;
+
+        ctx.log?.info?.(`[zulip] ${sender.fullName} edited message ${msg.id}, answering again`);
+        await dispatchInbound({
+          msg,
+          sender,
+          body: `[Edited] ${text}`,
+          wasMentioned,
+          commandAuthorized: access.commandAuthorized,
+        });
+      };
+
+      // Forget deleted messages so they never reach the agent again
+      const handleDeleteMessage = (event) => {
+        for (const id of event.message_ids ?? [event.message_id]) {
+          deletedMessageIds.add(id);
+          contextCache.remove(id);
+          for (const [key, answeredId] of lastAnswered) {
+            if (answeredId === id) lastAnswered.delete(key);
+          }
+          for (const [key, edits] of pendingEdits) {
+            const kept = edits.filter(edit => edit.messageId !== id);
+            if (kept.length > 0) pendingEdits.set(key, kept);
+            else pendingEdits.delete(key);
+          }
+        }
+        while (deletedMessageIds.size > MAX_DELETED_IDS) {
+          deletedMessageIds.delete(deletedMessageIds.values().next().value);
+        }
+      };
+
+      // Replay messages sent while we weren't listening
+      const backfill = async (reason) => {
+        const opts = resolveBackfillOptions(loadLiveConfig(ctx), account);
+        if (!opts || !lastMessageId) return;
+
+        try {
+          const { messages, newestId, tooOld, truncated } = await fetchMissedMessages(creds, lastMessageId, opts);
+          if (truncated) {
+            ctx.log?.warn?.(`[zulip] More than ${opts.maxMessages} messages missed ${reason}; replaying only the newest`);
+          }
+          if (tooOld > 0) {
+            ctx.log?.info?.(`[zulip] Skipping ${tooOld} missed messages older than the backfill cutoff`);
+          }
+          if (messages.length > 0) {
+            ctx.log?.info?.(`[zulip] Backfilling ${messages.length} messages missed ${reason}`);
+          }
+          for (const msg of messages) {
+            await handleMessage(msg, msg.flags);
+          }
+          markProcessed(newestId);
+        } catch (err) {
+          ctx.log?.warn?.(`[zulip] Backfill failed: ${err.message}`);
+        }
+      };
+
+      // Dispatch one event from the main queue
+      const handleEvent = async (event) => {
+        await syncPersonaBots();
+        if (event.type === 'message') {
+          try {
+            await handleMessage(event.message, event.flags);
+          } catch (err) {
+            ctx.log?.error?.(`[zulip] Failed to handle message ${event.message?.id}: ${err.message}`);
+          }
+        } else if (event.type === 'reaction') {
+          try {
+            await handleReaction(event);
+          } catch (err) {
+            ctx.log?.error?.(`[zulip] Failed to handle reaction on ${event.message_id}: ${err.message}`);
+          }
+        } else if (event.type === 'update_message') {
+          try {
+            await handleUpdateMessage(event);
+          } catch (err) {
+            ctx.log?.error?.(`[zulip] Failed to handle edit of ${event.message_id}: ${err.message}`);
+          }
+        } else if (event.type === 'delete_message') {
+          handleDeleteMessage(event);
+        }
+      };
+
+      // Long-poll an event queue until the gateway stops, re-registering it
+      // when the server expires it. `signal` stops just this queue.
+      const pollQueue = async ({ queueCreds, register, queueId, lastEventId, onEvent, onReregistered, signal }) => {
+        while (!ctx.abortSignal?.aborted && !signal?.aborted) {
           try {
             const qs = `queue_id=${encodeURIComponent(queueId)}&last_event_id=${lastEventId}`;
-            const result = await zulipApi(creds, `/events?${qs}`, 'GET', undefined, { timeoutMs: POLL_TIMEOUT_MS });
+            const result = await zulipApi(queueCreds, `/events?${qs}`, 'GET', undefined, { timeoutMs: POLL_TIMEOUT_MS, longPoll: true });
 
+            if (result.result === 'success') health.lastEventAt = Date.now();
             if (result.result !== 'success') {
-              if (String(result.msg).includes('BAD_EVENT_QUEUE_ID')) {
-                ctx.log?.warn?.('[zulip] Queue expired, re-registering...');
-                const reReg = await zulipApi(creds, '/register', 'POST', {
-                  event_types: JSON.stringify(['message', 'reaction']),
-                });
+              if (result.code === 'BAD_EVENT_QUEUE_ID') {
+                ctx.log?.warn?.(`[zulip] Queue expired for ${queueCreds.email}, re-registering...`);
+                const reReg = await register();
                 if (reReg.result === 'success') {
                   queueId = reReg.queue_id;
                   lastEventId = reReg.last_event_id;
-                  ctx.log?.info?.('[zulip] Re-registered event queue');
+                  health.reregistrations++;
+                  ctx.log?.info?.(`[zulip] Re-registered event queue for ${queueCreds.email}`);
+                  await onReregistered?.();
                 }
               } else {
                 ctx.log?.error?.(`[zulip] Poll failed: ${result.msg}`);
@@ -401,160 +2485,12 @@ const zulipPlugin = {
             }
 
             for (const event of result.events) {
+              if (signal?.aborted) break;
               lastEventId = event.id;
-
-              if (event.type === 'message') {
-                const msg = event.message;
-                if (msg.sender_id === myUserId) continue;
-
-                const isStream = msg.type === 'stream';
-                const chatId = isStream
-                  ? `stream:${msg.display_recipient}`
-                  : `private:${msg.sender_email}`;
-                const from = isStream
-                  ? `zulip:${msg.display_recipient}`
-                  : `zulip:${msg.sender_id}`;
-                const text = msg.content.replace(/<[^>]*>/g, '');
-
-                ctx.log?.info?.(`[zulip] Received message from ${msg.sender_full_name} in ${chatId}`);
-
-                // Fetch recent topic/DM context for ThreadStarterBody
-                let threadStarterBody;
-                try {
-                  const contextNarrow = [];
-                  if (isStream) {
-                    contextNarrow.push({ operator: 'stream', operand: msg.display_recipient });
-                    contextNarrow.push({ operator: 'topic', operand: msg.subject });
-                  } else {
-                    contextNarrow.push({ operator: 'dm', operand: [creds.email, msg.sender_email] });
-                  }
-
-                  const CONTEXT_LIMIT = 15;
-                  const contextQs = new URLSearchParams({
-                    narrow: JSON.stringify(contextNarrow),
-                    num_before: String(CONTEXT_LIMIT),
-                    num_after: '0',
-                    anchor: String(msg.id),
-                  }).toString();
-
-                  const contextResult = await zulipApi(creds, `/messages?${contextQs}`);
-                  if (contextResult.result === 'success' && contextResult.messages?.length > 0) {
-                    const formatted = contextResult.messages.map(m => {
-                      const name = m.sender_id === myUserId ? '(bot)' : m.sender_full_name;
-                      const content = m.content.replace(/<[^>]*>/g, '');
-                      const reactions = (m.reactions ?? []).map(r => r.emoji_name);
-                      const reactStr = reactions.length > 0 ? ` [reacts: ${reactions.join(', ')}]` : '';
-                      return `[${name}] (id:${m.id}) ${content}${reactStr}`;
-                    }).join('\n');
-                    const label = isStream
-                      ? `Recent messages in #${msg.display_recipient} > ${msg.subject}`
-                      : `Recent DM history`;
-                    threadStarterBody = `${label}:\n${formatted}`;
-                  }
-                } catch (err) {
-                  ctx.log?.warn?.(`[zulip] Failed to fetch context: ${err.message}`);
-                }
-
-                // Resolve persona for this message (if config exists)
-                let personaContent = null;
-                let personaDisplayName = null;
-                const personasConfig = loadPersonasConfig();
-                if (personasConfig && isStream) {
-                  const personaId = resolvePersonaForMessage(personasConfig, msg.display_recipient, text);
-                  if (personaId) {
-                    personaContent = loadPersonaContent(personasConfig, personaId);
-                    if (personaContent) {
-                      // Get display name from first trigger (capitalized)
-                      const persona = personasConfig.personas[personaId];
-                      personaDisplayName = persona?.triggers?.[0] ?? personaId;
-                      ctx.log?.info?.(`[zulip] Using persona: ${personaDisplayName}`);
-                    }
-                  }
-                }
-
-                // Dispatch through OpenClaw's inbound message system
-                try {
-                  const runtime = getPluginRuntime();
-                  const cfg = runtime.config.loadConfig();
-
-                  // Resolve agent route for this message
-                  const peer = isStream
-                    ? { kind: 'channel', id: `${msg.display_recipient}:${msg.subject}` }
-                    : { kind: 'direct', id: String(msg.sender_id) };
-                  const route = runtime.channel.routing.resolveAgentRoute({
-                    channel: 'zulip-openclaw',
-                    accountId: account.accountId,
-                    peer,
-                    cfg,
-                  });
-
-                  // Build inbound context (matching OpenClaw's expected shape)
-                  // Prepend persona content to thread starter body if available
-                  let fullThreadStarterBody = threadStarterBody;
-                  if (personaContent) {
-                    const personaSection = `You are responding as this persona:\n---\n${personaContent}\n---\n\nDo not prefix your response with your name — the system will add it automatically.\n\n`;
-                    fullThreadStarterBody = personaSection + (threadStarterBody ?? '');
-                  }
-
-                  const inboundCtx = runtime.channel.reply.finalizeInboundContext({
-                    Body: text,
-                    RawBody: text,
-                    From: from,
-                    To: `zulip:${account.email}`,
-                    SessionKey: route.sessionKey,
-                    AccountId: route.accountId,
-                    ChatType: isStream ? 'group' : 'direct',
-                    SenderName: msg.sender_full_name,
-                    SenderId: String(msg.sender_id),
-                    SenderUsername: msg.sender_email,
-                    Provider: 'zulip-openclaw',
-                    Surface: 'zulip',
-                    MessageSid: String(msg.id),
-                    Timestamp: msg.timestamp * 1000,
-                    ThreadId: isStream ? msg.subject : undefined,
-                    GroupSubject: isStream ? msg.display_recipient : undefined,
-                    CommandAuthorized: true,
-                    ThreadStarterBody: fullThreadStarterBody,
-                  });
-
-                  // Send reply back to Zulip
-                  const replyTarget = isStream ? msg.display_recipient : msg.sender_email;
-                  const replyType = isStream ? 'stream' : 'private';
-                  const replyTopic = isStream ? msg.subject : undefined;
-
-                  await runtime.channel.reply.dispatchReplyWithBufferedBlockDispatcher({
-                    ctx: inboundCtx,
-                    cfg,
-                    dispatcherOptions: {
-                      deliver: async (payload) => {
-                        let replyText = typeof payload === 'string' ? payload : (payload.body ?? payload.text ?? '');
-                        if (!replyText) return;
-
-                        // Prefix with persona name if available
-                        if (personaDisplayName) {
-                          replyText = `[${personaDisplayName}] ${replyText}`;
-                        }
-
-                        const data = { type: replyType, to: replyTarget, content: replyText };
-                        if (replyTopic) data.topic = replyTopic;
-
-                        const sendResult = await zulipApi(creds, '/messages', 'POST', data);
-                        if (sendResult.result !== 'success') {
-                          ctx.log?.error?.(`[zulip] Failed to send reply: ${sendResult.msg}`);
-                        }
-                      },
-                      onError: (err) => {
-                        ctx.log?.error?.(`[zulip] Dispatch error: ${String(err)}`);
-                      },
-                    },
-                  });
-                } catch (dispatchErr) {
-                  ctx.log?.error?.(`[zulip] Failed to dispatch message: ${dispatchErr.message}`);
-                }
-              }
+              await onEvent(event);
             }
           } catch (err) {
-            if (err.name === 'TimeoutError') {
+            if (err.code === 'TIMEOUT') {
               // Normal — long-poll timed out with no events, just retry
               continue;
             }
@@ -564,18 +2500,141 @@ const zulipPlugin = {
         }
       };
 
-      poll();
+      // A DM to a persona bot goes to that persona. The main queue already
+      // sees group DMs that include the main bot.
+      const handlePersonaDm = async (bot, msg) => {
+        if (msg.type === 'stream') return;
+        contextCache.record(conversationKeyFor(msg, bot), msg);
+        if (ourBotIds.has(msg.sender_id)) return;
+        if (msg.display_recipient.some(r => r.id === myUserId)) return;
+
+        const sender = { id: msg.sender_id, email: msg.sender_email, fullName: msg.sender_full_name };
+        const access = await resolveSenderAccess({
+          creds,
+          cfg: loadLiveConfig(ctx),
+          account,
+          runtime: pluginRuntime,
+          sender,
+          isDirect: true,
+        });
+        if (!access.allowed) {
+          if (access.policy === 'pairing') {
+            await sendPairingRequest({ creds: bot.creds, runtime: pluginRuntime, msg, log: ctx.log });
+          } else {
+            ctx.log?.info?.(`[zulip] Ignoring DM to ${bot.creds.email} from ${msg.sender_email} (dmPolicy: ${access.policy})`);
+          }
+          return;
+        }
+
+        ctx.log?.info?.(`[zulip] Received DM for persona ${bot.personaId} from ${msg.sender_full_name}`);
+        const text = zulipHtmlToMarkdown(msg.content, { site: bot.creds.site });
+        if (await handleCommand({ msg, text, identity: bot, commandAuthorized: access.commandAuthorized })) return;
+
+        await dispatchInbound({
+          msg,
+          sender,
+          body: text,
+          wasMentioned: true,
+          commandAuthorized: access.commandAuthorized,
+          identity: bot,
+          personaId: bot.personaId,
+        });
+      };
+
+      // Each persona bot listens on a DM-only queue of its own
+      const startPersonaQueue = async (bot) => {
+        const register = () => zulipApi(bot.creds, '/register', 'POST', {
+          event_types: JSON.stringify(['message']),
+          narrow: JSON.stringify([['is', 'private']]),
+        });
+        const result = await register();
+        if (result.result !== 'success') {
+          ctx.log?.error?.(`[zulip] Failed to register event queue for persona bot ${bot.creds.email}: ${result.msg}`);
+          return;
+        }
+        ctx.log?.info?.(`[zulip] Listening for DMs to persona ${bot.personaId} (${bot.creds.email})`);
+        await pollQueue({
+          queueCreds: bot.creds,
+          register,
+          queueId: result.queue_id,
+          lastEventId: result.last_event_id,
+          signal: bot.abort.signal,
+          onEvent: async (event) => {
+            if (event.type !== 'message') return;
+            try {
+              await handlePersonaDm(bot, event.message);
+            } catch (err) {
+              ctx.log?.error?.(`[zulip] Failed to handle DM ${event.message?.id} to ${bot.creds.email}: ${err.message}`);
+            }
+          },
+        });
+      };
+
+      // Persona bots follow the personas file: a bot that is added or whose
+      // account changes signs in and starts listening, and one that is
+      // removed stops. Checked before each event on the main queue.
+      let personaBotsConfig;
+      let personaBotsSync = Promise.resolve();
+      const sameCreds = (a, b) => a.email === b.email && a.apiKey === b.apiKey && a.site === b.site;
+      const stopPersonaBot = (bot) => {
+        bot.abort.abort();
+        personaBots.delete(bot.personaId);
+        if (bot.userId !== myUserId) ourBotIds.delete(bot.userId);
+        ctx.log?.info?.(`[zulip] Stopped listening for DMs to persona ${bot.personaId} (${bot.creds.email})`);
+      };
+      const startPersonaBot = (bot) => {
+        bot.abort = new AbortController();
+        personaBots.set(bot.personaId, bot);
+        ourBotIds.add(bot.userId);
+        startPersonaQueue(bot).catch(err => {
+          ctx.log?.error?.(`[zulip] Persona bot ${bot.creds.email} stopped listening: ${err.message}`);
+        });
+      };
+      const syncPersonaBots = () => {
+        if (loadPersonasConfig() === personaBotsConfig) return personaBotsSync;
+        personaBotsSync = personaBotsSync.then(async () => {
+          const config = loadPersonasConfig();
+          if (config === personaBotsConfig) return;
+          personaBotsConfig = config;
+
+          const changed = {};
+          for (const [personaId, persona] of Object.entries(config?.personas ?? {})) {
+            if (!persona?.bot) continue;
+            const running = personaBots.get(personaId);
+            const wanted = personaBotCredentials(persona, creds);
+            if (!running || !wanted || !sameCreds(running.creds, wanted)) changed[personaId] = persona;
+          }
+          for (const bot of [...personaBots.values()]) {
+            if (!config?.personas?.[bot.personaId]?.bot || bot.personaId in changed) stopPersonaBot(bot);
+          }
+          const started = await loadPersonaBots({ personas: changed }, creds, ctx.log);
+          for (const bot of started.values()) startPersonaBot(bot);
+        }).catch(err => {
+          ctx.log?.error?.(`[zulip] Failed to update persona bots: ${err.message}`);
+        });
+        return personaBotsSync;
+      };
+      await syncPersonaBots();
+
+      backfill('while the gateway was offline').then(() => pollQueue({
+        queueCreds: creds,
+        register: registerQueue,
+        queueId: registerResult.queue_id,
+        lastEventId: registerResult.last_event_id,
+        onEvent: handleEvent,
+        onReregistered: () => backfill('while the event queue was down'),
+      }));
     },
   },
 
   status: {
     probeAccount: async ({ account, timeoutMs }) => {
-      const creds = { email: account.email, apiKey: account.apiKey, site: account.site };
+      const creds = accountCredentials(account);
       try {
-        const result = await zulipApi(creds, '/users/me');
+        const result = await zulipApi(creds, '/users/me', 'GET', undefined, { timeoutMs });
         return result.user_id
           ? { ok: true, name: result.full_name }
-          : { ok: false, error: result.msg };
+          : { ok: false, error: result.msg, code: result.code };
       } catch (err) {
         return { ok: false, error: err.message };
       }
@@ -585,4 +2644,44 @@ const zulipPlugin = {
 
 // --- Export & Registration ---
 
-module.exports = { zulipPlugin, zulipApi, loadCredentials, setPluginRuntime };
+module.exports = {
+  zulipPlugin,
+  zulipApi,
+  ZulipApiError,
+  loadCredentials,
+  resolveCredentials,
+  noAccountError,
+  postMessage,
+  resolveStreamPolicy,
+  isBotMentioned,
+  isSenderAllowed,
+  resolveSenderAccess,
+  resolveReactionOptions,
+  classifyReaction,
+  reactionMayApply,
+  createStreamingReply,
+  createTypingIndicator,
+  typingTarget,
+  resolveEditMode,
+  conversationKey,
+  sessionPeer,
+  dmParticipants,
+  isGroupDm,
+  formatEditNotes,
+  topicPeerId,
+  currentTopicLocation,
+  recordTopicMove,
+  reclaimTopic,
+  sessionReset,
+  recordSessionReset,
+  routedPeer,
+  runManagementAction,
+  personaBotCredentials,
+  loadPersonaBots,
+  findMentionedPersona,
+  fetchMissedMessages,
+  loadOutboundMedia,
+  uploadMedia,
+  extractUploadPaths,
+  setPluginRuntime,
+};
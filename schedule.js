@@ -0,0 +1,259 @@
+/**
+ * Scheduled messages
+ *
+ * Wraps Zulip's `/scheduled_messages` endpoints so the agent can follow
+ * through on "I'll post the summary Friday at 9". Delivery times are ISO
+ * timestamps, relative offsets ("in 2 hours", "+30m"), or a day and time
+ * ("tomorrow 9:00", "friday at 9am"). Times without an explicit offset are
+ * read in the recipient's timezone for DMs, otherwise in the configured
+ * timezone (UTC by default).
+ */
+
+const { zulipApi } = require('./client.js');
+const { resolveSendTarget } = require('./targets.js');
+const { getUserProfile, localTime, timezoneOffset } = require('./users.js');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const UNIT_MS = { m: 60_000, h: 3_600_000, d: 86_400_000, w: 7 * 86_400_000 };
+const RELATIVE_PART = /(\d+)\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?|w|weeks?)(?![a-z])/gi;
+const ISO_WITH_OFFSET = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i;
+const ISO_LOCAL = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/i;
+const DAY_AND_TIME = /^(today|tomorrow|sun|mon|tue|wed|thu|fri|sat)[a-z]*\s+(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i;
+
+function invalid(error) {
+  return { ok: false, error, code: 'INVALID_PARAMS' };
+}
+
+// The instant a wall-clock time in `timezone` falls on. Around a DST change
+// the offset is re-checked at the candidate instant.
+function wallClockToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timezone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const check = new Date(guess);
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) return null;
+  const offset = timezoneOffset(timezone, check);
+  let ms = guess - offset * 60_000;
+  const corrected = timezoneOffset(timezone, new Date(ms));
+  if (corrected !== offset) ms = guess - corrected * 60_000;
+  return new Date(ms);
+}
+
+// The calendar date `daysAhead` days after today in `timezone`
+function zonedDate(now, timezone, daysAhead = 0) {
+  const local = new Date(now.getTime() + timezoneOffset(timezone, now) * 60_000 + daysAhead * UNIT_MS.d);
+  return { year: local.getUTCFullYear(), month: local.getUTCMonth() + 1, day: local.getUTCDate(), weekday: local.getUTCDay() };
+}
+
+/**
+ * Parse a delivery time.
+ *
+ * @param {string|number} input - ISO timestamp, relative offset, day and time, or Unix seconds
+ * @param {object} [opts]
+ * @param {string} [opts.timezone] - IANA timezone for times without an offset (default UTC)
+ * @param {Date} [opts.now]
+ * @returns {{ ok: true, date: Date } | { ok: false, error: string, code: string }}
+ */
+function parseScheduleTime(input, { timezone = 'UTC', now = new Date() } = {}) {
+  const raw = String(input ?? '').trim();
+  if (!raw) return invalid('A delivery time is required');
+  if (timezoneOffset(timezone, now) === null) return invalid(`Unknown timezone: ${timezone}`);
+
+  let date = null;
+  const relative = raw.replace(/^(in\s+|\+)/i, '');
+  const parts = [...relative.matchAll(RELATIVE_PART)];
+  const leftover = relative.replace(RELATIVE_PART, '').replace(/\s|,|\band\b/gi, '');
+  let match;
+
+  if (/^\d{9,10}$/.test(raw)) {
+    date = new Date(Number(raw) * 1000);
+  } else if (parts.length > 0 && leftover === '') {
+    const ms = parts.reduce((sum, [, n, unit]) => sum + Number(n) * UNIT_MS[unit[0].toLowerCase()], 0);
+    date = new Date(now.getTime() + ms);
+  } else if (ISO_WITH_OFFSET.test(raw)) {
+    date = new Date(raw);
+  } else if ((match = ISO_LOCAL.exec(raw))) {
+    const [, year, month, day, hour, minute, second] = match;
+    if (hour === undefined) return invalid(`"${raw}" needs a time of day, e.g. ${raw}T09:00`);
+    date = wallClockToDate({
+      year: Number(year), month: Number(month), day: Number(day),
+      hour: Number(hour), minute: Number(minute), second: Number(second ?? 0),
+    }, timezone);
+  } else if ((match = DAY_AND_TIME.exec(raw))) {
+    const [, dayName, hourText, minute, meridiem] = match;
+    let hour = Number(hourText);
+    if (meridiem) {
+      if (hour < 1 || hour > 12) return invalid(`"${raw}" is not a valid time`);
+      hour = (hour % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+    }
+    const day = dayName.toLowerCase();
+    const today = zonedDate(now, timezone);
+    let daysAhead = day === 'today' ? 0 : day === 'tomorrow' ? 1 : null;
+    if (daysAhead === null) {
+      const weekday = WEEKDAYS.findIndex(w => w.startsWith(day.slice(0, 3)));
+      daysAhead = (weekday - today.weekday + 7) % 7;
+    }
+    const at = (ahead) => wallClockToDate({ ...zonedDate(now, timezone, ahead), hour, minute: Number(minute ?? 0) }, timezone);
+    date = at(daysAhead);
+    // "friday 9:00" on a Friday afternoon means next Friday
+    if (date && date <= now && !['today', 'tomorrow'].includes(day)) date = at(daysAhead + 7);
+  } else {
+    return invalid(`Unrecognized time "${raw}": use an ISO timestamp, an offset like "in 2 hours", or a day and time like "friday 9:00"`);
+  }
+
+  if (!date || Number.isNaN(date.getTime())) return invalid(`"${raw}" is not a valid time`);
+  if (date <= now) return invalid(`"${raw}" is in the past`);
+  return { ok: true, date };
+}
+
+async function streamId(creds, target) {
+  if (target.streamId) return { ok: true, id: target.streamId };
+  // Public streams the bot isn't subscribed to aren't in the directory
+  const result = await zulipApi(creds, `/get_stream_id?${new URLSearchParams({ stream: target.to })}`);
+  if (result.result !== 'success') return { ok: false, error: result.msg, code: result.code };
+  return { ok: true, id: result.stream_id };
+}
+
+/**
+ * Resolve a target to what `/scheduled_messages` takes: a stream ID, or
+ * recipient user IDs with the timezone they share, if any.
+ */
+async function resolveScheduleTarget(creds, to, topic) {
+  const target = await resolveSendTarget(creds, to, { topic });
+  if (!target.ok) return target;
+  if (target.type === 'stream') {
+    const stream = await streamId(creds, target);
+    if (!stream.ok) return stream;
+    return { ok: true, type: 'stream', to: stream.id, topic: target.topic, name: target.name, timezone: null };
+  }
+
+  const users = [];
+  for (const recipient of target.recipients) {
+    const profile = await getUserProfile(creds, recipient);
+    if (!profile.ok) return profile;
+    users.push(profile.user);
+  }
+  const timezones = new Set(users.map(u => u.timezone));
+  return {
+    ok: true,
+    type: 'direct',
+    to: users.map(u => u.id),
+    name: users.map(u => u.fullName).join(', '),
+    timezone: timezones.size === 1 ? users[0].timezone : null,
+  };
+}
+
+async function findScheduledMessage(creds, id) {
+  const list = await listScheduledMessages(creds);
+  if (!list.ok) return list;
+  const found = list.scheduled.find(m => m.id === Number(id));
+  return found ? { ok: true, message: found } : { ok: false, error: `No scheduled message has ID ${id}`, code: 'NOT_FOUND' };
+}
+
+/**
+ * Schedule a message, or change one that is already scheduled.
+ *
+ * @param {object} creds
+ * @param {object} params
+ * @param {string} [params.to] - Target in any form `parseTarget` accepts (required unless editing)
+ * @param {string} [params.message] - Content (required unless editing)
+ * @param {string} [params.topic] - Topic for stream messages (default `chat`)
+ * @param {string} [params.at] - Delivery time (required unless editing)
+ * @param {string} [params.timezone] - Timezone for times without an offset
+ * @param {string|number} [params.scheduledMessageId] - Edit this scheduled message instead
+ * @param {object} [opts]
+ * @param {string} [opts.defaultTimezone] - Used when the recipient's timezone isn't known
+ */
+async function scheduleMessage(creds, params, { defaultTimezone } = {}) {
+  const editId = params.scheduledMessageId ?? params.id;
+  const content = params.message ?? params.content;
+  const at = params.at ?? params.time ?? params.when;
+  const to = params.to ?? params.target;
+  const topic = params.topic ?? params.threadId;
+
+  if (editId !== undefined && !/^\d+$/.test(String(editId))) return invalid('scheduledMessageId must be a number');
+  if (editId === undefined) {
+    if (!to) return invalid('A target is required');
+    if (!content) return invalid('A message is required');
+    if (!at) return invalid('A delivery time is required');
+  }
+
+  // The target decides the timezone; an edit that keeps its target uses the scheduled one
+  let target = null;
+  if (to) {
+    target = await resolveScheduleTarget(creds, to, topic);
+    if (!target.ok) return target;
+  } else if (at) {
+    const existing = await findScheduledMessage(creds, editId);
+    if (!existing.ok) return existing;
+    const { type, to: existingTo } = existing.message;
+    target = await resolveScheduleTarget(creds, type === 'stream' ? `stream:${existingTo}` : JSON.stringify(existingTo));
+    if (!target.ok) return target;
+  }
+
+  const timezone = params.timezone ?? target?.timezone ?? defaultTimezone ?? 'UTC';
+  const data = {};
+  let deliverAt = null;
+  if (at) {
+    const time = parseScheduleTime(at, { timezone });
+    if (!time.ok) return time;
+    deliverAt = time.date;
+    data.scheduled_delivery_timestamp = String(Math.floor(deliverAt.getTime() / 1000));
+  }
+  if (to) {
+    data.type = target.type;
+    data.to = target.type === 'stream' ? String(target.to) : JSON.stringify(target.to);
+    if (target.type === 'stream') data.topic = target.topic;
+  } else if (topic) {
+    data.topic = topic;
+  }
+  if (content) data.content = content;
+
+  const result = editId !== undefined
+    ? await zulipApi(creds, `/scheduled_messages/${editId}`, 'PATCH', data)
+    : await zulipApi(creds, '/scheduled_messages', 'POST', data);
+  if (result.result !== 'success') return { ok: false, error: result.msg, code: result.code };
+
+  return {
+    ok: true,
+    scheduledMessageId: editId !== undefined ? Number(editId) : result.scheduled_message_id,
+    ...(target ? { target: target.name } : {}),
+    ...(deliverAt ? {
+      deliverAt: deliverAt.toISOString(),
+      timezone,
+      localTime: localTime(timezone, deliverAt).localTime,
+    } : {}),
+  };
+}
+
+/**
+ * The bot's scheduled messages that have not been sent yet.
+ */
+async function listScheduledMessages(creds) {
+  const result = await zulipApi(creds, '/scheduled_messages');
+  if (result.result !== 'success') return { ok: false, error: result.msg, code: result.code };
+  const scheduled = (result.scheduled_messages ?? [])
+    .map(m => ({
+      id: m.scheduled_message_id,
+      type: m.type === 'stream' ? 'stream' : 'direct',
+      to: m.to,
+      topic: m.type === 'stream' ? m.topic : undefined,
+      content: m.content,
+      deliverAt: new Date(m.scheduled_delivery_timestamp * 1000).toISOString(),
+      failed: Boolean(m.failed),
+    }))
+    .sort((a, b) => a.deliverAt.localeCompare(b.deliverAt));
+  return { ok: true, scheduled };
+}
+
+async function cancelScheduledMessage(creds, id) {
+  if (!/^\d+$/.test(String(id ?? ''))) return invalid('scheduledMessageId must be a number');
+  const result = await zulipApi(creds, `/scheduled_messages/${id}`, 'DELETE');
+  if (result.result !== 'success') return { ok: false, error: result.msg, code: result.code };
+  return { ok: true, scheduledMessageId: Number(id) };
+}
+
+module.exports = {
+  parseScheduleTime,
+  scheduleMessage,
+  listScheduledMessages,
+  cancelScheduledMessage,
+};
@@ -0,0 +1,212 @@
+/**
+ * Message search over Zulip's narrow language
+ *
+ * Builds a narrow from structured parameters (keywords, stream, topic,
+ * sender, has:/is: filters), pages through results with opaque
+ * `older:<id>` / `newer:<id>` cursors, and returns each hit with its
+ * Markdown content, keyword highlights, and a permalink. Zulip has no date
+ * operator, so `after`/`before` are applied to the fetched messages; pages
+ * entirely outside the range are skipped, up to MAX_DATE_SKIP_PAGES calls.
+ */
+
+const { zulipApi } = require('./client.js');
+const { zulipHtmlToMarkdown } = require('./markdown.js');
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+// Pages fetched while looking for the date range before returning a cursor
+const MAX_DATE_SKIP_PAGES = 5;
+const HAS_OPERANDS = ['link', 'attachment', 'image', 'reaction'];
+const IS_OPERANDS = ['starred', 'mentioned', 'alerted', 'unread', 'resolved', 'dm', 'followed'];
+
+function invalid(error) {
+  return { ok: false, error, code: 'INVALID_PARAMS' };
+}
+
+function asList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(',')).map(v => String(v).trim()).filter(Boolean);
+}
+
+function parseDate(value, name) {
+  if (value === undefined || value === null || value === '') return { ok: true, ms: null };
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? invalid(`${name} is not a valid date: ${value}`) : { ok: true, ms };
+}
+
+/**
+ * Build a Zulip narrow from search parameters.
+ * @returns {{ ok: true, narrow: object[] } | { ok: false, error: string, code: string }}
+ */
+function buildSearchNarrow(params) {
+  const narrow = [];
+  const stream = params.stream ?? params.channelId;
+
+  if (stream) narrow.push({ operator: 'stream', operand: String(stream).replace(/^stream:/, '') });
+  else if (params.public) narrow.push({ operator: 'streams', operand: 'public' });
+  if (params.topic) narrow.push({ operator: 'topic', operand: params.topic });
+  if (params.sender) narrow.push({ operator: 'sender', operand: /^\d+$/.test(params.sender) ? Number(params.sender) : params.sender });
+
+  for (const has of asList(params.has)) {
+    if (!HAS_OPERANDS.includes(has)) return invalid(`has must be one of ${HAS_OPERANDS.join(', ')}`);
+    narrow.push({ operator: 'has', operand: has });
+  }
+  for (const is of asList(params.is)) {
+    if (!IS_OPERANDS.includes(is)) return invalid(`is must be one of ${IS_OPERANDS.join(', ')}`);
+    narrow.push({ operator: 'is', operand: is });
+  }
+  if (params.query?.trim()) narrow.push({ operator: 'search', operand: params.query.trim() });
+
+  return { ok: true, narrow };
+}
+
+// Zulip's URL-hash encoding: percent-encode, then `%` becomes `.`
+function encodeHashComponent(value) {
+  return encodeURIComponent(value).replace(/\./g, '%2E').replace(/%/g, '.');
+}
+
+/**
+ * Link that opens the message in its conversation.
+ */
+function permalink(site, msg) {
+  const base = site.replace(/\/$/, '');
+  if (msg.type === 'stream') {
+    const slug = `${msg.stream_id}-${encodeHashComponent(String(msg.display_recipient).replace(/ /g, '-'))}`;
+    return `${base}/#narrow/stream/${slug}/topic/${encodeHashComponent(msg.subject)}/near/${msg.id}`;
+  }
+  const ids = (Array.isArray(msg.display_recipient) ? msg.display_recipient : []).map(r => r.id).join(',');
+  return `${base}/#narrow/dm/${ids}-dm/near/${msg.id}`;
+}
+
+// Zulip marks keyword matches in `match_content` / `match_subject` with
+// <span class="highlight">; render those as bold Markdown
+function renderHighlight(html, site) {
+  if (!html) return undefined;
+  const marked = html.replace(/<span class="highlight">([\s\S]*?)<\/span>/g, '<strong>$1</strong>');
+  return zulipHtmlToMarkdown(marked, { site });
+}
+
+function parseCursor(cursor) {
+  const match = /^(older|newer):(\d+)$/.exec(String(cursor));
+  return match ? { direction: match[1], id: Number(match[2]) } : null;
+}
+
+// GET /messages paging for the requested position
+function pageRequest(params, limit) {
+  if (params.cursor) {
+    const cursor = parseCursor(params.cursor);
+    if (!cursor) return invalid(`Invalid cursor: ${params.cursor}`);
+    return cursor.direction === 'older'
+      ? { ok: true, anchor: String(cursor.id), numBefore: limit, numAfter: 0, includeAnchor: false }
+      : { ok: true, anchor: String(cursor.id), numBefore: 0, numAfter: limit, includeAnchor: false };
+  }
+  if (params.near) {
+    const half = Math.floor(limit / 2);
+    return { ok: true, anchor: String(params.near), numBefore: half, numAfter: limit - half - 1, includeAnchor: true };
+  }
+  const anchor = params.anchor ?? 'newest';
+  if (anchor === 'oldest') return { ok: true, anchor, numBefore: 0, numAfter: limit, includeAnchor: true };
+  return { ok: true, anchor: String(anchor), numBefore: limit, numAfter: 0, includeAnchor: true };
+}
+
+/**
+ * Search messages.
+ *
+ * @param {object} creds
+ * @param {object} params
+ * @param {string} [params.query] - Keywords (Zulip full-text search)
+ * @param {string} [params.stream]
+ * @param {string} [params.topic]
+ * @param {string} [params.sender] - Email or user ID
+ * @param {string|string[]} [params.has] - link, attachment, image, reaction
+ * @param {string|string[]} [params.is] - starred, mentioned, alerted, unread, resolved, dm, followed
+ * @param {string} [params.after] - Only messages at or after this date/time
+ * @param {string} [params.before] - Only messages before this date/time
+ * @param {boolean} [params.public] - Search all public streams, not only the bot's
+ * @param {number} [params.limit]
+ * @param {string|number} [params.anchor] - newest (default), oldest, or a message ID
+ * @param {string|number} [params.near] - Center the page on this message ID
+ * @param {string} [params.cursor] - From a previous result's `cursors`
+ */
+async function searchMessages(creds, params = {}) {
+  const built = buildSearchNarrow(params);
+  if (!built.ok) return built;
+  const after = parseDate(params.after, 'after');
+  if (!after.ok) return after;
+  const before = parseDate(params.before, 'before');
+  if (!before.ok) return before;
+
+  const limit = Math.min(Math.max(Number(params.limit) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+  const page = pageRequest(params, limit);
+  if (!page.ok) return page;
+
+  const fetchPage = ({ anchor, numBefore, numAfter, includeAnchor }) => {
+    const qs = new URLSearchParams({
+      narrow: JSON.stringify(built.narrow),
+      anchor,
+      num_before: String(numBefore),
+      num_after: String(numAfter),
+      include_anchor: String(includeAnchor),
+    }).toString();
+    return zulipApi(creds, `/messages?${qs}`);
+  };
+  const inRange = m => (after.ms === null || m.timestamp * 1000 >= after.ms) && (before.ms === null || m.timestamp * 1000 < before.ms);
+
+  let result = await fetchPage(page);
+  if (result.result !== 'success') return { ok: false, error: result.msg, code: result.code };
+  let fetched = result.messages ?? [];
+
+  // A page that is all newer than `before` (paging back) or all older than
+  // `after` (paging forward) holds no hits; keep going toward the range
+  let skippedNewer = false;
+  let skippedOlder = false;
+  for (let calls = 1; calls < MAX_DATE_SKIP_PAGES && fetched.length > 0; calls++) {
+    const oldest = fetched[0];
+    const newest = fetched[fetched.length - 1];
+    let next;
+    if (page.numAfter === 0 && before.ms !== null && !result.found_oldest && oldest.timestamp * 1000 >= before.ms) {
+      next = { anchor: String(oldest.id), numBefore: limit, numAfter: 0, includeAnchor: false };
+      skippedNewer = true;
+    } else if (page.numBefore === 0 && after.ms !== null && !result.found_newest && newest.timestamp * 1000 < after.ms) {
+      next = { anchor: String(newest.id), numBefore: 0, numAfter: limit, includeAnchor: false };
+      skippedOlder = true;
+    } else {
+      break;
+    }
+    result = await fetchPage(next);
+    if (result.result !== 'success') return { ok: false, error: result.msg, code: result.code };
+    fetched = result.messages ?? [];
+  }
+
+  const messages = fetched
+    .filter(inRange)
+    .map(m => ({
+      id: String(m.id),
+      stream: m.type === 'stream' ? m.display_recipient : undefined,
+      topic: m.type === 'stream' ? m.subject : undefined,
+      sender: m.sender_full_name,
+      senderEmail: m.sender_email,
+      timestamp: m.timestamp,
+      content: zulipHtmlToMarkdown(m.content, { site: creds.site }),
+      highlight: renderHighlight(m.match_content, creds.site),
+      topicHighlight: renderHighlight(m.match_subject, creds.site),
+      permalink: permalink(creds.site, m),
+    }));
+
+  // Stop paging past the date range
+  const oldest = fetched[0];
+  const newest = fetched[fetched.length - 1];
+  const olderDone = result.found_oldest || skippedOlder || !oldest || (after.ms !== null && oldest.timestamp * 1000 < after.ms);
+  const newerDone = result.found_newest || skippedNewer || !newest || (before.ms !== null && newest.timestamp * 1000 >= before.ms);
+  const cursors = {};
+  if (!olderDone) cursors.older = `older:${oldest.id}`;
+  if (!newerDone) cursors.newer = `newer:${newest.id}`;
+
+  return { ok: true, narrow: built.narrow, messages, cursors };
+}
+
+module.exports = {
+  searchMessages,
+  buildSearchNarrow,
+  permalink,
+};
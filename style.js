@@ -0,0 +1,275 @@
+/**
+ * Per-stream style rules
+ *
+ * `~/.openclaw/secrets/zulip-style.json` (under `$OPENCLAW_STATE_DIR` when
+ * set) holds a list of rules matched by stream, topic pattern, or DM. Every
+ * matching rule applies, in order; later rules override earlier ones and
+ * their instructions add up. The resulting style is described to the agent
+ * with the conversation context, and its hard limits — maximum length and
+ * allowed formatting — are enforced on the reply before it is sent.
+ */
+
+const { join } = require('path');
+const { loadWatchedJson, openclawDir, isObject, asList } = require('./jsonfile.js');
+
+const RULE_FIELDS = ['stream', 'topic', 'dm', 'instructions', 'maxLength', 'formatting', 'language', 'tone'];
+const FORMATTING_FEATURES = ['tables', 'headings', 'codeBlocks', 'mentions'];
+const TONE_PRESETS = {
+  formal: 'formal: complete sentences, a professional register, no slang or emoji',
+  casual: 'casual: relaxed and conversational',
+  concise: 'concise: lead with the answer, no preamble, as short as the question allows',
+  friendly: 'friendly: warm and encouraging',
+  technical: 'technical: precise terms and specifics such as commands, versions, and numbers',
+};
+const FORMATTING_NAMES = {
+  tables: 'tables',
+  headings: 'headings',
+  codeBlocks: 'code blocks',
+  mentions: '@-mentions',
+};
+
+function defaultStylePath() {
+  return join(openclawDir(), 'secrets', 'zulip-style.json');
+}
+
+/**
+ * Check a parsed style file and normalize it for matching.
+ * @returns {{ ok: true, config: object } | { ok: false, errors: string[] }}
+ */
+function validateStyleRules(raw) {
+  if (!isObject(raw) || !Array.isArray(raw.rules)) return { ok: false, errors: ['must be an object with a rules list'] };
+
+  const errors = [];
+  const rules = raw.rules.map((rule, i) => {
+    const where = `rules[${i}]`;
+    if (!isObject(rule)) {
+      errors.push(`${where} must be an object`);
+      return null;
+    }
+    for (const field of Object.keys(rule)) {
+      if (!RULE_FIELDS.includes(field)) errors.push(`${where} has unknown field "${field}"`);
+    }
+    if (rule.stream !== undefined && !asList(rule.stream).every(s => typeof s === 'string' && s !== '')) {
+      errors.push(`${where}.stream must be a stream name or a list of them`);
+    }
+    if (rule.dm !== undefined && typeof rule.dm !== 'boolean') errors.push(`${where}.dm must be true or false`);
+    if (rule.instructions !== undefined && typeof rule.instructions !== 'string') {
+      errors.push(`${where}.instructions must be a string`);
+    }
+    if (rule.maxLength !== undefined && !(Number.isInteger(rule.maxLength) && rule.maxLength > 0)) {
+      errors.push(`${where}.maxLength must be a positive number of characters`);
+    }
+    if (rule.language !== undefined && typeof rule.language !== 'string') errors.push(`${where}.language must be a string`);
+    if (rule.tone !== undefined && !Object.prototype.hasOwnProperty.call(TONE_PRESETS, rule.tone)) {
+      errors.push(`${where}.tone must be one of ${Object.keys(TONE_PRESETS).join(', ')}`);
+    }
+    if (rule.formatting !== undefined) {
+      if (!isObject(rule.formatting)) {
+        errors.push(`${where}.formatting must be an object of features`);
+      } else {
+        for (const [feature, allowed] of Object.entries(rule.formatting)) {
+          if (!FORMATTING_FEATURES.includes(feature)) {
+            errors.push(`${where}.formatting.${feature} is not one of ${FORMATTING_FEATURES.join(', ')}`);
+          } else if (typeof allowed !== 'boolean') {
+            errors.push(`${where}.formatting.${feature} must be true or false`);
+          }
+        }
+      }
+    }
+
+    let topic = null;
+    if (rule.topic !== undefined) {
+      try {
+        topic = new RegExp(rule.topic, 'i');
+      } catch (err) {
+        errors.push(`${where}.topic is not a valid pattern: ${err.message}`);
+      }
+    }
+    return {
+      ...rule,
+      streams: rule.stream === undefined ? null : asList(rule.stream).map(s => String(s).toLowerCase()),
+      topic,
+      dm: rule.dm ?? null,
+    };
+  });
+
+  if (errors.length > 0) return { ok: false, errors };
+  return { ok: true, config: { rules } };
+}
+
+/**
+ * The validated style rules, or null when there are none. The file is read
+ * once, then re-read whenever it changes.
+ */
+function loadStyleRules(path = defaultStylePath()) {
+  return loadWatchedJson(path, validateStyleRules, 'style rules');
+}
+
+function ruleMatches(rule, { stream, topic, isDirect }) {
+  if (rule.dm !== null && rule.dm !== isDirect) return false;
+  if (rule.streams && (isDirect || !rule.streams.some(s => s === '*' || s === String(stream).toLowerCase()))) return false;
+  if (rule.topic && (isDirect || !rule.topic.test(topic))) return false;
+  return true;
+}
+
+/**
+ * Merge the rules that apply to a conversation.
+ * @returns {{ instructions: string[], maxLength: number|null, formatting: object, language: string|null, tone: string|null } | null}
+ */
+function resolveStyle(config, { stream, topic, isDirect }) {
+  const matching = (config?.rules ?? []).filter(rule => ruleMatches(rule, { stream, topic, isDirect }));
+  if (matching.length === 0) return null;
+
+  const style = { instructions: [], maxLength: null, formatting: {}, language: null, tone: null };
+  for (const rule of matching) {
+    if (rule.instructions) style.instructions.push(rule.instructions);
+    if (rule.maxLength !== undefined) style.maxLength = rule.maxLength;
+    if (rule.language !== undefined) style.language = rule.language;
+    if (rule.tone !== undefined) style.tone = rule.tone;
+    Object.assign(style.formatting, rule.formatting);
+  }
+  return style;
+}
+
+// How the style reads in the agent's context
+function formatStyleInstructions(style) {
+  if (!style) return null;
+  const lines = [];
+  if (style.language) lines.push(`Reply in ${style.language}.`);
+  if (style.tone) lines.push(`Tone: ${TONE_PRESETS[style.tone]}.`);
+  if (style.maxLength) lines.push(`Keep replies under ${style.maxLength} characters; longer replies are cut off.`);
+  const banned = FORMATTING_FEATURES.filter(feature => style.formatting[feature] === false);
+  if (banned.length > 0) lines.push(`Do not use ${banned.map(f => FORMATTING_NAMES[f]).join(', ')}.`);
+  lines.push(...style.instructions);
+  if (lines.length === 0) return null;
+  return `Style rules for this conversation:\n${lines.map(line => `- ${line}`).join('\n')}`;
+}
+
+// --- Enforcement ---
+
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+function tableCells(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+// Tables become one bullet per row, each cell labeled with its header
+function tablesToLists(lines) {
+  const out = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].includes('|') || !TABLE_SEPARATOR.test(lines[i + 1] ?? '')) {
+      out.push(lines[i]);
+      continue;
+    }
+    const headers = tableCells(lines[i]);
+    i += 2;
+    for (; i < lines.length && lines[i].includes('|') && lines[i].trim() !== ''; i++) {
+      const cells = tableCells(lines[i]);
+      out.push(`- ${cells.map((cell, c) => (headers[c] ? `${headers[c]}: ${cell}` : cell)).join(', ')}`);
+    }
+    i--;
+  }
+  return out;
+}
+
+// Apply `transform` to each run of lines outside code fences
+function mapOutsideCode(lines, transform) {
+  const out = [];
+  let run = [];
+  let inFence = false;
+  for (const line of lines) {
+    if (FENCE_PATTERN.test(line)) {
+      if (!inFence) {
+        out.push(...transform(run));
+        run = [];
+      }
+      out.push(line);
+      inFence = !inFence;
+    } else if (inFence) {
+      out.push(line);
+    } else {
+      run.push(line);
+    }
+  }
+  out.push(...(inFence ? run : transform(run)));
+  return out;
+}
+
+/**
+ * Rewrite Markdown that the style does not allow.
+ */
+function enforceFormatting(text, formatting = {}) {
+  let lines = text.split('\n');
+  if (formatting.codeBlocks === false) lines = lines.filter(line => !FENCE_PATTERN.test(line));
+
+  lines = mapOutsideCode(lines, (run) => {
+    let result = run;
+    if (formatting.tables === false) result = tablesToLists(result);
+    if (formatting.headings === false) result = result.map(line => line.replace(/^\s*#{1,6}\s+(.+?)\s*#*\s*$/, '**$1**'));
+    if (formatting.mentions === false) {
+      // `@**Name**`, `@**Name|id**`, silent `@_**Name**`, and groups `@*team*`
+      result = result.map(line => line
+        .replace(/@_?\*\*([^*|]+)(?:\|\d+)?\*\*/g, '$1')
+        .replace(/@_?\*([^*\s][^*]*)\*/g, '$1'));
+    }
+    return result;
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Cut text to at most `maxLength` characters, at a paragraph, sentence, or
+ * word break where one is close enough, and mark the cut with an ellipsis.
+ */
+function truncateReply(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  if (maxLength <= 1) return '…'.slice(0, maxLength);
+
+  const room = text.slice(0, maxLength - 1);
+  const minimum = Math.floor(room.length * 0.6);
+  const breaks = [room.lastIndexOf('\n\n'), room.search(/[.!?](?=\s[^.!?]*$)/) + 1, room.lastIndexOf(' ')];
+  const cut = breaks.find(index => index > 0 && index >= minimum) ?? room.length;
+  return `${room.slice(0, cut).trimEnd()}…`;
+}
+
+/**
+ * Apply a style's formatting and length limits to a single message.
+ */
+function enforceStyle(text, style) {
+  if (!style || !text) return text;
+  const formatted = enforceFormatting(text, style.formatting);
+  return style.maxLength ? truncateReply(formatted, style.maxLength) : formatted;
+}
+
+/**
+ * Track one reply's length limit across the blocks it is delivered in. Each
+ * call formats a block and cuts it to the room left by the earlier blocks,
+ * its prefix, and the `separator` that joins it to them.
+ */
+function createReplyBudget(style, { separator = '' } = {}) {
+  let used = 0;
+  return (text, prefix = '') => {
+    if (!style || !text) return { text, cut: false };
+    let result = enforceFormatting(text, style.formatting);
+    if (!style.maxLength) return { text: result, cut: false };
+
+    const joint = used > 0 ? separator.length : 0;
+    const room = style.maxLength - used - joint - prefix.length;
+    const cut = result.length > room;
+    if (cut) result = room > 0 ? truncateReply(result, room) : '';
+    if (result) used += joint + prefix.length + result.length;
+    return { text: result, cut };
+  };
+}
+
+module.exports = {
+  loadStyleRules,
+  validateStyleRules,
+  resolveStyle,
+  formatStyleInstructions,
+  enforceFormatting,
+  truncateReply,
+  enforceStyle,
+  createReplyBudget,
+};
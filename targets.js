@@ -0,0 +1,267 @@
+/**
+ * Send targets
+ *
+ * One grammar for every path that posts a message (`outbound.sendText`, the
+ * `send` and `schedule` actions, and the `zulip_send` tool):
+ *
+ * - `stream:<name|id>` or `stream:<name>/<topic>`
+ * - `#<name>`, `#<name>>topic`, and Zulip's link syntax `#**name**` and `#**name>topic**`
+ * - `private:`, `user:`, or `dm:` followed by one or more emails, user IDs, or names
+ * - an email, `@name`, `@**name**`, or a comma-separated list of users (a group DM)
+ * - a narrow URL copied from Zulip (`…/#narrow/channel/42-general/topic/deploys`)
+ * - a bare name or ID, looked up as a stream or a user
+ *
+ * `parseTarget` checks the syntax without calling the API; `resolveSendTarget`
+ * looks up names and returns the fields `/messages` takes. Reading a stream
+ * (the `read` action and `zulip_read`) takes the same stream forms through
+ * `streamReadNarrow`.
+ */
+
+const { resolveTarget } = require('./directory.js');
+
+const DEFAULT_TOPIC = 'chat';
+
+function invalid(error) {
+  return { ok: false, error, code: 'INVALID_TARGET' };
+}
+
+function isUserId(value) {
+  return /^\d+$/.test(value);
+}
+
+// Zulip's URL fragments encode with `.` in place of `%`
+function decodeHashComponent(text) {
+  try {
+    return decodeURIComponent(text.replace(/\.([0-9A-Fa-f]{2})/g, '%$1'));
+  } catch {
+    return null;
+  }
+}
+
+function splitRecipients(value) {
+  const text = value.trim();
+  if (text.startsWith('[')) {
+    try {
+      const list = JSON.parse(text);
+      if (Array.isArray(list)) return list.map(v => String(v).trim()).filter(Boolean);
+    } catch {
+      // Not JSON; fall through to a comma-separated list
+    }
+  }
+  return text.split(',').map(v => v.trim().replace(/^@/, '').replace(/^\*\*|\*\*$/g, '')).filter(Boolean);
+}
+
+function streamTarget(stream, topic) {
+  const name = stream.trim();
+  if (!name) return invalid('The stream name is empty');
+  if (topic !== undefined && topic.trim() === '') return invalid(`The topic after "${name}" is empty`);
+  return {
+    ok: true,
+    kind: 'stream',
+    stream: isUserId(name) ? null : name,
+    streamId: isUserId(name) ? Number(name) : null,
+    topic: topic?.trim() ?? null,
+  };
+}
+
+function dmTarget(value) {
+  const recipients = splitRecipients(value);
+  if (recipients.length === 0) return invalid('No DM recipients given');
+  return { ok: true, kind: 'dm', recipients };
+}
+
+function parseNarrowUrl(raw) {
+  const hash = raw.slice(raw.indexOf('#narrow/') + '#narrow/'.length).replace(/\/$/, '');
+  const segments = hash.split('/');
+  if (segments.length % 2 !== 0) return invalid(`Malformed narrow URL: ${raw}`);
+
+  let stream = null;
+  let topic;
+  let recipients = null;
+  for (let i = 0; i < segments.length; i += 2) {
+    const operator = segments[i];
+    const operand = decodeHashComponent(segments[i + 1]);
+    if (operand === null) return invalid(`Malformed narrow URL: ${raw}`);
+    if (operator === 'stream' || operator === 'channel') {
+      stream = operand;
+    } else if (operator === 'topic' || operator === 'subject') {
+      topic = operand;
+    } else if (operator === 'dm' || operator === 'pm-with') {
+      // `12,13-group` or `12-alice`; older links use emails
+      const ids = /^([\d,]+)-/.exec(operand);
+      recipients = ids ? ids[1].split(',') : operand.split(',');
+    } else if (operator !== 'near' && operator !== 'with') {
+      return invalid(`The narrow URL filters by "${operator}"; link to a stream, topic, or DM instead`);
+    }
+  }
+
+  if (recipients) return { ok: true, kind: 'dm', recipients, url: raw };
+  if (stream === null) return invalid(`The narrow URL does not point at a stream, topic, or DM: ${raw}`);
+  // `42-general`: the ID is stable, the name after it may be out of date
+  const slug = /^(\d+)-(.*)$/.exec(stream);
+  const target = streamTarget(slug ? slug[1] : stream, topic);
+  if (target.ok && slug) target.stream = slug[2] || null;
+  return target.ok ? { ...target, url: raw } : target;
+}
+
+/**
+ * Check a target's syntax.
+ *
+ * @returns {{ ok: true, kind: 'stream', stream: string|null, streamId: number|null, topic: string|null }
+ *   | { ok: true, kind: 'dm', recipients: string[] }
+ *   | { ok: true, kind: 'name', value: string }
+ *   | { ok: false, error: string, code: 'INVALID_TARGET' }}
+ *   `name` targets may be a stream or a user and need a directory lookup.
+ */
+function parseTarget(input) {
+  const raw = String(input ?? '').trim();
+  if (!raw) return invalid('A target is required');
+
+  if (/^(https?:\/\/[^#]*)?#narrow\//i.test(raw)) return parseNarrowUrl(raw);
+
+  const prefixed = /^(stream|channel|private|user|dm):(.*)$/is.exec(raw);
+  if (prefixed) {
+    const [, prefix, value] = prefixed;
+    if (['stream', 'channel'].includes(prefix.toLowerCase())) {
+      const slash = value.indexOf('/');
+      return slash === -1 ? streamTarget(value) : streamTarget(value.slice(0, slash), value.slice(slash + 1));
+    }
+    return dmTarget(value);
+  }
+
+  const link = /^#\*\*(.+?)(?:>(.*))?\*\*$/s.exec(raw) ?? /^#([^*>]+)(?:>(.*))?$/s.exec(raw);
+  if (link) return streamTarget(link[1], link[2]);
+
+  if (raw.startsWith('@') || raw.startsWith('[') || raw.includes(',') || raw.includes('@')) return dmTarget(raw);
+  return { ok: true, kind: 'name', value: raw };
+}
+
+// `stream:<name>` or `stream:<name>/<topic>`
+function formatStreamTarget(stream, topic) {
+  return topic ? `stream:${stream}/${topic}` : `stream:${stream}`;
+}
+
+/**
+ * The canonical form of a target that needs no lookup, e.g. `stream:general/deploys`
+ * or `private:12,13`. Targets that do need one are returned unchanged.
+ */
+function normalizeTarget(input) {
+  const parsed = parseTarget(input);
+  if (!parsed.ok || parsed.kind === 'name') return input;
+  if (parsed.kind === 'dm') return `private:${parsed.recipients.join(',')}`;
+  return formatStreamTarget(parsed.streamId ?? parsed.stream, parsed.topic);
+}
+
+// The topic named in the target or given separately (they must agree), or null
+function pickTopic(targetTopic, topic) {
+  const given = topic === undefined || topic === null || topic === '' ? null : String(topic);
+  if (targetTopic && given && targetTopic !== given) {
+    return invalid(`The target names topic "${targetTopic}" but topic "${given}" was also given`);
+  }
+  return { ok: true, topic: targetTopic ?? given };
+}
+
+function chooseTopic(targetTopic, topic) {
+  const picked = pickTopic(targetTopic, topic);
+  return picked.ok ? { ok: true, topic: picked.topic ?? DEFAULT_TOPIC } : picked;
+}
+
+async function resolveStream(creds, parsed, topic) {
+  const chosen = chooseTopic(parsed.topic, topic);
+  if (!chosen.ok) return chosen;
+
+  let name = parsed.stream;
+  let id = parsed.streamId;
+  if (id !== null) {
+    const found = await resolveTarget(creds, `stream:${id}`);
+    if (found.ok) name = found.name;
+    else if (!name) return found;
+  }
+  return { ok: true, type: 'stream', to: name, streamId: id, topic: chosen.topic, name };
+}
+
+async function resolveRecipients(creds, recipients) {
+  const resolved = [];
+  for (const recipient of recipients) {
+    if (isUserId(recipient) || recipient.includes('@')) {
+      resolved.push({ id: isUserId(recipient) ? Number(recipient) : null, email: isUserId(recipient) ? null : recipient, name: recipient });
+      continue;
+    }
+    const user = await resolveTarget(creds, `user:${recipient}`);
+    if (!user.ok) return user;
+    resolved.push({ id: user.id, email: null, name: user.name });
+  }
+
+  // `/messages` takes all IDs or all emails, so a mixed list is converted to IDs
+  if (resolved.some(r => r.id !== null) && resolved.some(r => r.id === null)) {
+    for (const r of resolved.filter(entry => entry.id === null)) {
+      const user = await resolveTarget(creds, r.email);
+      if (!user.ok || !user.id) return invalid(`Could not find a user ID for ${r.email} to send with the other recipients`);
+      r.id = user.id;
+      r.name = user.name;
+    }
+  }
+  const to = resolved.map(r => r.id ?? r.email);
+  return { ok: true, type: 'private', to: JSON.stringify(to), recipients: to, name: resolved.map(r => r.name).join(', ') };
+}
+
+/**
+ * Resolve a target to the `type`, `to`, and `topic` fields of a message.
+ *
+ * @param {object} creds
+ * @param {string} input - Target in any form `parseTarget` accepts
+ * @param {object} [opts]
+ * @param {string} [opts.topic] - Topic for stream targets that don't name one (default `chat`)
+ * @returns {Promise<{ ok: true, type: 'stream', to: string, streamId: number|null, topic: string, name: string }
+ *   | { ok: true, type: 'private', to: string, recipients: Array<number|string>, name: string }
+ *   | { ok: false, error: string, code: string }>}
+ */
+async function resolveSendTarget(creds, input, { topic } = {}) {
+  const parsed = parseTarget(input);
+  if (!parsed.ok) return parsed;
+
+  if (parsed.url && /^https?:/i.test(parsed.url)) {
+    const origin = new URL(parsed.url).origin;
+    if (origin !== new URL(creds.site).origin) return invalid(`The narrow URL is for ${origin}, not ${creds.site}`);
+  }
+
+  if (parsed.kind === 'stream') return resolveStream(creds, parsed, topic);
+  if (parsed.kind === 'dm') return resolveRecipients(creds, parsed.recipients);
+
+  const found = await resolveTarget(creds, parsed.value);
+  if (!found.ok) return found;
+  if (found.kind === 'stream') {
+    const chosen = chooseTopic(null, topic);
+    return { ok: true, type: 'stream', to: found.name, streamId: found.id, topic: chosen.topic, name: found.name };
+  }
+  return resolveRecipients(creds, [found.id ? String(found.id) : found.to.slice('private:'.length)]);
+}
+
+/**
+ * Narrow for reading a stream, or one topic of it. Takes the stream forms
+ * `parseTarget` accepts; a bare name is a stream name.
+ *
+ * @param {string} input
+ * @param {string} [topic] - Topic, unless the target names one
+ * @returns {{ ok: true, narrow: object[] } | { ok: false, error: string, code: string }}
+ */
+function streamReadNarrow(input, topic) {
+  const parsed = parseTarget(input);
+  if (!parsed.ok) return parsed;
+  if (parsed.kind === 'dm') return invalid(`"${input}" is a DM, not a stream`);
+
+  const picked = pickTopic(parsed.topic, topic);
+  if (!picked.ok) return picked;
+  const narrow = [{ operator: 'stream', operand: parsed.kind === 'name' ? parsed.value : parsed.streamId ?? parsed.stream }];
+  if (picked.topic) narrow.push({ operator: 'topic', operand: picked.topic });
+  return { ok: true, narrow };
+}
+
+module.exports = {
+  DEFAULT_TOPIC,
+  parseTarget,
+  normalizeTarget,
+  formatStreamTarget,
+  resolveSendTarget,
+  streamReadNarrow,
+};
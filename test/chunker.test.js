@@ -0,0 +1,74 @@
+/**
+ * Tests for the Markdown-aware outbound chunker
+ *
+ * Run with: npm test
+ */
+
+const { chunkMarkdown } = require('../chunker');
+
+describe('chunkMarkdown', () => {
+  test('returns short text as a single chunk', () => {
+    expect(chunkMarkdown('Hello', 100)).toEqual(['Hello']);
+  });
+
+  test('returns no chunks for empty text', () => {
+    expect(chunkMarkdown('', 100)).toEqual([]);
+  });
+
+  test('splits on paragraph boundaries', () => {
+    const text = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)].join('\n\n');
+    expect(chunkMarkdown(text, 90)).toEqual([
+      `${'a'.repeat(40)}\n\n${'b'.repeat(40)}`,
+      'c'.repeat(40),
+    ]);
+  });
+
+  test('keeps a code fence whole when it fits', () => {
+    const fence = '```js\nconst a = 1;\n\nconst b = 2;\n```';
+    const text = `${'x'.repeat(30)}\n\n${fence}`;
+    expect(chunkMarkdown(text, 45)).toEqual(['x'.repeat(30), fence]);
+  });
+
+  test('reopens a split code fence in the next chunk', () => {
+    const lines = Array.from({ length: 10 }, (_, i) => `line ${i}`);
+    const text = `\`\`\`python\n${lines.join('\n')}\n\`\`\``;
+    const chunks = chunkMarkdown(text, 50);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(chunk.length).toBeLessThanOrEqual(50);
+      expect(chunk.startsWith('```python\n')).toBe(true);
+      expect(chunk.endsWith('\n```')).toBe(true);
+    }
+    const body = chunks.map(chunk => chunk.slice('```python\n'.length, -'\n```'.length)).join('\n');
+    expect(body).toBe(lines.join('\n'));
+  });
+
+  test('keeps tables together when they fit', () => {
+    const table = '| a | b |\n| --- | --- |\n| 1 | 2 |';
+    const text = `${'x'.repeat(30)}\n\n${table}`;
+    expect(chunkMarkdown(text, 40)).toEqual(['x'.repeat(30), table]);
+  });
+
+  test('repeats the header of a split table in each chunk', () => {
+    const header = '| name | value |\n| --- | ---: |';
+    const rows = Array.from({ length: 12 }, (_, i) => `| row ${i} | ${i * 10} |`);
+    const chunks = chunkMarkdown(`${header}\n${rows.join('\n')}`, 80);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(chunk.length).toBeLessThanOrEqual(80);
+      expect(chunk.startsWith(`${header}\n| row `)).toBe(true);
+    }
+    expect(chunks.map(chunk => chunk.slice(header.length + 1)).join('\n')).toBe(rows.join('\n'));
+  });
+
+  test('splits long paragraphs at word boundaries', () => {
+    const chunks = chunkMarkdown('word '.repeat(20).trim(), 23);
+    expect(chunks).toEqual(Array(5).fill('word word word word'));
+  });
+
+  test('hard-cuts words longer than the limit', () => {
+    expect(chunkMarkdown('x'.repeat(25), 10)).toEqual(['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+  });
+});
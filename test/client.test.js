@@ -0,0 +1,143 @@
+/**
+ * Tests for the Zulip API client (queue, retries, typed errors)
+ *
+ * Run with: npm test
+ */
+
+const { createZulipClient, ZulipApiError } = require('../client');
+
+const creds = {
+  email: 'bot@example.com',
+  apiKey: 'test-api-key',
+  site: 'https://example.zulipchat.com'
+};
+
+function mockResponse(status, body, headers = {}) {
+  return {
+    status,
+    headers: new Headers(headers),
+    json: () => (body instanceof Error ? Promise.reject(body) : Promise.resolve(body)),
+  };
+}
+
+describe('createZulipClient', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('returns Zulip error bodies with their code', async () => {
+    global.fetch.mockResolvedValue(mockResponse(400, { result: 'error', msg: 'Bad queue', code: 'BAD_EVENT_QUEUE_ID' }));
+
+    const result = await createZulipClient(creds).request('/events?queue_id=x');
+    expect(result).toEqual({ result: 'error', msg: 'Bad queue', code: 'BAD_EVENT_QUEUE_ID' });
+  });
+
+  test('sets a timeout signal on every request', async () => {
+    global.fetch.mockResolvedValue(mockResponse(200, { result: 'success' }));
+
+    await createZulipClient(creds).request('/users/me');
+    expect(global.fetch.mock.calls[0][1].signal).toBeInstanceOf(AbortSignal);
+  });
+
+  test('retries 429 responses after Retry-After', async () => {
+    global.fetch
+      .mockResolvedValueOnce(mockResponse(429, { result: 'error', code: 'RATE_LIMIT_HIT', 'retry-after': 0 }, { 'Retry-After': '0' }))
+      .mockResolvedValueOnce(mockResponse(200, { result: 'success', id: 1 }));
+
+    const result = await createZulipClient(creds).request('/messages', 'POST', { content: 'hi' });
+    expect(result).toEqual({ result: 'success', id: 1 });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('throws RATE_LIMIT_HIT once retries are exhausted', async () => {
+    global.fetch.mockResolvedValue(mockResponse(429, { result: 'error', msg: 'Slow down', code: 'RATE_LIMIT_HIT' }, { 'Retry-After': '0' }));
+
+    const request = createZulipClient(creds, { maxRetries: 1 }).request('/messages', 'POST', { content: 'hi' });
+    await expect(request).rejects.toMatchObject({ name: 'ZulipApiError', code: 'RATE_LIMIT_HIT', status: 429 });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('retries 429 responses from a proxy that are not JSON', async () => {
+    global.fetch
+      .mockResolvedValueOnce(mockResponse(429, new SyntaxError('Unexpected token <'), { 'Retry-After': '0' }))
+      .mockResolvedValueOnce(mockResponse(200, { result: 'success', id: 2 }));
+
+    const result = await createZulipClient(creds).request('/messages', 'POST', { content: 'hi' });
+    expect(result).toEqual({ result: 'success', id: 2 });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+
+    global.fetch.mockResolvedValue(mockResponse(429, new SyntaxError('Unexpected token <')));
+    const request = createZulipClient(creds, { maxRetries: 0 }).request('/users/me');
+    await expect(request).rejects.toMatchObject({ code: 'RATE_LIMIT_HIT', status: 429, message: 'Rate limit exceeded' });
+  });
+
+  test('retries idempotent requests on 5xx', async () => {
+    global.fetch
+      .mockResolvedValueOnce(mockResponse(502, new SyntaxError('Unexpected token <')))
+      .mockResolvedValueOnce(mockResponse(200, { result: 'success', messages: [] }));
+
+    const result = await createZulipClient(creds).request('/messages');
+    expect(result.result).toBe('success');
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not retry POST on 5xx', async () => {
+    global.fetch.mockResolvedValue(mockResponse(502, new SyntaxError('Unexpected token <')));
+
+    const request = createZulipClient(creds).request('/messages', 'POST', { content: 'hi' });
+    await expect(request).rejects.toMatchObject({ code: 'SERVER_ERROR', status: 502 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports non-JSON responses as BAD_RESPONSE', async () => {
+    global.fetch.mockResolvedValue(mockResponse(200, new SyntaxError('Unexpected token <')));
+
+    await expect(createZulipClient(creds).request('/users/me')).rejects.toMatchObject({ code: 'BAD_RESPONSE' });
+  });
+
+  test('reports timeouts as TIMEOUT', async () => {
+    const timeout = new Error('The operation was aborted due to timeout');
+    timeout.name = 'TimeoutError';
+    global.fetch.mockRejectedValue(timeout);
+
+    const request = createZulipClient(creds, { maxRetries: 0 }).request('/users/me', 'GET', undefined, { timeoutMs: 10 });
+    await expect(request).rejects.toBeInstanceOf(ZulipApiError);
+    await expect(request).rejects.toMatchObject({ code: 'TIMEOUT' });
+  });
+
+  test('limits concurrent requests', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    global.fetch.mockImplementation(async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      return mockResponse(200, { result: 'success' });
+    });
+
+    const client = createZulipClient(creds, { maxConcurrent: 2 });
+    await Promise.all(Array.from({ length: 6 }, () => client.request('/users/me')));
+    expect(maxInFlight).toBe(2);
+    expect(global.fetch).toHaveBeenCalledTimes(6);
+  });
+
+  test('long-polls bypass the queue', async () => {
+    let releasePoll;
+    global.fetch
+      .mockImplementationOnce(() => new Promise(resolve => { releasePoll = () => resolve(mockResponse(200, { result: 'success', events: [] })); }))
+      .mockResolvedValue(mockResponse(200, { result: 'success' }));
+
+    const client = createZulipClient(creds, { maxConcurrent: 1 });
+    const poll = client.request('/events', 'GET', undefined, { longPoll: true });
+    await expect(client.request('/users/me')).resolves.toEqual({ result: 'success' });
+    releasePoll();
+    await poll;
+  });
+});
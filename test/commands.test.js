@@ -0,0 +1,66 @@
+/**
+ * Tests for in-chat command parsing
+ *
+ * Run with: npm test
+ */
+
+const { parseCommand, isCommandAllowed, formatHelp, formatDuration } = require('../commands');
+
+describe('parseCommand', () => {
+  const bots = { names: ['Claw Bot', 'Sage'], userIds: [12, 15] };
+
+  test('reads commands with arguments', () => {
+    expect(parseCommand('/reset')).toEqual({ name: 'reset', args: '' });
+    expect(parseCommand('/Persona  muse ')).toEqual({ name: 'persona', args: 'muse' });
+    expect(parseCommand('/status')).toEqual({ name: 'status', args: '' });
+    expect(parseCommand('/help')).toEqual({ name: 'help', args: '' });
+  });
+
+  test('skips leading mentions of the bot and its persona bots', () => {
+    expect(parseCommand('@**Claw Bot** help', bots)).toEqual({ name: 'help', args: '' });
+    expect(parseCommand('@_**Claw Bot|12**: /persona sage', bots)).toEqual({ name: 'persona', args: 'sage' });
+    expect(parseCommand('@**sage** @**Claw Bot** /status', bots)).toEqual({ name: 'status', args: '' });
+  });
+
+  test('leaves commands after a mention of someone else to the agent', () => {
+    expect(parseCommand('@**Alice** /reset', bots)).toBeNull();
+    expect(parseCommand('@**Claw Bot** @**Alice** /reset', bots)).toBeNull();
+    expect(parseCommand('@**Claw Bot|99** /reset', bots)).toBeNull();
+  });
+
+  test('leaves a bare help for the agent', () => {
+    expect(parseCommand('help', bots)).toBeNull();
+    expect(parseCommand('Help!', bots)).toBeNull();
+  });
+
+  test('leaves everything else for the agent', () => {
+    expect(parseCommand('help me with the deploy')).toBeNull();
+    expect(parseCommand('/deploy now')).toBeNull();
+    expect(parseCommand('please /reset')).toBeNull();
+    expect(parseCommand('')).toBeNull();
+  });
+});
+
+describe('command authorization', () => {
+  test('lets anyone ask for help but nothing else', () => {
+    expect(isCommandAllowed('help', false)).toBe(true);
+    expect(isCommandAllowed('reset', false)).toBe(false);
+    expect(isCommandAllowed('reset', true)).toBe(true);
+  });
+
+  test('lists only the commands the sender may use', () => {
+    expect(formatHelp({ commandAuthorized: true })).toContain('`/reset`');
+    const limited = formatHelp({ commandAuthorized: false });
+    expect(limited).not.toContain('`/reset`');
+    expect(limited).toContain('Other commands need the bot operator to allow you.');
+  });
+});
+
+describe('formatDuration', () => {
+  test('rounds to the two largest units', () => {
+    expect(formatDuration(4_000)).toBe('4s');
+    expect(formatDuration(125_000)).toBe('2m');
+    expect(formatDuration(3 * 3_600_000 + 12 * 60_000)).toBe('3h 12m');
+    expect(formatDuration(50 * 3_600_000)).toBe('2d 2h');
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Tests for the conversation context builder and its cache
+ *
+ * Run with: npm test
+ */
+
+const { resolveContextOptions, createContextCache, buildContext } = require('../context');
+
+const creds = {
+  email: 'bot@example.com',
+  apiKey: 'test-api-key',
+  site: 'https://example.zulipchat.com'
+};
+
+const message = (id, sender = 'Alice', extra = {}) => ({
+  id,
+  sender_id: sender === 'Alice' ? 5 : 6,
+  sender_full_name: sender,
+  timestamp: 1_700_000_000 + id * 60,
+  content: `<p>Message ${id}</p>`,
+  ...extra,
+});
+
+const narrow = [{ operator: 'stream', operand: 'general' }, { operator: 'topic', operand: 'deploys' }];
+
+describe('resolveContextOptions', () => {
+  test('defaults to the last 15 messages with a summary', () => {
+    expect(resolveContextOptions(undefined)).toEqual({ maxMessages: 15, maxChars: null, includeFirst: false, summary: true });
+  });
+
+  test('lets the stream override the account', () => {
+    expect(resolveContextOptions({ maxMessages: 30, maxChars: 4000 }, { maxMessages: 5, includeFirst: true }))
+      .toEqual({ maxMessages: 5, maxChars: 4000, includeFirst: true, summary: true });
+    expect(resolveContextOptions({ maxMessages: 30 }, false)).toBeNull();
+  });
+});
+
+describe('buildContext', () => {
+  const originalFetch = global.fetch;
+  let cache;
+
+  beforeEach(() => {
+    cache = createContextCache();
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  const respond = (messages, extra = {}) => global.fetch.mockResolvedValueOnce({
+    json: () => Promise.resolve({ result: 'success', found_oldest: true, messages, ...extra }),
+  });
+
+  const build = (anchorId, options, extra = {}) => buildContext({
+    creds,
+    cache,
+    key: 'general\u0000deploys',
+    narrow,
+    anchorId,
+    options: { maxMessages: 15, maxChars: null, includeFirst: false, summary: true, ...options },
+    isTopic: true,
+    label: 'Recent messages',
+    describeSender: m => m.sender_full_name,
+    ...extra,
+  });
+
+  test('keeps the newest messages within the budget and summarizes the rest', async () => {
+    respond([1, 2, 3, 4, 5].map(id => message(id, id % 2 ? 'Alice' : 'Bob')));
+
+    const context = await build(5, { maxMessages: 2 });
+    expect(context).toContain('Summary of 3 earlier messages');
+    expect(context).toContain('from Alice (2), Bob (1)');
+    expect(context).toContain('- [Bob] Message 2');
+    expect(context.endsWith('Recent messages:\n[Bob] (id:4) Message 4\n[Alice] (id:5) Message 5')).toBe(true);
+
+    const qs = new URL(global.fetch.mock.calls[0][0]).searchParams;
+    expect(qs.get('num_before')).toBe('52');
+  });
+
+  test('stops at the character budget but always includes the newest message', async () => {
+    respond([message(1), message(2, 'Alice', { content: `<p>${'x'.repeat(200)}</p>` })]);
+
+    const context = await build(2, { maxChars: 50, summary: false });
+    expect(context).toBe(`Recent messages:\n[Alice] (id:2) ${'x'.repeat(200)}`);
+  });
+
+  test('serves later turns from the cache as events arrive', async () => {
+    respond([message(1), message(2)]);
+    await build(2, {});
+
+    cache.record('general\u0000deploys', message(3, 'Bob'));
+    cache.edit(1, { content: '<p>Fixed</p>', editTimestamp: 1 });
+    cache.react(2, { op: 'add', userId: 6, emojiName: 'tada' });
+    cache.remove(2);
+    const context = await build(3, {});
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(context).toBe('Recent messages:\n[Alice] (id:1) (edited) Fixed\n[Bob] (id:3) Message 3');
+  });
+
+  test('refetches when the cache does not reach back far enough', async () => {
+    respond([message(8), message(9)], { found_oldest: false });
+    await build(9, { maxMessages: 1, summary: false });
+    respond([message(9), message(10)], { found_oldest: false });
+    cache.record('general\u0000deploys', message(10));
+
+    await build(10, { maxMessages: 5, summary: false });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('fetches the opening message once per cached topic', async () => {
+    respond([message(20), message(21), message(22)], { found_oldest: false });
+    respond([message(1, 'Bob', { content: '<p>Kickoff</p>' })]);
+
+    const context = await build(22, { maxMessages: 2, summary: false, includeFirst: true });
+    expect(context).toBe('Opening message of this topic:\n[Bob] (id:1) Kickoff\n\nRecent messages:\n[Alice] (id:21) Message 21\n[Alice] (id:22) Message 22');
+
+    cache.record('general\u0000deploys', message(23));
+    await build(23, { maxMessages: 2, summary: false, includeFirst: true });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('shows the opening message apart from the summary', async () => {
+    respond([1, 2, 3, 4].map(id => message(id)));
+
+    const context = await build(4, { maxMessages: 1, includeFirst: true });
+    expect(context).toContain('Opening message of this topic:\n[Alice] (id:1) Message 1');
+    expect(context).toContain('Summary of 2 earlier messages');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('starts over after a session reset', async () => {
+    respond([1, 2, 3, 4].map(id => message(id)), { found_oldest: false });
+
+    const context = await build(4, { includeFirst: true }, { after: 2 });
+    expect(context).toBe('Recent messages:\n[Alice] (id:3) Message 3\n[Alice] (id:4) Message 4');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('leaves out deleted messages', async () => {
+    respond([message(1), message(2)]);
+    const context = await build(2, {}, { exclude: new Set([1]) });
+    expect(context).toBe('Recent messages:\n[Alice] (id:2) Message 2');
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for the stream/topic/user directory and target resolution
+ *
+ * Run with: npm test
+ */
+
+const { listStreams, listTopics, resolveTarget, clearDirectoryCache } = require('../directory');
+
+const creds = {
+  email: 'bot@example.com',
+  apiKey: 'test-api-key',
+  site: 'https://example.zulipchat.com'
+};
+
+const responses = {
+  '/api/v1/users/me/subscriptions': {
+    result: 'success',
+    subscriptions: [
+      { stream_id: 3, name: 'general', description: 'Everything' },
+      { stream_id: 8, name: 'Alice Smith', description: 'Named after a person' },
+    ],
+  },
+  '/api/v1/users/me/3/topics': {
+    result: 'success',
+    topics: [{ name: 'deploys', max_id: 90 }, { name: 'lunch', max_id: 40 }],
+  },
+  '/api/v1/users': {
+    result: 'success',
+    members: [
+      { user_id: 5, email: 'alice@example.com', full_name: 'Alice Smith' },
+      { user_id: 6, email: 'bob@example.com', full_name: 'Bob Jones' },
+      { user_id: 7, email: 'bob2@example.com', full_name: 'Bob Jones' },
+      { user_id: 8, email: 'carol@example.com', full_name: 'Carol', is_active: false },
+    ],
+  },
+};
+
+describe('directory', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    clearDirectoryCache();
+    global.fetch = jest.fn((url) => Promise.resolve({
+      json: () => Promise.resolve(responses[new URL(url).pathname] ?? { result: 'error', msg: 'Not found' }),
+    }));
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('lists subscribed streams and caches them', async () => {
+    expect(await listStreams(creds)).toEqual([
+      { id: 3, name: 'general', description: 'Everything' },
+      { id: 8, name: 'Alice Smith', description: 'Named after a person' },
+    ]);
+    await listStreams(creds);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('lists topics most recent first', async () => {
+    expect(await listTopics(creds, 3)).toEqual([
+      { name: 'deploys', lastMessageId: 90 },
+      { name: 'lunch', lastMessageId: 40 },
+    ]);
+  });
+
+  test('resolves streams by name, #name, and ID', async () => {
+    expect(await resolveTarget(creds, '#General')).toMatchObject({ ok: true, to: 'stream:general' });
+    expect(await resolveTarget(creds, 'stream:3')).toMatchObject({ ok: true, to: 'stream:general' });
+    expect(await resolveTarget(creds, 'general')).toMatchObject({ ok: true, kind: 'stream', id: 3 });
+  });
+
+  test('passes unsubscribed stream names through', async () => {
+    expect(await resolveTarget(creds, 'stream:announce')).toMatchObject({ ok: true, to: 'stream:announce' });
+    expect(await resolveTarget(creds, 'stream:99')).toMatchObject({ ok: false, code: 'UNKNOWN_TARGET' });
+  });
+
+  test('resolves users by display name, email, and ID', async () => {
+    expect(await resolveTarget(creds, '@Alice Smith')).toMatchObject({ ok: true, to: 'private:alice@example.com' });
+    expect(await resolveTarget(creds, 'user:6')).toMatchObject({ ok: true, to: 'private:bob@example.com' });
+    expect(await resolveTarget(creds, 'BOB@example.com')).toMatchObject({ ok: true, to: 'private:bob@example.com' });
+  });
+
+  test('reports ambiguous names', async () => {
+    const bob = await resolveTarget(creds, 'Bob Jones');
+    expect(bob).toMatchObject({ ok: false, code: 'AMBIGUOUS_TARGET' });
+    expect(bob.error).toContain('bob2@example.com');
+
+    expect(await resolveTarget(creds, 'Alice Smith')).toMatchObject({ ok: false, code: 'AMBIGUOUS_TARGET' });
+  });
+
+  test('skips deactivated users and unknown names', async () => {
+    expect(await resolveTarget(creds, 'Carol')).toMatchObject({ ok: false, code: 'UNKNOWN_TARGET' });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Tests for the Zulip HTML → Markdown converter
+ *
+ * Run with: npm test
+ */
+
+const { zulipHtmlToMarkdown } = require('../markdown');
+
+const site = 'https://example.zulipchat.com';
+const convert = (html) => zulipHtmlToMarkdown(html, { site });
+
+describe('zulipHtmlToMarkdown', () => {
+  test('returns empty string for empty input', () => {
+    expect(convert('')).toBe('');
+    expect(convert(undefined)).toBe('');
+  });
+
+  test('keeps inline formatting', () => {
+    expect(convert('<p>Hello <strong>world</strong>, <em>really</em> <del>not</del>!</p>')).toBe('Hello **world**, *really* ~~not~~!');
+  });
+
+  test('decodes HTML entities', () => {
+    expect(convert('<p>Tom &amp; Jerry &lt;3 &quot;cheese&quot; &#39;ok&#39; &#x1F600;</p>')).toBe('Tom & Jerry <3 "cheese" \'ok\' 😀');
+  });
+
+  test('separates paragraphs and keeps line breaks', () => {
+    expect(convert('<p>one<br>\ntwo</p>\n<p>three</p>')).toBe('one\ntwo\n\nthree');
+  });
+
+  test('restores fenced code blocks with language and whitespace', () => {
+    const html = '<div class="codehilite" data-code-language="Python"><pre><span></span><code><span class="k">def</span> <span class="nf">f</span>():\n    return 1 &lt; 2\n</code></pre></div>';
+    expect(convert(html)).toBe('```python\ndef f():\n    return 1 < 2\n```');
+  });
+
+  test('lengthens the fence when code contains backticks', () => {
+    expect(convert('<pre><code>```\nnested\n```\n</code></pre>')).toBe('````\n```\nnested\n```\n````');
+  });
+
+  test('keeps inline code verbatim', () => {
+    expect(convert('<p>run <code>npm  test &amp;&amp; ls</code></p>')).toBe('run `npm  test && ls`');
+  });
+
+  test('keeps link URLs and absolutizes relative ones', () => {
+    expect(convert('<p><a href="https://zulip.com/api/">API docs</a></p>')).toBe('[API docs](https://zulip.com/api/)');
+    expect(convert('<p><a href="/user_uploads/2/ab/file.pdf">file.pdf</a></p>'))
+      .toBe('[file.pdf](https://example.zulipchat.com/user_uploads/2/ab/file.pdf)');
+    expect(convert('<p><a href="https://example.com">https://example.com</a></p>')).toBe('https://example.com');
+  });
+
+  test('restores quotes', () => {
+    expect(convert('<blockquote>\n<p>first</p>\n<p>second</p>\n</blockquote>\n<p>reply</p>')).toBe('> first\n>\n> second\n\nreply');
+  });
+
+  test('restores user, group, silent, and wildcard mentions', () => {
+    const html = '<p><span class="user-mention" data-user-id="5">@Alice Smith</span> ' +
+      '<span class="user-mention silent" data-user-id="6">Bob</span> ' +
+      '<span class="user-group-mention" data-user-group-id="2">@support</span> ' +
+      '<span class="user-mention" data-user-id="*">@all</span></p>';
+    expect(convert(html)).toBe('@**Alice Smith** @_**Bob** @*support* @**all**');
+  });
+
+  test('restores stream and topic links', () => {
+    const html = '<p><a class="stream" data-stream-id="3" href="/#narrow/stream/3-general">#general</a> ' +
+      '<a class="stream-topic" data-stream-id="3" href="/#narrow/stream/3-general/topic/hello">#general &gt; hello there</a></p>';
+    expect(convert(html)).toBe('#**general** #**general>hello there**');
+  });
+
+  test('restores spoilers', () => {
+    const html = '<div class="spoiler-block"><div class="spoiler-header">\n<p>Answer</p>\n</div>' +
+      '<div class="spoiler-content" aria-hidden="true">\n<p>42</p>\n</div></div>';
+    expect(convert(html)).toBe('```spoiler Answer\n42\n```');
+  });
+
+  test('restores inline and display math from the TeX annotation', () => {
+    const tex = (source) => '<span class="katex"><span class="katex-mathml"><math><semantics><mrow><mi>x</mi></mrow>' +
+      `<annotation encoding="application/x-tex">${source}</annotation></semantics></math></span>` +
+      '<span class="katex-html" aria-hidden="true">rendered</span></span>';
+    expect(convert(`<p>area is ${tex('\\pi r^2')}</p>`)).toBe('area is $$\\pi r^2$$');
+    expect(convert(`<p><span class="katex-display">${tex('e^{i\\pi} = -1')}</span></p>`)).toBe('```math\ne^{i\\pi} = -1\n```');
+  });
+
+  test('restores unicode and custom emoji', () => {
+    const html = '<p><span aria-label="smile" class="emoji emoji-1f604" role="img" title="smile">:smile:</span> ' +
+      '<img alt=":party_parrot:" class="emoji" src="/user_avatars/2/emoji/images/1.gif" title="party parrot"></p>';
+    expect(convert(html)).toBe(':smile: :party_parrot:');
+  });
+
+  test('restores lists', () => {
+    expect(convert('<ul>\n<li>one</li>\n<li>two<ol start="3">\n<li>a</li>\n<li>b</li>\n</ol>\n</li>\n</ul>'))
+      .toBe('- one\n- two\n  3. a\n  4. b');
+  });
+
+  test('restores tables', () => {
+    const html = '<table>\n<thead>\n<tr>\n<th>Name</th>\n<th>Value</th>\n</tr>\n</thead>\n' +
+      '<tbody>\n<tr>\n<td>a|b</td>\n<td><strong>1</strong></td>\n</tr>\n</tbody>\n</table>';
+    expect(convert(html)).toBe('| Name | Value |\n| --- | --- |\n| a\\|b | **1** |');
+  });
+
+  test('restores global times', () => {
+    expect(convert('<p>at <time datetime="2024-05-01T15:00:00Z">Wed, May 1</time></p>')).toBe('at <time:2024-05-01T15:00:00Z>');
+  });
+
+  test('drops image previews that duplicate a link', () => {
+    const html = '<p><a href="/user_uploads/2/ab/shot.png">shot.png</a></p>' +
+      '<div class="message_inline_image"><a href="/user_uploads/2/ab/shot.png" title="shot.png"><img src="/user_uploads/thumbnail/2/ab/shot.png/840x560.webp"></a></div>';
+    expect(convert(html)).toBe('[shot.png](https://example.zulipchat.com/user_uploads/2/ab/shot.png)');
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Tests for persona configuration and routing
+ *
+ * Run with: npm test
+ */
+
+const { mkdtempSync, writeFileSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const {
+  loadPersonasConfig,
+  validatePersonasConfig,
+  resolvePersona,
+  personaDisplayName,
+  loadPersonaContent,
+  clearPersonasCache,
+} = require('../personas');
+
+const raw = {
+  personasDir: '/personas',
+  personas: {
+    ember: { file: 'ember.md', triggers: ['Ember'] },
+    sage: { file: 'sage.md', triggers: ['Sage', 'wise one'], name: 'Sage the Wise' },
+    scribe: { file: 'scribe.md' },
+  },
+  streams: {
+    design: ['ember', 'sage'],
+    docs: { personas: ['scribe', 'sage'], default: 'scribe' },
+    support: ['sage'],
+  },
+  rules: [
+    { stream: 'design', topic: '^review:', persona: 'sage' },
+    { sender: ['ceo@example.com', 77], persona: 'scribe' },
+    { dm: true, persona: 'ember' },
+  ],
+};
+
+const config = validatePersonasConfig(raw).config;
+const alice = { id: 5, email: 'alice@example.com' };
+
+describe('validatePersonasConfig', () => {
+  test('accepts a valid file and normalizes stream entries', () => {
+    expect(config.streams.support).toEqual({ personas: ['sage'], default: 'sage' });
+    expect(config.streams.design).toEqual({ personas: ['ember', 'sage'], default: null });
+    expect(config.personas.scribe.triggers).toEqual([]);
+  });
+
+  test('reports every problem with its location', () => {
+    const result = validatePersonasConfig({
+      personas: {
+        ember: { triggers: 'Ember' },
+        sage: { file: 'sage.md' },
+      },
+      streams: { design: ['ghost'] },
+      rules: [{ topics: 'x', persona: 'sage' }, { topic: '(', persona: 'sage' }],
+      default: 'nobody',
+    });
+    expect(result.ok).toBe(false);
+    expect(result.errors).toEqual([
+      'personas.ember.file must be a file name',
+      'personas.ember.triggers must be a list of words',
+      'personas.sage.file is a relative path, so personasDir is required',
+      'streams.design refers to unknown persona "ghost"',
+      'rules[0] has unknown field "topics"',
+      expect.stringMatching(/^rules\[1\]\.topic is not a valid pattern/),
+      'default refers to unknown persona "nobody"',
+    ]);
+  });
+
+  test('requires a personas object', () => {
+    expect(validatePersonasConfig({ streams: {} })).toEqual({ ok: false, errors: ['personas must be an object of persona entries'] });
+  });
+});
+
+describe('resolvePersona', () => {
+  const inStream = (stream, topic, text, extra = {}) => resolvePersona(config, {
+    stream, topic, text, sender: alice, isDirect: false, ...extra,
+  });
+
+  test('picks a persona by trigger word anywhere in the message', () => {
+    expect(inStream('design', 'ideas', 'What does the wise one think about this layout?'))
+      .toEqual({ personaId: 'sage', source: 'trigger' });
+    expect(inStream('design', 'ideas', 'Sage or Ember, anyone?').personaId).toBe('sage');
+    // Whole words only
+    expect(inStream('design', 'ideas', 'Embers are glowing')).toBeNull();
+  });
+
+  test("only triggers the stream's personas", () => {
+    expect(inStream('support', 'help', 'Ember, are you there?')).toEqual({ personaId: 'sage', source: 'stream default' });
+  });
+
+  test('keeps a topic with its persona unless another is named', () => {
+    expect(inStream('design', 'ideas', 'more thoughts', { sticky: 'ember' })).toEqual({ personaId: 'ember', source: 'topic' });
+    expect(inStream('design', 'ideas', 'Sage, thoughts?', { sticky: 'ember' }).personaId).toBe('sage');
+  });
+
+  test('applies the first matching rule', () => {
+    expect(inStream('design', 'Review: homepage', 'thoughts?')).toEqual({ personaId: 'sage', source: 'rule' });
+    expect(inStream('design', 'ideas', 'thoughts?', { sender: { id: 77, email: 'x@example.com' } }).personaId).toBe('scribe');
+    expect(resolvePersona(config, { sender: alice, isDirect: true, text: 'hi' })).toEqual({ personaId: 'ember', source: 'rule' });
+  });
+
+  test('falls back to the stream default, then the file default, then none', () => {
+    expect(inStream('docs', 'api', 'hello')).toEqual({ personaId: 'scribe', source: 'stream default' });
+    expect(inStream('random', 'x', 'hello')).toBeNull();
+    const withDefault = validatePersonasConfig({ ...raw, default: 'sage' }).config;
+    expect(resolvePersona(withDefault, { stream: 'random', topic: 'x', sender: alice, isDirect: false, text: 'hello' }))
+      .toEqual({ personaId: 'sage', source: 'default' });
+  });
+
+  test('names personas by name, first trigger, or ID', () => {
+    expect(personaDisplayName(config, 'sage')).toBe('Sage the Wise');
+    expect(personaDisplayName(config, 'ember')).toBe('Ember');
+    expect(personaDisplayName(config, 'scribe')).toBe('scribe');
+  });
+});
+
+describe('loadPersonasConfig', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'zulip-personas-test-'));
+  });
+
+  afterEach(() => {
+    clearPersonasCache();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reads the file once and caches it', () => {
+    const path = join(dir, 'personas.json');
+    writeFileSync(path, JSON.stringify({ personasDir: dir, personas: { ember: { file: 'ember.md' } } }));
+    writeFileSync(join(dir, 'ember.md'), 'You are Ember.');
+
+    const loaded = loadPersonasConfig(path);
+    expect(loadPersonasConfig(path)).toBe(loaded);
+    expect(loadPersonaContent(loaded, 'ember')).toBe('You are Ember.');
+  });
+
+  test('reports an invalid file and leaves personas off', () => {
+    const path = join(dir, 'personas.json');
+    writeFileSync(path, '{ "personas": ');
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(loadPersonasConfig(path)).toBeNull();
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('not valid JSON'));
+    warn.mockRestore();
+  });
+
+  test('treats a missing file as no personas', () => {
+    expect(loadPersonasConfig(join(dir, 'missing.json'))).toBeNull();
+  });
+});
@@ -4,7 +4,41 @@
  * Run with: npm test
  */
 
-const { zulipPlugin, zulipApi } = require('../src/plugin');
+const {
+  zulipPlugin,
+  zulipApi,
+  loadCredentials,
+  resolveCredentials,
+  loadOutboundMedia,
+  extractUploadPaths,
+  resolveStreamPolicy,
+  isBotMentioned,
+  isSenderAllowed,
+  resolveSenderAccess,
+  resolveReactionOptions,
+  classifyReaction,
+  reactionMayApply,
+  createStreamingReply,
+  createTypingIndicator,
+  typingTarget,
+  resolveEditMode,
+  conversationKey,
+  sessionPeer,
+  dmParticipants,
+  isGroupDm,
+  formatEditNotes,
+  topicPeerId,
+  currentTopicLocation,
+  recordTopicMove,
+  reclaimTopic,
+  sessionReset,
+  recordSessionReset,
+  routedPeer,
+  personaBotCredentials,
+  loadPersonaBots,
+  findMentionedPersona,
+  fetchMissedMessages,
+} = require('../plugin');
 
 // ============================================
 // UNIT TESTS - Pure functions, no network
@@ -27,9 +61,16 @@ describe('Unit Tests', () => {
       expect(normalize('private:user@example.com')).toBe('private:user@example.com');
     });
 
-    test('adds stream: prefix to bare stream names', () => {
-      expect(normalize('general')).toBe('stream:general');
-      expect(normalize('engineering')).toBe('stream:engineering');
+    test('leaves bare names for the directory to resolve', () => {
+      // A bare name may be a stream or a user
+      expect(normalize('general')).toBe('general');
+      expect(normalize('Alice Smith')).toBe('Alice Smith');
+    });
+
+    test('canonicalizes links, emails, and group DMs', () => {
+      expect(normalize('#**general>deploys**')).toBe('stream:general/deploys');
+      expect(normalize('user@example.com')).toBe('private:user@example.com');
+      expect(normalize('alice@example.com, 12')).toBe('private:alice@example.com,12');
     });
   });
 
@@ -84,28 +125,449 @@ describe('Unit Tests', () => {
     });
   });
 
-  describe('HTML stripping (used in message parsing)', () => {
-    // The plugin uses this regex: content.replace(/<[^>]*>/g, '')
-    const stripHtml = (content) => content.replace(/<[^>]*>/g, '');
+  describe('config accounts', () => {
+    const cfg = {
+      channels: {
+        zulip: {
+          defaultAccount: 'research',
+          accounts: {
+            ops: { site: 'https://a.zulipchat.com', email: 'ops-bot@a.example.com', apiKey: 'ops-key' },
+            research: { name: 'Research Bot', site: 'https://b.zulipchat.com', email: 'bot@b.example.com', apiKeyEnv: 'ZULIP_TEST_RESEARCH_KEY' },
+            retired: { site: 'https://a.zulipchat.com', email: 'old@a.example.com', apiKey: 'old', enabled: false },
+          },
+        },
+      },
+    };
 
-    test('removes simple tags', () => {
-      expect(stripHtml('<p>Hello</p>')).toBe('Hello');
+    beforeEach(() => {
+      process.env.ZULIP_TEST_RESEARCH_KEY = 'research-key';
     });
 
-    test('removes nested tags', () => {
-      expect(stripHtml('<div><span>Hello</span></div>')).toBe('Hello');
+    afterEach(() => {
+      delete process.env.ZULIP_TEST_RESEARCH_KEY;
     });
 
-    test('removes tags with attributes', () => {
-      expect(stripHtml('<a href="http://example.com">link</a>')).toBe('link');
+    test('lists configured account IDs', () => {
+      expect(zulipPlugin.config.listAccountIds(cfg)).toEqual(['ops', 'research', 'retired']);
     });
 
-    test('handles Zulip-style formatted messages', () => {
-      expect(stripHtml('<p>Hello <strong>world</strong>!</p>')).toBe('Hello world!');
+    test('uses the configured default account', () => {
+      expect(zulipPlugin.config.defaultAccountId(cfg)).toBe('research');
+      expect(zulipPlugin.config.resolveAccount(cfg).accountId).toBe('research');
     });
 
-    test('leaves plain text unchanged', () => {
-      expect(stripHtml('Hello world')).toBe('Hello world');
+    test('resolves each account with its own site and key', () => {
+      const ops = zulipPlugin.config.resolveAccount(cfg, 'ops');
+      expect(ops).toMatchObject({ accountId: 'ops', name: 'ops', site: 'https://a.zulipchat.com', apiKey: 'ops-key' });
+
+      const research = zulipPlugin.config.resolveAccount(cfg, 'research');
+      expect(research).toMatchObject({ name: 'Research Bot', site: 'https://b.zulipchat.com', apiKey: 'research-key' });
+    });
+
+    test('returns null for unknown accounts', () => {
+      expect(zulipPlugin.config.resolveAccount(cfg, 'nope')).toBe(null);
+      expect(resolveCredentials(cfg, 'nope')).toBe(null);
+    });
+
+    test('does not hand out credentials for disabled accounts', () => {
+      expect(zulipPlugin.config.resolveAccount(cfg, 'retired').enabled).toBe(false);
+      expect(resolveCredentials(cfg, 'retired')).toBe(null);
+    });
+  });
+
+  describe('resolveStreamPolicy', () => {
+    const cfg = {
+      channels: {
+        zulip: {
+          streams: {
+            '*': { reply: 'joined' },
+            Support: { reply: 'always' },
+            announcements: { reply: 'never' },
+          },
+          denyStreams: ['random'],
+        },
+      },
+    };
+
+    test('defaults to mention-only without config', () => {
+      expect(resolveStreamPolicy({}, null, 'general')).toMatchObject({ allowed: true, reply: 'mention' });
+    });
+
+    test('matches stream names case-insensitively', () => {
+      expect(resolveStreamPolicy(cfg, null, 'support').reply).toBe('always');
+      expect(resolveStreamPolicy(cfg, null, 'announcements').reply).toBe('never');
+    });
+
+    test('falls back to the wildcard entry', () => {
+      expect(resolveStreamPolicy(cfg, null, 'general').reply).toBe('joined');
+    });
+
+    test('applies the denylist', () => {
+      expect(resolveStreamPolicy(cfg, null, 'random').allowed).toBe(false);
+    });
+
+    test('applies the allowlist', () => {
+      const allowCfg = { channels: { zulip: { allowStreams: ['support'] } } };
+      expect(resolveStreamPolicy(allowCfg, null, 'Support').allowed).toBe(true);
+      expect(resolveStreamPolicy(allowCfg, null, 'general').allowed).toBe(false);
+    });
+
+    test('account settings override channel settings', () => {
+      const account = { config: { streams: { support: { reply: 'mention' } }, denyStreams: [] } };
+      expect(resolveStreamPolicy(cfg, account, 'support').reply).toBe('mention');
+      expect(resolveStreamPolicy(cfg, account, 'random').allowed).toBe(true);
+    });
+  });
+
+  describe('groups.resolveRequireMention', () => {
+    test('requires a mention unless the stream replies always', () => {
+      const cfg = {
+        channels: {
+          zulip: {
+            accounts: { ops: { site: 'https://a.zulipchat.com', email: 'bot@a.example.com', apiKey: 'k' } },
+            streams: { support: { reply: 'always' } },
+          },
+        },
+      };
+      expect(zulipPlugin.groups.resolveRequireMention({ cfg, accountId: 'ops', groupId: 'support' })).toBe(false);
+      expect(zulipPlugin.groups.resolveRequireMention({ cfg, accountId: 'ops', groupId: 'general' })).toBe(true);
+    });
+  });
+
+  describe('isBotMentioned', () => {
+    test('honors Zulip mention flags', () => {
+      expect(isBotMentioned({ flags: ['read', 'mentioned'] })).toBe(true);
+      expect(isBotMentioned({ flags: ['wildcard_mentioned'] })).toBe(true);
+      expect(isBotMentioned({ flags: ['topic_wildcard_mentioned'] })).toBe(true);
+      expect(isBotMentioned({ flags: ['read'] })).toBe(false);
+    });
+
+    test('detects @**Bot Name** syntax', () => {
+      expect(isBotMentioned({ text: 'hey @**Helper Bot** ping', botName: 'Helper Bot' })).toBe(true);
+      expect(isBotMentioned({ text: 'hey @**helper bot|42**', botName: 'Helper Bot' })).toBe(true);
+    });
+
+    test('ignores silent mentions and other users', () => {
+      expect(isBotMentioned({ text: 'thanks @_**Helper Bot**', botName: 'Helper Bot' })).toBe(false);
+      expect(isBotMentioned({ text: 'hey @**Alice**', botName: 'Helper Bot' })).toBe(false);
+    });
+  });
+
+  describe('reactions', () => {
+    const cfg = {
+      channels: {
+        zulip: {
+          reactions: { feedback: true, summon: ':robot:', regenerate: ['repeat'] },
+          streams: {
+            quiet: { reactions: false },
+            support: { reactions: { feedback: false, summon: ['sos'] } },
+          },
+        },
+      },
+    };
+
+    test('defaults to ❌ delete without feedback', () => {
+      const options = resolveReactionOptions({}, null, 'general');
+      expect(options).toEqual({ feedback: [], regenerate: [], summon: [], delete: ['x', 'cross_mark'] });
+      expect(classifyReaction(options, { emojiName: 'thumbs_down', isBotMessage: true })).toBeNull();
+    });
+
+    test('forwards only the listed feedback emoji', () => {
+      const options = resolveReactionOptions({ channels: { zulip: { reactions: { feedback: ['+1', ':-1:'] } } } }, null, 'general');
+      expect(options.feedback).toEqual(['+1', '-1']);
+      expect(classifyReaction(options, { emojiName: '-1', isBotMessage: true })).toBe('feedback');
+      expect(classifyReaction(options, { emojiName: 'tada', isBotMessage: true })).toBeNull();
+    });
+
+    test('stream entries override channel settings', () => {
+      expect(resolveReactionOptions(cfg, null, 'general')).toMatchObject({ summon: ['robot'], regenerate: ['repeat'] });
+      expect(resolveReactionOptions(cfg, null, 'Support')).toMatchObject({ feedback: [], summon: ['sos'], regenerate: ['repeat'] });
+      expect(resolveReactionOptions(cfg, null, 'quiet')).toBeNull();
+    });
+
+    test('classifies reactions on bot messages', () => {
+      const options = resolveReactionOptions(cfg, null, 'general');
+      expect(classifyReaction(options, { emojiName: 'cross_mark', isBotMessage: true })).toBe('delete');
+      expect(classifyReaction(options, { emojiName: 'repeat', isBotMessage: true })).toBe('regenerate');
+      expect(classifyReaction(options, { emojiName: 'thumbs_down', isBotMessage: true })).toBe('feedback');
+      expect(classifyReaction(options, { emojiName: 'robot', isBotMessage: true })).toBe('feedback');
+    });
+
+    test('only summons on other messages', () => {
+      const options = resolveReactionOptions(cfg, null, 'general');
+      expect(classifyReaction(options, { emojiName: 'robot', isBotMessage: false })).toBe('summon');
+      expect(classifyReaction(options, { emojiName: 'x', isBotMessage: false })).toBeNull();
+      expect(classifyReaction(resolveReactionOptions(cfg, null, 'support'), { emojiName: 'thumbs_down', isBotMessage: true })).toBeNull();
+    });
+
+    test('skips reactions no setting acts on', () => {
+      expect(reactionMayApply({}, null, 'thumbs_down')).toBe(false);
+      expect(reactionMayApply({}, null, ':cross_mark:')).toBe(true);
+      const streamOnly = { channels: { zulip: { reactions: false, streams: { support: { reactions: { summon: ['sos'] } } } } } };
+      expect(reactionMayApply(streamOnly, null, 'sos')).toBe(true);
+      expect(reactionMayApply(streamOnly, null, 'x')).toBe(true);
+      expect(reactionMayApply(streamOnly, null, 'tada')).toBe(false);
+      expect(reactionMayApply(cfg, null, 'tada')).toBe(true);
+    });
+  });
+
+  describe('group DMs', () => {
+    const bot = { id: 9, email: 'bot@example.com', full_name: 'Bot' };
+    const alice = { id: 5, email: 'alice@example.com', full_name: 'Alice' };
+    const bob = { id: 7, email: 'bob@example.com', full_name: 'Bob' };
+
+    test('detects group DMs from display_recipient', () => {
+      expect(isGroupDm({ type: 'private', display_recipient: [alice, bot] }, 9)).toBe(false);
+      expect(isGroupDm({ type: 'private', display_recipient: [alice, bob, bot] }, 9)).toBe(true);
+      expect(isGroupDm({ type: 'stream', display_recipient: 'general' }, 9)).toBe(false);
+    });
+
+    test('lists participants other than the bot', () => {
+      expect(dmParticipants({ type: 'private', display_recipient: [bob, bot, alice] }, 9)).toEqual([bob, alice]);
+    });
+
+    test('shares one conversation key whoever sends', () => {
+      const fromAlice = { type: 'private', sender_id: 5, display_recipient: [alice, bob, bot] };
+      const fromBob = { type: 'private', sender_id: 7, display_recipient: [bot, bob, alice] };
+      expect(conversationKey(fromAlice, 9)).toBe(conversationKey(fromBob, 9));
+    });
+
+    test('keeps persona bot group DMs apart from the main bot\'s', () => {
+      const sage = { id: 11, email: 'sage-bot@example.com', full_name: 'Sage' };
+      const withMain = { type: 'private', display_recipient: [alice, bob, bot] };
+      const withSage = { type: 'private', display_recipient: [alice, bob, sage] };
+
+      expect(sessionPeer('peers', withMain, { userId: 9 }, 5)).toEqual({ kind: 'group', id: '5,7' });
+      expect(sessionPeer('peers', withSage, { userId: 11, personaId: 'sage' }, 5)).toEqual({ kind: 'group', id: 'sage:5,7' });
+      expect(sessionPeer('peers', { type: 'private', display_recipient: [alice, sage] }, { userId: 11, personaId: 'sage' }, 5))
+        .toEqual({ kind: 'direct', id: 'sage:5' });
+    });
+  });
+
+  describe('edits', () => {
+    test('defaults to noting edits', () => {
+      expect(resolveEditMode({}, null)).toBe('note');
+      expect(resolveEditMode({ channels: { zulip: { edits: 'rerun' } } }, null)).toBe('rerun');
+      expect(resolveEditMode({ channels: { zulip: { edits: 'rerun' } } }, { config: { edits: 'ignore' } })).toBe('ignore');
+    });
+
+    test('keys conversations by topic or DM participants', () => {
+      const inTopic = { type: 'stream', display_recipient: 'General', subject: 'Status' };
+      expect(conversationKey(inTopic, 9)).toBe(conversationKey({ ...inTopic, display_recipient: 'general' }, 9));
+      const dm = { type: 'private', display_recipient: [{ id: 9 }, { id: 7 }, { id: 5 }] };
+      expect(conversationKey(dm, 9)).toBe('dm:5,7');
+    });
+
+    test('formats edit notes as quotes', () => {
+      expect(formatEditNotes([{ messageId: 4, senderName: 'Alice', text: 'line one\nline two' }]))
+        .toBe('Messages edited since your last reply:\n[Alice] (id:4) now reads:\n> line one\n> line two');
+    });
+  });
+
+  describe('topic routing', () => {
+    const { mkdtempSync, readFileSync, rmSync } = require('fs');
+    const { tmpdir } = require('os');
+    const { join } = require('path');
+    let stateDir;
+
+    beforeAll(() => {
+      stateDir = mkdtempSync(join(tmpdir(), 'zulip-openclaw-test-'));
+      process.env.OPENCLAW_STATE_DIR = stateDir;
+    });
+
+    afterAll(() => {
+      delete process.env.OPENCLAW_STATE_DIR;
+      rmSync(stateDir, { recursive: true, force: true });
+    });
+
+    test('reads zulip.env from the state directory', () => {
+      const { mkdirSync, writeFileSync } = require('fs');
+      mkdirSync(join(stateDir, 'secrets'), { recursive: true });
+      writeFileSync(join(stateDir, 'secrets', 'zulip.env'), 'ZULIP_EMAIL=bot@example.com\nZULIP_API_KEY=k=1\nZULIP_SITE=https://example.zulipchat.com\n');
+      expect(loadCredentials()).toEqual({ email: 'bot@example.com', apiKey: 'k=1', site: 'https://example.zulipchat.com' });
+    });
+
+    test('ignores the resolved prefix', () => {
+      expect(topicPeerId('resolve', 'general', '✔ deploy')).toBe('general:deploy');
+      expect(recordTopicMove('resolve', { stream: 'general', topic: 'deploy' }, { stream: 'general', topic: '✔ deploy' })).toBe(false);
+    });
+
+    test('keeps the original session across renames and moves', () => {
+      recordTopicMove('moves', { stream: 'general', topic: 'deploy' }, { stream: 'general', topic: 'deploy v2' });
+      recordTopicMove('moves', { stream: 'general', topic: 'deploy v2' }, { stream: 'ops', topic: 'Deploy v2' });
+
+      expect(topicPeerId('moves', 'ops', '✔ Deploy v2')).toBe('general:deploy');
+      expect(currentTopicLocation('moves', 'general', 'deploy')).toEqual({ stream: 'ops', topic: 'Deploy v2' });
+      expect(currentTopicLocation('moves', 'general', 'other')).toEqual({ stream: 'general', topic: 'other' });
+
+      const saved = JSON.parse(readFileSync(join(stateDir, 'state', 'zulip-openclaw', 'moves.json'), 'utf-8'));
+      expect(Object.keys(saved.topicMoves)).toHaveLength(2);
+    });
+
+    test('does not loop when a topic moves back', () => {
+      recordTopicMove('back', { stream: 'general', topic: 'a' }, { stream: 'general', topic: 'b' });
+      recordTopicMove('back', { stream: 'general', topic: 'b' }, { stream: 'general', topic: 'a' });
+
+      expect(currentTopicLocation('back', 'general', 'a')).toEqual({ stream: 'general', topic: 'a' });
+      expect(currentTopicLocation('back', 'general', 'b')).toEqual({ stream: 'general', topic: 'a' });
+      expect(topicPeerId('back', 'general', 'a')).toBe('general:a');
+    });
+
+    test('starts a new topic when someone posts where a moved topic was', () => {
+      recordTopicMove('reuse', { stream: 'general', topic: 'deploy' }, { stream: 'ops', topic: 'deploy' }, 50);
+
+      // Messages up to the move were moved with it
+      expect(reclaimTopic('reuse', 'general', 'deploy', 50)).toBe(false);
+      expect(reclaimTopic('reuse', 'general', 'other', 60)).toBe(false);
+
+      expect(reclaimTopic('reuse', 'general', 'deploy', 61)).toBe(true);
+      expect(currentTopicLocation('reuse', 'general', 'deploy')).toEqual({ stream: 'general', topic: 'deploy' });
+      expect(topicPeerId('reuse', 'general', 'deploy')).toBe('general:deploy@61');
+      expect(topicPeerId('reuse', 'ops', 'deploy')).toBe('general:deploy');
+      expect(reclaimTopic('reuse', 'general', 'deploy', 62)).toBe(false);
+    });
+
+    test('sends from the agent follow moved topics and style limits', async () => {
+      const { mkdirSync, writeFileSync } = require('fs');
+      mkdirSync(join(stateDir, 'secrets'), { recursive: true });
+      writeFileSync(join(stateDir, 'secrets', 'zulip-style.json'), JSON.stringify({ rules: [{ stream: 'ops', maxLength: 20 }] }));
+      recordTopicMove('sender', { stream: 'general', topic: 'deploy' }, { stream: 'ops', topic: 'deploy' });
+
+      const originalFetch = global.fetch;
+      global.fetch = jest.fn().mockResolvedValue({ json: () => Promise.resolve({ result: 'success', id: 5 }) });
+      try {
+        const cfg = { channels: { zulip: { accounts: { sender: { site: 'https://a.zulipchat.com', email: 'bot@a.example.com', apiKey: 'k' } } } } };
+        const text = 'A long update that runs well past the limit.';
+        await zulipPlugin.actions.handleAction({ action: 'send', params: { to: 'stream:general', topic: 'deploy', message: text }, cfg, accountId: 'sender' });
+        await zulipPlugin.outbound.sendText({ to: 'stream:general', replyToId: 'deploy', text, cfg, accountId: 'sender' });
+
+        for (const [, options] of global.fetch.mock.calls) {
+          const body = new URLSearchParams(options.body);
+          expect(body.get('to')).toBe('ops');
+          expect(body.get('topic')).toBe('deploy');
+          expect(body.get('content').length).toBeLessThanOrEqual(20);
+        }
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+      } finally {
+        global.fetch = originalFetch;
+      }
+    });
+
+    test('gives a reset conversation a new session peer', () => {
+      const peer = { kind: 'channel', id: 'general:deploy' };
+      expect(routedPeer('resets', peer)).toEqual(peer);
+
+      recordSessionReset('resets', peer, 100);
+      expect(recordSessionReset('resets', peer, 120)).toEqual({ generation: 2, afterMessageId: 120 });
+      expect(routedPeer('resets', peer)).toEqual({ kind: 'channel', id: 'general:deploy#2' });
+      // DMs with the same ID are a different conversation
+      expect(sessionReset('resets', { kind: 'direct', id: 'general:deploy' })).toBeNull();
+
+      const saved = JSON.parse(readFileSync(join(stateDir, 'state', 'zulip-openclaw', 'resets.json'), 'utf-8'));
+      expect(saved.sessionResets['channel:general:deploy']).toEqual({ generation: 2, afterMessageId: 120 });
+    });
+    test('keeps only the most recent conversations in the state file', () => {
+      const peer = (i) => ({ kind: 'channel', id: `general:topic ${i}` });
+      // One more than the cap
+      for (let i = 0; i <= 1000; i++) recordSessionReset('capped', peer(i), i);
+      recordSessionReset('capped', peer(1), 2000);
+      recordSessionReset('capped', peer(1001), 2001);
+
+      expect(sessionReset('capped', peer(0))).toBeNull();
+      expect(sessionReset('capped', peer(2))).toBeNull();
+      expect(sessionReset('capped', peer(1))).toEqual({ generation: 2, afterMessageId: 2000 });
+      const saved = JSON.parse(readFileSync(join(stateDir, 'state', 'zulip-openclaw', 'capped.json'), 'utf-8'));
+      expect(Object.keys(saved.sessionResets)).toHaveLength(1000);
+    });
+  });
+
+  describe('persona bots', () => {
+    const baseCreds = { email: 'bot@example.com', apiKey: 'k', site: 'https://example.zulipchat.com' };
+
+    test('builds credentials on the account realm by default', () => {
+      expect(personaBotCredentials({ bot: { email: 'sage@example.com', apiKey: 'sk' } }, baseCreds))
+        .toEqual({ email: 'sage@example.com', apiKey: 'sk', site: 'https://example.zulipchat.com' });
+      expect(personaBotCredentials({ file: 'ember.md' }, baseCreds)).toBeNull();
+      expect(personaBotCredentials({ bot: { email: 'sage@example.com', apiKeyEnv: 'ZULIP_UNSET_TEST_KEY' } }, baseCreds)).toBeNull();
+    });
+
+    test('routes a mention of a persona bot to that persona', () => {
+      const bots = new Map([
+        ['sage', { personaId: 'sage', fullName: 'Sage' }],
+        ['ember', { personaId: 'ember', fullName: 'Ember Bot' }],
+      ]);
+      expect(findMentionedPersona(bots, 'hey @**Ember Bot|12** any ideas?')).toBe('ember');
+      expect(findMentionedPersona(bots, '@**Sage** thoughts?')).toBe('sage');
+      expect(findMentionedPersona(bots, 'Sage, thoughts?')).toBeNull();
+    });
+  });
+
+  describe('security.resolveDmPolicy', () => {
+    test('defaults to pairing with an empty allowlist', () => {
+      const account = { accountId: 'default', config: {} };
+      expect(zulipPlugin.security.resolveDmPolicy({ cfg: {}, account })).toMatchObject({
+        policy: 'pairing',
+        allowFrom: [],
+        allowFromPath: 'channels.zulip.allowFrom',
+      });
+    });
+
+    test('reads per-account policy and allowlist', () => {
+      const cfg = {
+        channels: {
+          zulip: {
+            accounts: {
+              ops: {
+                site: 'https://a.zulipchat.com', email: 'bot@a.example.com', apiKey: 'k',
+                dmPolicy: 'allowlist', allowFrom: ['alice@example.com', 42],
+              },
+            },
+          },
+        },
+      };
+      expect(zulipPlugin.security.resolveDmPolicy({ cfg, accountId: 'ops' })).toMatchObject({
+        policy: 'allowlist',
+        allowFrom: ['alice@example.com', '42'],
+        policyPath: 'channels.zulip.accounts.ops.dmPolicy',
+      });
+    });
+
+    test('normalizes allowlist entries', () => {
+      const { normalizeEntry } = zulipPlugin.security.resolveDmPolicy({ cfg: {}, account: { config: {} } });
+      expect(normalizeEntry(' zulip:Alice@Example.com ')).toBe('alice@example.com');
+    });
+  });
+
+  describe('extractUploadPaths', () => {
+    const site = 'https://example.zulipchat.com';
+
+    test('finds relative upload links once', () => {
+      const html = '<p><a href="/user_uploads/2/ab/xyz/shot.png">shot.png</a></p>' +
+        '<div class="message_inline_image"><a href="/user_uploads/2/ab/xyz/shot.png"><img src="/user_uploads/thumbnail/2/ab/xyz/shot.png/840x560.webp"></a></div>';
+      expect(extractUploadPaths(html, site)).toEqual(['/user_uploads/2/ab/xyz/shot.png']);
+    });
+
+    test('accepts absolute links on the same realm only', () => {
+      const html = '<a href="https://example.zulipchat.com/user_uploads/2/cd/doc.pdf">doc</a>' +
+        '<a href="https://other.zulipchat.com/user_uploads/9/ef/x.pdf">x</a>';
+      expect(extractUploadPaths(html, site)).toEqual(['/user_uploads/2/cd/doc.pdf']);
+    });
+
+    test('ignores ordinary links', () => {
+      expect(extractUploadPaths('<a href="https://example.com/a.png">a</a>', site)).toEqual([]);
+    });
+  });
+
+  describe('loadOutboundMedia', () => {
+    test('decodes base64 data URLs', async () => {
+      const media = await loadOutboundMedia('data:image/png;base64,aGVsbG8=', 1024);
+      expect(media.buffer.toString()).toBe('hello');
+      expect(media.contentType).toBe('image/png');
+      expect(media.filename).toBe('upload.png');
+    });
+
+    test('rejects media over the size limit', async () => {
+      await expect(loadOutboundMedia('data:text/plain,hello', 3)).rejects.toThrow('limit');
     });
   });
 });
@@ -181,6 +643,402 @@ describe('Mock Tests', () => {
     });
   });
 
+  describe('isSenderAllowed', () => {
+    const creds = { email: 'bot@example.com', apiKey: 'k', site: 'https://groups.zulipchat.com' };
+    const alice = { id: 7, email: 'Alice@example.com' };
+
+    test('matches emails case-insensitively, user IDs, and wildcards', async () => {
+      expect(await isSenderAllowed(creds, ['alice@example.com'], alice)).toBe(true);
+      expect(await isSenderAllowed(creds, ['7'], alice)).toBe(true);
+      expect(await isSenderAllowed(creds, ['*'], alice)).toBe(true);
+      expect(await isSenderAllowed(creds, ['bob@example.com', '8'], alice)).toBe(false);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('checks user group membership by name', async () => {
+      global.fetch
+        .mockResolvedValueOnce({
+          json: () => Promise.resolve({ result: 'success', user_groups: [{ id: 3, name: 'Support' }] })
+        })
+        .mockResolvedValueOnce({
+          json: () => Promise.resolve({ result: 'success', is_user_group_member: true })
+        });
+
+      expect(await isSenderAllowed(creds, ['group:support'], alice)).toBe(true);
+      expect(global.fetch.mock.calls[1][0]).toBe('https://groups.zulipchat.com/api/v1/user_groups/3/members/7');
+    });
+  });
+
+  describe('resolveSenderAccess', () => {
+    const creds = { email: 'bot@example.com', apiKey: 'k', site: 'https://example.zulipchat.com' };
+    const sender = { id: 7, email: 'alice@example.com' };
+    const access = (config, opts = {}) => resolveSenderAccess({
+      creds,
+      cfg: { channels: { zulip: config } },
+      account: { config: {} },
+      runtime: opts.runtime,
+      sender,
+      isDirect: opts.isDirect ?? true,
+    });
+
+    test('pairing blocks unknown DM senders', async () => {
+      expect(await access({})).toMatchObject({ policy: 'pairing', allowed: false, commandAuthorized: false });
+    });
+
+    test('pairing admits senders approved in the pairing store', async () => {
+      const runtime = { channel: { pairing: { readAllowFromStore: jest.fn(async () => ['7']) } } };
+      expect(await access({}, { runtime })).toMatchObject({ allowed: true, commandAuthorized: true });
+      expect(runtime.channel.pairing.readAllowFromStore).toHaveBeenCalledWith('zulip-openclaw');
+    });
+
+    test('allowlist admits listed senders only', async () => {
+      expect(await access({ dmPolicy: 'allowlist', allowFrom: ['alice@example.com'] })).toMatchObject({ allowed: true, commandAuthorized: true });
+      expect(await access({ dmPolicy: 'allowlist', allowFrom: ['bob@example.com'] })).toMatchObject({ allowed: false });
+    });
+
+    test('open admits everyone but only authorizes commands for listed senders', async () => {
+      expect(await access({ dmPolicy: 'open' })).toMatchObject({ allowed: true, commandAuthorized: true });
+      expect(await access({ dmPolicy: 'open', allowFrom: ['bob@example.com'] })).toMatchObject({ allowed: true, commandAuthorized: false });
+    });
+
+    test('disabled ignores DMs', async () => {
+      expect(await access({ dmPolicy: 'disabled', allowFrom: ['*'] })).toMatchObject({ allowed: false });
+    });
+
+    test('stream messages are always admitted but still gated for commands', async () => {
+      expect(await access({}, { isDirect: false })).toMatchObject({ allowed: true, commandAuthorized: false });
+    });
+  });
+
+  describe('createStreamingReply', () => {
+    const creds = { email: 'bot@example.com', apiKey: 'k', site: 'https://example.zulipchat.com' };
+    const target = { type: 'stream', to: 'general', topic: 'status' };
+    const bodyOf = (call) => Object.fromEntries(new URLSearchParams(call[1].body));
+
+    beforeEach(() => {
+      let nextId = 500;
+      global.fetch.mockImplementation((url, opts) => Promise.resolve({
+        json: () => Promise.resolve(opts.method === 'POST' ? { result: 'success', id: nextId++ } : { result: 'success' })
+      }));
+    });
+
+    test('posts a placeholder and edits it as blocks arrive', async () => {
+      const reply = createStreamingReply(creds, target, { placeholder: '...', throttleMs: 0 });
+      reply.start();
+      reply.append('First part.');
+      reply.append('Second part.');
+      const { messageIds } = await reply.finish();
+
+      expect(messageIds).toEqual(['500']);
+      const [post, ...edits] = global.fetch.mock.calls;
+      expect(post[1].method).toBe('POST');
+      expect(bodyOf(post)).toMatchObject({ content: '...', topic: 'status' });
+      expect(edits.length).toBeGreaterThan(0);
+      for (const edit of edits) {
+        expect(edit[0]).toBe('https://example.zulipchat.com/api/v1/messages/500');
+        expect(edit[1].method).toBe('PATCH');
+      }
+      expect(bodyOf(edits[edits.length - 1]).content).toBe('First part.\n\nSecond part.');
+    });
+
+    test('rolls over to a new message at the length limit', async () => {
+      const reply = createStreamingReply(creds, target, { placeholder: '...', throttleMs: 0, maxLength: 30 });
+      reply.start();
+      reply.append('a'.repeat(20));
+      reply.append('b'.repeat(20));
+      const { messageIds } = await reply.finish();
+
+      expect(messageIds).toEqual(['500', '501']);
+      const posts = global.fetch.mock.calls.filter(call => call[1].method === 'POST');
+      expect(bodyOf(posts[1]).content).toBe('b'.repeat(20));
+      const lastEdit = global.fetch.mock.calls.filter(call => call[1].method === 'PATCH').pop();
+      expect(bodyOf(lastEdit).content).toBe('a'.repeat(20));
+    });
+
+    test('throttles edits', async () => {
+      const reply = createStreamingReply(creds, target, { placeholder: '', throttleMs: 60_000 });
+      reply.start();
+      reply.append('one');
+      reply.append('two');
+      reply.append('three');
+      await reply.finish();
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(bodyOf(global.fetch.mock.calls[0]).content).toBe('one\n\ntwo\n\nthree');
+    });
+
+    test('deletes the placeholder when nothing was said', async () => {
+      const reply = createStreamingReply(creds, target, { placeholder: '...', throttleMs: 0 });
+      reply.start();
+      const { messageIds } = await reply.finish();
+
+      expect(messageIds).toEqual([]);
+      expect(global.fetch.mock.calls[1][1].method).toBe('DELETE');
+    });
+  });
+
+  describe('typing indicators', () => {
+    const creds = { email: 'bot@example.com', apiKey: 'k', site: 'https://example.zulipchat.com' };
+    const bodyOf = (call) => Object.fromEntries(new URLSearchParams(call[1].body));
+
+    beforeEach(() => {
+      global.fetch.mockResolvedValue({ json: () => Promise.resolve({ result: 'success' }) });
+    });
+
+    test('targets stream topics and DM participants other than the bot', () => {
+      expect(typingTarget({ type: 'stream', stream_id: 3, subject: 'status' }, 9))
+        .toEqual({ type: 'stream', stream_id: 3, topic: 'status' });
+      const huddle = { type: 'private', sender_id: 5, display_recipient: [{ id: 5 }, { id: 9 }, { id: 7 }] };
+      expect(typingTarget(huddle, 9)).toEqual({ type: 'direct', to: '[5,7]' });
+    });
+
+    test('refreshes start until stopped', async () => {
+      jest.useFakeTimers();
+      try {
+        const typing = createTypingIndicator(creds, { type: 'direct', to: '[5]' }, { refreshMs: 1000 });
+        typing.start();
+        jest.advanceTimersByTime(2500);
+        await typing.stop();
+        jest.advanceTimersByTime(5000);
+
+        const ops = global.fetch.mock.calls.map(call => bodyOf(call).op);
+        expect(ops).toEqual(['start', 'start', 'start', 'stop']);
+        expect(global.fetch.mock.calls[0][0]).toBe('https://example.zulipchat.com/api/v1/typing');
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('never throws on API failures', async () => {
+      global.fetch.mockRejectedValue(new Error('offline'));
+      const typing = createTypingIndicator(creds, { type: 'direct', to: '[5]' });
+      typing.start();
+      await expect(typing.stop()).resolves.toBeUndefined();
+    });
+  });
+
+  describe('fetchMissedMessages', () => {
+    const creds = { email: 'bot@example.com', apiKey: 'k', site: 'https://example.zulipchat.com' };
+    const now = Math.floor(Date.now() / 1000);
+    const opts = { maxMessages: 3, maxAgeMs: 60 * 60_000 };
+
+    test('returns messages newer than the last processed ID', async () => {
+      global.fetch.mockResolvedValue({
+        json: () => Promise.resolve({
+          result: 'success',
+          found_oldest: false,
+          messages: [{ id: 10, timestamp: now }, { id: 11, timestamp: now }, { id: 12, timestamp: now }],
+        })
+      });
+
+      const result = await fetchMissedMessages(creds, 10, opts);
+      expect(result.messages.map(m => m.id)).toEqual([11, 12]);
+      expect(result).toMatchObject({ newestId: 12, tooOld: 0, truncated: false });
+
+      const url = new URL(global.fetch.mock.calls[0][0]);
+      expect(url.searchParams.get('anchor')).toBe('newest');
+      expect(url.searchParams.get('num_before')).toBe('3');
+    });
+
+    test('skips messages older than the age cutoff but reports them seen', async () => {
+      global.fetch.mockResolvedValue({
+        json: () => Promise.resolve({
+          result: 'success',
+          found_oldest: true,
+          messages: [{ id: 20, timestamp: now - 7200 }, { id: 21, timestamp: now }],
+        })
+      });
+
+      const result = await fetchMissedMessages(creds, 5, opts);
+      expect(result.messages.map(m => m.id)).toEqual([21]);
+      expect(result).toMatchObject({ newestId: 21, tooOld: 1, truncated: false });
+    });
+
+    test('flags a backlog larger than the cap', async () => {
+      global.fetch.mockResolvedValue({
+        json: () => Promise.resolve({
+          result: 'success',
+          found_oldest: false,
+          messages: [30, 31, 32, 33].map(id => ({ id, timestamp: now })),
+        })
+      });
+
+      const result = await fetchMissedMessages(creds, 1, opts);
+      expect(result.messages.map(m => m.id)).toEqual([31, 32, 33]);
+      expect(result.truncated).toBe(true);
+    });
+  });
+
+  describe('loadPersonaBots', () => {
+    test('signs in each persona bot and skips the ones that fail', async () => {
+      global.fetch.mockImplementation((url, init) => {
+        const user = Buffer.from(init.headers.Authorization.replace('Basic ', ''), 'base64').toString().split(':')[0];
+        const body = user === 'sage@example.com'
+          ? { result: 'success', user_id: 12, full_name: 'Sage' }
+          : { result: 'error', msg: 'Invalid API key', code: 'UNAUTHORIZED' };
+        return Promise.resolve({ json: () => Promise.resolve(body) });
+      });
+      const config = {
+        personas: {
+          sage: { file: 'sage.md', bot: { email: 'sage@example.com', apiKey: 'sk' } },
+          ember: { file: 'ember.md', bot: { email: 'ember@example.com', apiKey: 'bad' } },
+          plain: { file: 'plain.md' },
+        },
+      };
+      const log = { warn: jest.fn() };
+
+      const bots = await loadPersonaBots(config, { site: 'https://example.zulipchat.com' }, log);
+      expect([...bots.keys()]).toEqual(['sage']);
+      expect(bots.get('sage')).toMatchObject({ personaId: 'sage', userId: 12, fullName: 'Sage' });
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(log.warn).toHaveBeenCalledWith(expect.stringContaining('ember@example.com'));
+    });
+  });
+
+  describe('outbound.sendMedia', () => {
+    let originalResolveAccount;
+
+    beforeEach(() => {
+      originalResolveAccount = zulipPlugin.config.resolveAccount;
+      zulipPlugin.config.resolveAccount = jest.fn(() => ({
+        accountId: 'default',
+        email: 'bot@example.com',
+        apiKey: 'test-key',
+        site: 'https://example.zulipchat.com',
+        config: {},
+      }));
+    });
+
+    afterEach(() => {
+      zulipPlugin.config.resolveAccount = originalResolveAccount;
+    });
+
+    test('uploads the file and posts an attachment link', async () => {
+      global.fetch
+        .mockResolvedValueOnce({
+          json: () => Promise.resolve({ result: 'success', url: '/user_uploads/2/ab/upload.png', filename: 'upload.png' })
+        })
+        .mockResolvedValueOnce({
+          json: () => Promise.resolve({ result: 'success', id: 42 })
+        });
+
+      const result = await zulipPlugin.outbound.sendMedia({
+        to: 'stream:general',
+        text: 'Here you go',
+        mediaUrl: 'data:image/png;base64,aGVsbG8=',
+        replyToId: 'screenshots',
+      });
+
+      expect(result).toMatchObject({ ok: true, messageId: '42' });
+
+      const [uploadUrl, uploadOpts] = global.fetch.mock.calls[0];
+      expect(uploadUrl).toBe('https://example.zulipchat.com/api/v1/user_uploads');
+      expect(uploadOpts.body).toBeInstanceOf(FormData);
+
+      const [, sendOpts] = global.fetch.mock.calls[1];
+      const body = new URLSearchParams(sendOpts.body);
+      expect(body.get('content')).toBe('Here you go\n[upload.png](/user_uploads/2/ab/upload.png)');
+      expect(body.get('topic')).toBe('screenshots');
+    });
+
+    test('reports upload failures without sending', async () => {
+      global.fetch.mockResolvedValueOnce({
+        json: () => Promise.resolve({ result: 'error', msg: 'File too large' })
+      });
+
+      const result = await zulipPlugin.outbound.sendMedia({
+        to: 'stream:general',
+        mediaUrl: 'data:image/png;base64,aGVsbG8=',
+      });
+
+      expect(result.ok).toBe(false);
+      expect(result.error).toContain('File too large');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('takes the size limit from the channel when the account sets none', async () => {
+      const result = await zulipPlugin.outbound.sendMedia({
+        to: 'stream:general',
+        mediaUrl: 'data:image/png;base64,aGVsbG8=',
+        cfg: { channels: { zulip: { mediaMaxMb: 0.000001 } } },
+      });
+
+      expect(result.ok).toBe(false);
+      expect(result.error).toContain('limit');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('reports a missing account from the channel', async () => {
+      zulipPlugin.config.resolveAccount = jest.fn(() => null);
+      const result = await zulipPlugin.outbound.sendText({ to: 'stream:general', text: 'Hi', accountId: 'nope' });
+      expect(result).toMatchObject({ channel: 'zulip-openclaw', ok: false });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('directory', () => {
+    let originalResolveAccount;
+
+    beforeEach(() => {
+      originalResolveAccount = zulipPlugin.config.resolveAccount;
+      // A realm of its own, so the directory cache starts empty
+      zulipPlugin.config.resolveAccount = jest.fn(() => ({
+        accountId: 'default',
+        email: 'bot@dir.example.com',
+        apiKey: 'test-key',
+        site: 'https://directory.zulipchat.com',
+        config: {},
+      }));
+      const responses = {
+        '/users/me': { result: 'success', email: 'bot@dir.example.com', full_name: 'Claw Bot' },
+        '/users': {
+          result: 'success',
+          members: [
+            { user_id: 1, email: 'alice@example.com', full_name: 'Alice' },
+            { user_id: 2, email: 'bob@example.com', full_name: 'Bob', is_active: false },
+            { user_id: 3, email: 'carol@example.com', full_name: 'Carol' },
+          ],
+        },
+        '/users/me/subscriptions': {
+          result: 'success',
+          subscriptions: [{ stream_id: 7, name: 'general' }, { stream_id: 8, name: 'ops' }],
+        },
+        '/users/me/7/topics': { result: 'success', topics: [{ name: 'deploy', max_id: 90 }, { name: 'a/b', max_id: 80 }] },
+      };
+      global.fetch.mockImplementation((url) => {
+        const path = new URL(url).pathname.replace('/api/v1', '');
+        return Promise.resolve({ json: () => Promise.resolve(responses[path] ?? { result: 'error', msg: 'Not found' }) });
+      });
+    });
+
+    afterEach(() => {
+      zulipPlugin.config.resolveAccount = originalResolveAccount;
+    });
+
+    test('describes the bot itself', async () => {
+      expect(await zulipPlugin.directory.self({ cfg: {} }))
+        .toEqual({ kind: 'user', id: 'private:bot@dir.example.com', name: 'Claw Bot', handle: 'bot@dir.example.com' });
+    });
+
+    test('lists active users matching the query', async () => {
+      const peers = await zulipPlugin.directory.listPeers({ cfg: {}, query: 'CAROL' });
+      expect(peers.map(p => p.id)).toEqual(['private:carol@example.com']);
+      expect(await zulipPlugin.directory.listPeers({ cfg: {}, limit: 5 })).toHaveLength(2);
+    });
+
+    test('lists subscribed streams as send targets', async () => {
+      const groups = await zulipPlugin.directory.listGroups({ cfg: {}, limit: 1 });
+      expect(groups).toEqual([expect.objectContaining({ kind: 'channel', id: 'stream:general', name: 'general' })]);
+    });
+
+    test('gives each topic a target of its own', async () => {
+      const topics = await zulipPlugin.directory.listTopics({ cfg: {}, stream: 'stream:general' });
+      expect(topics.map(t => t.id)).toEqual(['stream:general/deploy', 'stream:general/a/b']);
+      expect(zulipPlugin.messaging.normalizeTarget(topics[1].id)).toBe('stream:general/a/b');
+      expect(await zulipPlugin.directory.listTopics({ cfg: {}, stream: 'nowhere' })).toEqual([]);
+    });
+  });
+
   describe('actions.handleAction', () => {
     const mockAccount = {
       accountId: 'default',
@@ -217,6 +1075,44 @@ describe('Mock Tests', () => {
       expect(result.messageId).toBe('789');
     });
 
+    test('send action splits long messages and sends the parts in order', async () => {
+      let nextId = 900;
+      global.fetch.mockImplementation(() => Promise.resolve({
+        json: () => Promise.resolve({ result: 'success', id: nextId++ })
+      }));
+
+      const paragraph = 'x'.repeat(6000);
+      const result = await zulipPlugin.actions.handleAction({
+        action: 'send',
+        params: { to: 'stream:general', message: `${paragraph}\n\n${paragraph}`, topic: 'long' },
+        cfg: {},
+        accountId: 'default'
+      });
+
+      expect(result).toMatchObject({ ok: true, messageId: '900', messageIds: ['900', '901'] });
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      for (const [, opts] of global.fetch.mock.calls) {
+        const body = new URLSearchParams(opts.body);
+        expect(body.get('content')).toBe(paragraph);
+        expect(body.get('topic')).toBe('long');
+      }
+    });
+
+    test('send action passes accountId through to account resolution', async () => {
+      global.fetch.mockResolvedValue({
+        json: () => Promise.resolve({ result: 'success', id: 790 })
+      });
+
+      await zulipPlugin.actions.handleAction({
+        action: 'send',
+        params: { to: 'stream:general', message: 'Hello!' },
+        cfg: {},
+        accountId: 'research'
+      });
+
+      expect(zulipPlugin.config.resolveAccount).toHaveBeenCalledWith({}, 'research');
+    });
+
     test('send action returns error on failure', async () => {
       global.fetch.mockResolvedValue({
         json: () => Promise.resolve({ result: 'error', msg: 'Stream not found' })
@@ -233,6 +1129,32 @@ describe('Mock Tests', () => {
       expect(result.error).toBe('Stream not found');
     });
 
+    test('send action takes a topic link and rejects a bad target before posting', async () => {
+      global.fetch.mockResolvedValue({
+        json: () => Promise.resolve({ result: 'success', id: 791 })
+      });
+
+      await zulipPlugin.actions.handleAction({
+        action: 'send',
+        params: { to: '#**general>deploys**', message: 'Shipped' },
+        cfg: {},
+        accountId: 'default'
+      });
+      const body = new URLSearchParams(global.fetch.mock.calls[0][1].body);
+      expect(body.get('to')).toBe('general');
+      expect(body.get('topic')).toBe('deploys');
+
+      global.fetch.mockClear();
+      const result = await zulipPlugin.actions.handleAction({
+        action: 'send',
+        params: { to: 'stream:general/', message: 'Hello!' },
+        cfg: {},
+        accountId: 'default'
+      });
+      expect(result).toEqual({ ok: false, error: 'The topic after "general" is empty', code: 'INVALID_TARGET' });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
     test('react action adds reaction to message', async () => {
       global.fetch.mockResolvedValue({
         json: () => Promise.resolve({ result: 'success' })
@@ -273,7 +1195,127 @@ describe('Mock Tests', () => {
       expect(result.ok).toBe(true);
       expect(result.messages).toHaveLength(1);
       expect(result.messages[0].sender).toBe('Alice');
-      expect(result.messages[0].content).toBe('Hello'); // HTML stripped
+      expect(result.messages[0].content).toBe('Hello'); // HTML converted to Markdown
+    });
+
+    test('user action returns the profile with local time', async () => {
+      global.fetch.mockImplementation((url) => Promise.resolve({
+        json: () => Promise.resolve(url.includes('/profile_fields')
+          ? { result: 'success', custom_fields: [] }
+          : { result: 'success', user: { user_id: 77, email: 'kenji@example.com', full_name: 'Kenji', role: 400, timezone: 'Asia/Tokyo' } })
+      }));
+
+      const result = await zulipPlugin.actions.handleAction({
+        action: 'user',
+        params: { user: 'kenji@example.com' },
+        cfg: {},
+        accountId: 'default'
+      });
+
+      expect(result).toMatchObject({ ok: true, user: { id: 77, fullName: 'Kenji', role: 'member', timezone: 'Asia/Tokyo', utcOffset: '+09:00' } });
+      expect(global.fetch.mock.calls[0][0]).toContain('/users/kenji%40example.com');
+    });
+
+    describe('management actions', () => {
+      const act = (action, params, cfg = {}) => zulipPlugin.actions.handleAction({ action, params, cfg, accountId: 'default' });
+
+      // Route mocked responses by path; `topics` lists existing "stream/topic" pairs
+      const mockRealm = (topics) => {
+        global.fetch.mockImplementation((url, opts) => {
+          const { pathname, searchParams } = new URL(url);
+          let body = { result: 'success' };
+          if (pathname.endsWith('/get_stream_id')) {
+            body = { result: 'success', stream_id: searchParams.get('stream') === 'ops' ? 4 : 3 };
+          } else if (pathname.endsWith('/messages') && opts.method === 'GET') {
+            const [stream, topic] = JSON.parse(searchParams.get('narrow')).map(n => n.operand);
+            body = { result: 'success', messages: topics.includes(`${stream}/${topic}`) ? [{ id: 77 }] : [] };
+          }
+          return Promise.resolve({ json: () => Promise.resolve(body) });
+        });
+      };
+      const patchCall = () => global.fetch.mock.calls.find(([, opts]) => opts.method === 'PATCH');
+
+      test('renames a topic', async () => {
+        mockRealm(['general/deploy']);
+        const result = await act('move-topic', { stream: 'general', topic: 'deploy', newTopic: 'deploys' });
+
+        expect(result).toEqual({ ok: true, stream: 'general', topic: 'deploys' });
+        const [url, opts] = patchCall();
+        expect(url).toContain('/messages/77');
+        expect(Object.fromEntries(new URLSearchParams(opts.body))).toEqual({ topic: 'deploys', propagate_mode: 'change_all' });
+      });
+
+      test('asks for confirmation before moving to another stream', async () => {
+        mockRealm(['general/deploy']);
+        const params = { stream: 'general', topic: 'deploy', newStream: 'ops' };
+
+        expect(await act('move-topic', params)).toMatchObject({ ok: false, code: 'CONFIRMATION_REQUIRED' });
+        expect(patchCall()).toBeUndefined();
+
+        expect(await act('move-topic', { ...params, confirm: true })).toMatchObject({ ok: true, stream: 'ops' });
+        expect(new URLSearchParams(patchCall()[1].body).get('stream_id')).toBe('4');
+      });
+
+      test('asks for confirmation before merging into an existing topic', async () => {
+        mockRealm(['general/deploy', 'general/releases']);
+        const result = await act('move-topic', { stream: 'general', topic: 'deploy', newTopic: 'releases' });
+        expect(result).toMatchObject({ ok: false, code: 'CONFIRMATION_REQUIRED' });
+        expect(result.error).toContain('merged');
+      });
+
+      test('refuses missing topics and denied streams', async () => {
+        mockRealm([]);
+        expect(await act('move-topic', { stream: 'general', topic: 'nope', newTopic: 'x' })).toMatchObject({ code: 'TOPIC_NOT_FOUND' });
+
+        const cfg = { channels: { zulip: { denyStreams: ['ops'] } } };
+        expect(await act('move-topic', { stream: 'general', topic: 'deploy', newStream: 'ops', confirm: true }, cfg))
+          .toMatchObject({ ok: false, code: 'STREAM_NOT_ALLOWED' });
+      });
+
+      test('resolves and unresolves topics', async () => {
+        mockRealm(['general/deploy', 'general/✔ done']);
+        expect(await act('resolve-topic', { stream: 'general', topic: 'deploy' })).toMatchObject({ ok: true, topic: '✔ deploy' });
+        expect(await act('unresolve-topic', { stream: 'general', topic: '✔ done' })).toMatchObject({ ok: true, topic: 'done' });
+        expect(await act('resolve-topic', { stream: 'general', topic: '✔ done' })).toMatchObject({ ok: true, unchanged: true });
+      });
+
+      test('refuses to create an existing stream', async () => {
+        mockRealm([]);
+        expect(await act('create-stream', { name: 'general' })).toMatchObject({ ok: false, code: 'STREAM_EXISTS' });
+      });
+
+      test('creates a stream with its subscribers and the bot', async () => {
+        global.fetch.mockImplementation((url, opts) => {
+          const { pathname } = new URL(url);
+          let body = { result: 'success' };
+          if (pathname.endsWith('/get_stream_id')) body = { result: 'error', msg: 'Invalid stream name', code: 'BAD_REQUEST' };
+          else if (pathname.endsWith('/users/me') && opts.method === 'GET') body = { result: 'success', user_id: 99 };
+          return Promise.resolve({ json: () => Promise.resolve(body) });
+        });
+        const principals = () => {
+          const [, opts] = global.fetch.mock.calls.filter(([url, o]) => url.includes('/subscriptions') && o.method === 'POST').pop();
+          return JSON.parse(new URLSearchParams(opts.body).get('principals'));
+        };
+
+        expect(await act('create-stream', { name: 'launch', users: [12, '13'], private: true })).toEqual({ ok: true, stream: 'launch' });
+        expect(principals()).toEqual([12, 13, 99]);
+
+        expect(await act('create-stream', { name: 'launch', users: 'alice@example.com' })).toMatchObject({ ok: true });
+        expect(principals()).toEqual(['alice@example.com', 'bot@example.com']);
+
+        expect(await act('create-stream', { name: 'launch', users: [12, 'alice@example.com'] })).toMatchObject({ ok: false, code: 'INVALID_PARAMS' });
+      });
+
+      test('mutes a topic and marks it read', async () => {
+        mockRealm([]);
+        expect(await act('mute-topic', { stream: 'general', topic: 'noise' })).toMatchObject({ ok: true, muted: true });
+        expect(await act('mark-read', { stream: 'general', topic: 'noise' })).toMatchObject({ ok: true });
+
+        const posts = global.fetch.mock.calls.filter(([, opts]) => opts.method === 'POST');
+        expect(posts[0][0]).toContain('/user_topics');
+        expect(new URLSearchParams(posts[0][1].body).get('visibility_policy')).toBe('1');
+        expect(posts[1][0]).toContain('/mark_topic_as_read');
+      });
     });
 
     test('returns error for unknown action', async () => {
@@ -0,0 +1,150 @@
+/**
+ * Tests for scheduled messages and delivery time parsing
+ *
+ * Run with: npm test
+ */
+
+const { parseScheduleTime, scheduleMessage, listScheduledMessages, cancelScheduledMessage } = require('../schedule');
+const { clearDirectoryCache } = require('../directory');
+const { clearUserCache } = require('../users');
+
+const creds = {
+  email: 'bot@example.com',
+  apiKey: 'test-api-key',
+  site: 'https://example.zulipchat.com'
+};
+
+// Monday 2026-10-19, 14:00 in Berlin (CEST); Berlin moves to CET on the 25th
+const now = new Date('2026-10-19T12:00:00Z');
+const parse = (input, timezone) => parseScheduleTime(input, { timezone, now });
+const iso = (result) => result.date.toISOString();
+
+describe('parseScheduleTime', () => {
+  test('adds relative offsets to now', () => {
+    expect(iso(parse('in 2 hours'))).toBe('2026-10-19T14:00:00.000Z');
+    expect(iso(parse('+30m'))).toBe('2026-10-19T12:30:00.000Z');
+    expect(iso(parse('1h30m'))).toBe('2026-10-19T13:30:00.000Z');
+    expect(iso(parse('in 1 day and 2 hours'))).toBe('2026-10-20T14:00:00.000Z');
+  });
+
+  test('reads ISO times without an offset in the timezone', () => {
+    expect(iso(parse('2026-10-30T09:00', 'America/New_York'))).toBe('2026-10-30T13:00:00.000Z');
+    expect(iso(parse('2026-11-02 09:00', 'America/New_York'))).toBe('2026-11-02T14:00:00.000Z');
+    expect(iso(parse('2026-10-30T09:00:00+02:00', 'America/New_York'))).toBe('2026-10-30T07:00:00.000Z');
+  });
+
+  test('finds the next matching day', () => {
+    expect(iso(parse('friday 9:00', 'Europe/Berlin'))).toBe('2026-10-23T07:00:00.000Z');
+    expect(iso(parse('tomorrow at 5pm', 'Europe/Berlin'))).toBe('2026-10-20T15:00:00.000Z');
+    // Already past today, so next Monday, after the switch to winter time
+    expect(iso(parse('monday 9am', 'Europe/Berlin'))).toBe('2026-10-26T08:00:00.000Z');
+  });
+
+  test('rejects times that are in the past, malformed, or ambiguous', () => {
+    expect(parse('today 9:00', 'Europe/Berlin')).toMatchObject({ ok: false, error: '"today 9:00" is in the past' });
+    expect(parse('2026-10-30')).toMatchObject({ ok: false, code: 'INVALID_PARAMS' });
+    expect(parse('2026-02-30T09:00').ok).toBe(false);
+    expect(parse('whenever').error).toContain('Unrecognized time "whenever"');
+    expect(parse('in 2 hours', 'Mars/Olympus').error).toBe('Unknown timezone: Mars/Olympus');
+  });
+});
+
+describe('scheduled messages', () => {
+  const originalFetch = global.fetch;
+  const users = [
+    { user_id: 12, email: 'kenji@example.com', full_name: 'Kenji', timezone: 'Asia/Tokyo' },
+    { user_id: 13, email: 'ana@example.com', full_name: 'Ana', timezone: 'America/Sao_Paulo' },
+  ];
+
+  beforeEach(() => {
+    clearDirectoryCache();
+    clearUserCache();
+    global.fetch = jest.fn(async (url, opts) => {
+      const path = new URL(url).pathname.replace('/api/v1', '');
+      const user = users.find(u => decodeURIComponent(path) === `/users/${u.user_id}` || decodeURIComponent(path) === `/users/${u.email}`);
+      let body = { result: 'error', msg: 'Not found', code: 'BAD_REQUEST' };
+      if (path === '/users') body = { result: 'success', members: users };
+      else if (user) body = { result: 'success', user };
+      else if (path === '/realm/profile_fields') body = { result: 'success', custom_fields: [] };
+      else if (path === '/users/me/subscriptions') body = { result: 'success', subscriptions: [] };
+      else if (path === '/get_stream_id') body = { result: 'success', stream_id: 42 };
+      else if (path === '/scheduled_messages' && opts.method === 'POST') body = { result: 'success', scheduled_message_id: 7 };
+      else if (path.startsWith('/scheduled_messages')) body = { result: 'success' };
+      return { json: async () => body };
+    });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  const posted = () => {
+    const [, opts] = global.fetch.mock.calls.find(([url, o]) => url.includes('/scheduled_messages') && o.method !== 'GET');
+    return Object.fromEntries(new URLSearchParams(opts.body));
+  };
+
+  test('schedules a DM in the recipient\'s timezone', async () => {
+    const result = await scheduleMessage(creds, { to: 'kenji@example.com', message: 'Standup notes', at: '2030-01-07T09:00' });
+    expect(result).toEqual({
+      ok: true,
+      scheduledMessageId: 7,
+      target: 'Kenji',
+      deliverAt: '2030-01-07T00:00:00.000Z',
+      timezone: 'Asia/Tokyo',
+      localTime: 'Mon 2030-01-07 09:00',
+    });
+    expect(posted()).toEqual({ type: 'direct', to: '[12]', content: 'Standup notes', scheduled_delivery_timestamp: '1893974400' });
+  });
+
+  test('schedules to a stream by ID, in the default timezone', async () => {
+    const result = await scheduleMessage(
+      creds,
+      { to: 'stream:announcements', topic: 'weekly', message: 'Summary', at: '2030-01-07T09:00' },
+      { defaultTimezone: 'Europe/Berlin' },
+    );
+    expect(result).toMatchObject({ ok: true, deliverAt: '2030-01-07T08:00:00.000Z', timezone: 'Europe/Berlin' });
+    expect(posted()).toMatchObject({ type: 'stream', to: '42', topic: 'weekly' });
+  });
+
+  test('group DMs without a shared timezone fall back to the default', async () => {
+    const result = await scheduleMessage(creds, { to: 'Kenji, Ana', message: 'Hi', at: '2030-01-07T09:00' });
+    expect(result).toMatchObject({ ok: true, target: 'Kenji, Ana', timezone: 'UTC' });
+    expect(posted().to).toBe('[12,13]');
+  });
+
+  test('changes a scheduled message in place', async () => {
+    const result = await scheduleMessage(creds, { scheduledMessageId: '7', message: 'Updated notes' });
+    expect(result).toEqual({ ok: true, scheduledMessageId: 7 });
+    const [url, opts] = global.fetch.mock.calls[0];
+    expect(url).toContain('/scheduled_messages/7');
+    expect(opts.method).toBe('PATCH');
+  });
+
+  test('validates before calling the API', async () => {
+    expect(await scheduleMessage(creds, { to: 'kenji@example.com', message: 'Hi' })).toMatchObject({ ok: false, error: 'A delivery time is required' });
+    expect(await cancelScheduledMessage(creds, 'abc')).toMatchObject({ ok: false, code: 'INVALID_PARAMS' });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('lists and cancels scheduled messages', async () => {
+    global.fetch.mockImplementationOnce(async () => ({
+      json: async () => ({
+        result: 'success',
+        scheduled_messages: [
+          { scheduled_message_id: 9, type: 'private', to: [12], content: 'Later', scheduled_delivery_timestamp: 1893974400, failed: false },
+          { scheduled_message_id: 8, type: 'stream', to: 42, topic: 'weekly', content: 'Sooner', scheduled_delivery_timestamp: 1893970800, failed: false },
+        ],
+      }),
+    }));
+    const list = await listScheduledMessages(creds);
+    expect(list.scheduled.map(m => [m.id, m.type, m.deliverAt])).toEqual([
+      [8, 'stream', '2030-01-06T23:00:00.000Z'],
+      [9, 'direct', '2030-01-07T00:00:00.000Z'],
+    ]);
+
+    expect(await cancelScheduledMessage(creds, 8)).toEqual({ ok: true, scheduledMessageId: 8 });
+    const [url, opts] = global.fetch.mock.calls[1];
+    expect(url).toContain('/scheduled_messages/8');
+    expect(opts.method).toBe('DELETE');
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Tests for message search (narrow building, paging, highlights, permalinks)
+ *
+ * Run with: npm test
+ */
+
+const { searchMessages, buildSearchNarrow, permalink } = require('../search');
+
+const creds = {
+  email: 'bot@example.com',
+  apiKey: 'test-api-key',
+  site: 'https://example.zulipchat.com'
+};
+
+const streamMessage = (id, timestamp, extra = {}) => ({
+  id,
+  type: 'stream',
+  stream_id: 3,
+  display_recipient: 'general',
+  subject: 'deploys',
+  sender_full_name: 'Alice',
+  sender_email: 'alice@example.com',
+  timestamp,
+  content: '<p>Deploy done</p>',
+  ...extra,
+});
+
+describe('buildSearchNarrow', () => {
+  test('maps parameters to narrow operators', () => {
+    expect(buildSearchNarrow({
+      query: ' deploy failed ',
+      stream: 'stream:general',
+      topic: 'ci',
+      sender: '42',
+      has: ['link', 'image'],
+      is: 'starred',
+    })).toEqual({
+      ok: true,
+      narrow: [
+        { operator: 'stream', operand: 'general' },
+        { operator: 'topic', operand: 'ci' },
+        { operator: 'sender', operand: 42 },
+        { operator: 'has', operand: 'link' },
+        { operator: 'has', operand: 'image' },
+        { operator: 'is', operand: 'starred' },
+        { operator: 'search', operand: 'deploy failed' },
+      ],
+    });
+  });
+
+  test('searches all public streams on request', () => {
+    expect(buildSearchNarrow({ query: 'x', public: true }).narrow[0]).toEqual({ operator: 'streams', operand: 'public' });
+  });
+
+  test('rejects unknown filters', () => {
+    expect(buildSearchNarrow({ has: 'video' })).toMatchObject({ ok: false, code: 'INVALID_PARAMS' });
+  });
+});
+
+describe('permalink', () => {
+  test('links stream messages by stream, topic, and ID', () => {
+    const msg = streamMessage(99, 0, { display_recipient: 'dev team', subject: 'v1.2 release' });
+    expect(permalink(creds.site, msg)).toBe('https://example.zulipchat.com/#narrow/stream/3-dev-team/topic/v1.2E2.20release/near/99');
+  });
+
+  test('links DMs by participants', () => {
+    const msg = { id: 7, type: 'private', display_recipient: [{ id: 5 }, { id: 9 }] };
+    expect(permalink(creds.site, msg)).toBe('https://example.zulipchat.com/#narrow/dm/5,9-dm/near/7');
+  });
+});
+
+describe('searchMessages', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  const respond = (body) => global.fetch.mockResolvedValue({ json: () => Promise.resolve({ result: 'success', ...body }) });
+  const requestParams = () => new URL(global.fetch.mock.calls[0][0]).searchParams;
+
+  test('returns hits with highlights and an older cursor', async () => {
+    respond({
+      found_oldest: false,
+      found_newest: true,
+      messages: [
+        streamMessage(10, 1000, { match_content: '<p><span class="highlight">Deploy</span> done</p>', match_subject: 'deploys' }),
+        streamMessage(11, 2000),
+      ],
+    });
+
+    const result = await searchMessages(creds, { query: 'deploy', limit: 2 });
+    expect(result.ok).toBe(true);
+    expect(result.messages[0]).toMatchObject({
+      id: '10',
+      stream: 'general',
+      topic: 'deploys',
+      content: 'Deploy done',
+      highlight: '**Deploy** done',
+      permalink: 'https://example.zulipchat.com/#narrow/stream/3-general/topic/deploys/near/10',
+    });
+    expect(result.cursors).toEqual({ older: 'older:10' });
+    expect(requestParams().get('anchor')).toBe('newest');
+    expect(requestParams().get('num_before')).toBe('2');
+  });
+
+  test('continues from a cursor without repeating the anchor', async () => {
+    respond({ found_oldest: true, found_newest: false, messages: [streamMessage(5, 500)] });
+
+    const result = await searchMessages(creds, { query: 'deploy', cursor: 'older:10' });
+    expect(requestParams().get('anchor')).toBe('10');
+    expect(requestParams().get('include_anchor')).toBe('false');
+    expect(result.cursors).toEqual({ newer: 'newer:5' });
+  });
+
+  test('centers the page on a message with near', async () => {
+    respond({ found_oldest: true, found_newest: true, messages: [] });
+
+    await searchMessages(creds, { stream: 'general', near: '50', limit: 10 });
+    expect(requestParams().get('anchor')).toBe('50');
+    expect(requestParams().get('num_before')).toBe('5');
+    expect(requestParams().get('num_after')).toBe('4');
+  });
+
+  test('filters by date and stops paging past the range', async () => {
+    respond({ found_oldest: false, found_newest: true, messages: [streamMessage(1, 100), streamMessage(2, 5000)] });
+
+    const result = await searchMessages(creds, { query: 'x', after: new Date(1000 * 1000).toISOString() });
+    expect(result.messages.map(m => m.id)).toEqual(['2']);
+    expect(result.cursors).toEqual({});
+  });
+
+  test('pages back to the date range before returning', async () => {
+    const pages = [
+      { found_oldest: false, found_newest: true, messages: [streamMessage(30, 9000), streamMessage(31, 9500)] },
+      { found_oldest: false, found_newest: false, messages: [streamMessage(20, 6000), streamMessage(21, 8000)] },
+      { found_oldest: false, found_newest: false, messages: [streamMessage(10, 4000), streamMessage(11, 5500)] },
+    ];
+    for (const body of pages) global.fetch.mockResolvedValueOnce({ json: () => Promise.resolve({ result: 'success', ...body }) });
+
+    const result = await searchMessages(creds, { query: 'x', limit: 2, before: new Date(5000 * 1000).toISOString() });
+    expect(result.messages.map(m => m.id)).toEqual(['10']);
+    expect(result.cursors).toEqual({ older: 'older:10' });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(new URL(global.fetch.mock.calls[2][0]).searchParams.get('anchor')).toBe('20');
+  });
+
+  test('stops skipping pages after a few calls', async () => {
+    let id = 1000;
+    global.fetch.mockImplementation(() => {
+      id -= 2;
+      return Promise.resolve({ json: () => Promise.resolve({ result: 'success', found_oldest: false, messages: [streamMessage(id, 9000), streamMessage(id + 1, 9000)] }) });
+    });
+
+    const result = await searchMessages(creds, { query: 'x', limit: 2, before: new Date(1000 * 1000).toISOString() });
+    expect(result.messages).toEqual([]);
+    expect(result.cursors).toEqual({ older: `older:${id}` });
+    expect(global.fetch).toHaveBeenCalledTimes(5);
+  });
+
+  test('rejects bad dates and cursors', async () => {
+    expect(await searchMessages(creds, { after: 'someday' })).toMatchObject({ ok: false, code: 'INVALID_PARAMS' });
+    expect(await searchMessages(creds, { cursor: 'sideways:1' })).toMatchObject({ ok: false, code: 'INVALID_PARAMS' });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for per-stream style rules
+ *
+ * Run with: npm test
+ */
+
+const {
+  validateStyleRules,
+  resolveStyle,
+  formatStyleInstructions,
+  enforceFormatting,
+  truncateReply,
+  enforceStyle,
+  createReplyBudget,
+} = require('../style');
+
+const config = validateStyleRules({
+  rules: [
+    { stream: '*', tone: 'friendly' },
+    { stream: 'announcements', maxLength: 500, formatting: { tables: false, mentions: false }, instructions: 'Link the changelog.' },
+    { stream: 'announcements', topic: '^release', tone: 'formal', language: 'German', instructions: 'Name the version.' },
+    { dm: true, tone: 'casual' },
+  ],
+}).config;
+
+describe('validateStyleRules', () => {
+  test('reports each problem with its location', () => {
+    const result = validateStyleRules({
+      rules: [
+        { stream: 'general', tone: 'grumpy', maxLength: 0 },
+        { formatting: { tables: 'no', bold: false }, colour: 'red' },
+      ],
+    });
+    expect(result).toEqual({
+      ok: false,
+      errors: [
+        'rules[0].maxLength must be a positive number of characters',
+        'rules[0].tone must be one of formal, casual, concise, friendly, technical',
+        'rules[1] has unknown field "colour"',
+        'rules[1].formatting.tables must be true or false',
+        'rules[1].formatting.bold is not one of tables, headings, codeBlocks, mentions',
+      ],
+    });
+  });
+
+  test('requires a rules list', () => {
+    expect(validateStyleRules({ streams: {} }).ok).toBe(false);
+  });
+});
+
+describe('resolveStyle', () => {
+  test('merges every matching rule in order', () => {
+    expect(resolveStyle(config, { stream: 'Announcements', topic: 'Release 2.0', isDirect: false })).toEqual({
+      instructions: ['Link the changelog.', 'Name the version.'],
+      maxLength: 500,
+      formatting: { tables: false, mentions: false },
+      language: 'German',
+      tone: 'formal',
+    });
+  });
+
+  test('matches DMs only with DM rules', () => {
+    expect(resolveStyle(config, { isDirect: true })).toMatchObject({ tone: 'casual', maxLength: null });
+    expect(resolveStyle(validateStyleRules({ rules: [{ stream: 'ops' }] }).config, { isDirect: true })).toBeNull();
+  });
+
+  test('describes the style for the agent', () => {
+    const style = resolveStyle(config, { stream: 'announcements', topic: 'release', isDirect: false });
+    expect(formatStyleInstructions(style)).toBe([
+      'Style rules for this conversation:',
+      '- Reply in German.',
+      '- Tone: formal: complete sentences, a professional register, no slang or emoji.',
+      '- Keep replies under 500 characters; longer replies are cut off.',
+      '- Do not use tables, @-mentions.',
+      '- Link the changelog.',
+      '- Name the version.',
+    ].join('\n'));
+  });
+});
+
+describe('enforceFormatting', () => {
+  test('turns tables into lists', () => {
+    const text = 'Plan:\n\n| Day | Task |\n|-----|:----:|\n| Mon | Build |\n| Tue | Ship |\n\nDone.';
+    expect(enforceFormatting(text, { tables: false })).toBe('Plan:\n\n- Day: Mon, Task: Build\n- Day: Tue, Task: Ship\n\nDone.');
+  });
+
+  test('turns headings into bold text and strips mentions', () => {
+    expect(enforceFormatting('## Update\nThanks @**Alice|12** and @*backend*!', { headings: false, mentions: false }))
+      .toBe('**Update**\nThanks Alice and backend!');
+  });
+
+  test('leaves code blocks alone unless they are banned', () => {
+    const text = '```\n# not a heading\n```';
+    expect(enforceFormatting(text, { headings: false })).toBe(text);
+    expect(enforceFormatting(text, { codeBlocks: false })).toBe('# not a heading');
+  });
+});
+
+describe('length limits', () => {
+  test('cuts at a sentence or word break with an ellipsis', () => {
+    expect(truncateReply('First sentence here. Second one is longer.', 30)).toBe('First sentence here.…');
+    expect(truncateReply('short', 30)).toBe('short');
+    expect(truncateReply('one two three four five six', 12).length).toBeLessThanOrEqual(12);
+  });
+
+  test('applies a whole style to one message', () => {
+    expect(enforceStyle('# Hi there', { formatting: { headings: false }, maxLength: 100 })).toBe('**Hi there**');
+    expect(enforceStyle('text', null)).toBe('text');
+  });
+
+  test('counts the separator between streamed blocks against the limit', () => {
+    const fit = createReplyBudget({ maxLength: 20 }, { separator: '\n\n' });
+    const blocks = [fit('abcde', '[Sage] '), fit('fghijk'), fit('x')];
+    expect(blocks.map(b => b.text)).toEqual(['abcde', 'fghijk', '']);
+    expect(blocks.map(b => b.cut)).toEqual([false, false, true]);
+    expect(`[Sage] ${blocks[0].text}\n\n${blocks[1].text}`).toHaveLength(20);
+
+    // Without the separator the second block would just fit
+    const tight = createReplyBudget({ maxLength: 20 }, { separator: '\n\n' });
+    tight('abcde', '[Sage] ');
+    const second = tight('fghijklm');
+    expect(second.cut).toBe(true);
+    expect(second.text.length).toBeLessThanOrEqual(6);
+
+    const separate = createReplyBudget({ maxLength: 20 });
+    separate('abcde', '[Sage] ');
+    expect(separate('fghijklm')).toEqual({ text: 'fghijklm', cut: false });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for the shared send target grammar
+ *
+ * Run with: npm test
+ */
+
+const { parseTarget, resolveSendTarget, streamReadNarrow } = require('../targets');
+const { clearDirectoryCache } = require('../directory');
+
+const creds = {
+  email: 'bot@example.com',
+  apiKey: 'test-api-key',
+  site: 'https://example.zulipchat.com'
+};
+
+describe('parseTarget', () => {
+  test('reads streams with an optional topic', () => {
+    expect(parseTarget('stream:general')).toEqual({ ok: true, kind: 'stream', stream: 'general', streamId: null, topic: null });
+    expect(parseTarget('stream:general/deploys/2.0')).toMatchObject({ stream: 'general', topic: 'deploys/2.0' });
+    expect(parseTarget('stream:42')).toMatchObject({ stream: null, streamId: 42 });
+    expect(parseTarget('#**design team>logo ideas**')).toMatchObject({ stream: 'design team', topic: 'logo ideas' });
+    expect(parseTarget('#general>deploys')).toMatchObject({ stream: 'general', topic: 'deploys' });
+  });
+
+  test('reads DMs and group DMs', () => {
+    expect(parseTarget('alice@example.com')).toEqual({ ok: true, kind: 'dm', recipients: ['alice@example.com'] });
+    expect(parseTarget('private:12, 13')).toMatchObject({ recipients: ['12', '13'] });
+    expect(parseTarget('@**Alice Smith**, Bob')).toMatchObject({ kind: 'dm', recipients: ['Alice Smith', 'Bob'] });
+    expect(parseTarget('[12,13]')).toMatchObject({ kind: 'dm', recipients: ['12', '13'] });
+  });
+
+  test('reads narrow URLs', () => {
+    expect(parseTarget('https://example.zulipchat.com/#narrow/channel/42-general/topic/deploys.20.2F.20CI/near/99'))
+      .toMatchObject({ kind: 'stream', streamId: 42, stream: 'general', topic: 'deploys / CI' });
+    expect(parseTarget('#narrow/dm/12,13-group')).toMatchObject({ kind: 'dm', recipients: ['12', '13'] });
+  });
+
+  test('leaves bare names and IDs to the directory', () => {
+    expect(parseTarget('general')).toEqual({ ok: true, kind: 'name', value: 'general' });
+    expect(parseTarget('42')).toEqual({ ok: true, kind: 'name', value: '42' });
+  });
+
+  test('explains what is wrong', () => {
+    expect(parseTarget('')).toEqual({ ok: false, error: 'A target is required', code: 'INVALID_TARGET' });
+    expect(parseTarget('stream:general/').error).toBe('The topic after "general" is empty');
+    expect(parseTarget('stream:').error).toBe('The stream name is empty');
+    expect(parseTarget('private:').error).toBe('No DM recipients given');
+    expect(parseTarget('https://example.zulipchat.com/#narrow/is/starred').error).toContain('filters by "is"');
+  });
+});
+
+describe('streamReadNarrow', () => {
+  test('reads streams and topics in any target form', () => {
+    const narrow = [{ operator: 'stream', operand: 'general' }, { operator: 'topic', operand: 'deploys' }];
+    expect(streamReadNarrow('stream:general/deploys')).toEqual({ ok: true, narrow });
+    expect(streamReadNarrow('general', 'deploys')).toEqual({ ok: true, narrow });
+    expect(streamReadNarrow('#**general>deploys**', 'deploys')).toEqual({ ok: true, narrow });
+    expect(streamReadNarrow('stream:42').narrow).toEqual([{ operator: 'stream', operand: 42 }]);
+  });
+
+  test('refuses DMs and conflicting topics', () => {
+    expect(streamReadNarrow('alice@example.com')).toMatchObject({ ok: false, code: 'INVALID_TARGET' });
+    expect(streamReadNarrow('stream:general/deploys', 'ci')).toMatchObject({ ok: false, code: 'INVALID_TARGET' });
+  });
+});
+
+describe('resolveSendTarget', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    clearDirectoryCache();
+    global.fetch = jest.fn(async (url) => {
+      const path = new URL(url).pathname.replace('/api/v1', '');
+      const bodies = {
+        '/users/me/subscriptions': { subscriptions: [{ stream_id: 42, name: 'General' }] },
+        '/users': { members: [
+          { user_id: 12, email: 'alice@example.com', full_name: 'Alice Smith' },
+          { user_id: 13, email: 'bob@example.com', full_name: 'Bob' },
+        ] },
+      };
+      return { json: async () => ({ result: 'success', ...bodies[path] }) };
+    });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('posts explicit targets without a lookup', async () => {
+    expect(await resolveSendTarget(creds, 'stream:general/deploys'))
+      .toEqual({ ok: true, type: 'stream', to: 'general', streamId: null, topic: 'deploys', name: 'general' });
+    expect(await resolveSendTarget(creds, 'alice@example.com'))
+      .toMatchObject({ ok: true, type: 'private', to: '["alice@example.com"]' });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('uses the given topic, then chat', async () => {
+    expect((await resolveSendTarget(creds, 'stream:general', { topic: 'standup' })).topic).toBe('standup');
+    expect((await resolveSendTarget(creds, 'stream:general')).topic).toBe('chat');
+    expect(await resolveSendTarget(creds, 'stream:general/deploys', { topic: 'standup' }))
+      .toMatchObject({ ok: false, code: 'INVALID_TARGET' });
+  });
+
+  test('resolves stream IDs, names, and narrow URLs to the current stream name', async () => {
+    expect(await resolveSendTarget(creds, 'general')).toMatchObject({ type: 'stream', to: 'General', streamId: 42 });
+    expect(await resolveSendTarget(creds, 'https://example.zulipchat.com/#narrow/stream/42-old-name/topic/ci'))
+      .toMatchObject({ type: 'stream', to: 'General', topic: 'ci' });
+    expect(await resolveSendTarget(creds, 'https://other.zulipchat.com/#narrow/stream/42-general'))
+      .toMatchObject({ ok: false, error: 'The narrow URL is for https://other.zulipchat.com, not https://example.zulipchat.com' });
+  });
+
+  test('sends group DMs by user ID when the recipients are mixed', async () => {
+    expect(await resolveSendTarget(creds, 'Alice Smith, bob@example.com'))
+      .toMatchObject({ ok: true, type: 'private', to: '[12,13]', name: 'Alice Smith, Bob' });
+  });
+});
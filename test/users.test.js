@@ -0,0 +1,108 @@
+/**
+ * Tests for user profile and presence lookups
+ *
+ * Run with: npm test
+ */
+
+const { getUserProfile, getUserPresence, localTime, clearUserCache } = require('../users');
+const { clearDirectoryCache } = require('../directory');
+
+const creds = {
+  email: 'bot@example.com',
+  apiKey: 'test-api-key',
+  site: 'https://example.zulipchat.com'
+};
+
+const alice = {
+  user_id: 12,
+  email: 'alice@example.com',
+  full_name: 'Alice Smith',
+  role: 200,
+  is_bot: false,
+  is_active: true,
+  timezone: 'Asia/Tokyo',
+  date_joined: '2024-01-01T00:00:00+00:00',
+  profile_data: { 3: { value: 'Platform' }, 4: { value: '' } },
+};
+
+describe('localTime', () => {
+  test('gives the wall-clock time and offset in a timezone', () => {
+    const date = new Date('2026-10-19T12:30:00Z');
+    expect(localTime('Asia/Tokyo', date)).toEqual({ timezone: 'Asia/Tokyo', localTime: 'Mon 2026-10-19 21:30', utcOffset: '+09:00' });
+    expect(localTime('America/St_Johns', date).utcOffset).toBe('-02:30');
+  });
+
+  test('returns null without a known timezone', () => {
+    expect(localTime('')).toBeNull();
+    expect(localTime('Mars/Olympus')).toBeNull();
+  });
+});
+
+describe('user lookups', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    clearUserCache();
+    clearDirectoryCache();
+    global.fetch = jest.fn(async (url) => {
+      const path = new URL(url).pathname.replace('/api/v1', '');
+      const bodies = {
+        '/users': { members: [alice] },
+        '/users/12': { user: alice },
+        '/realm/profile_fields': { custom_fields: [{ id: 3, name: 'Team' }, { id: 4, name: 'Pronouns' }] },
+        '/users/12/presence': { presence: { aggregated: { status: 'idle', timestamp: Math.floor(Date.now() / 1000) - 30 } } },
+        '/users/12/status': { status: { status_text: 'In a meeting', emoji_name: 'calendar' } },
+      };
+      const body = bodies[path];
+      return { json: async () => (body ? { result: 'success', ...body } : { result: 'error', msg: 'No such user', code: 'BAD_REQUEST' }) };
+    });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  const paths = () => global.fetch.mock.calls.map(([url]) => new URL(url).pathname.replace('/api/v1', ''));
+
+  test('returns the profile with named custom fields', async () => {
+    const result = await getUserProfile(creds, '12');
+    expect(result).toMatchObject({
+      ok: true,
+      user: { id: 12, fullName: 'Alice Smith', role: 'admin', timezone: 'Asia/Tokyo', utcOffset: '+09:00', profile: { Team: 'Platform' } },
+    });
+    expect(new URL(global.fetch.mock.calls[0][0]).searchParams.get('include_custom_profile_fields')).toBe('true');
+  });
+
+  test('resolves display names and caches profiles', async () => {
+    await getUserProfile(creds, '@**Alice Smith**');
+    await getUserProfile(creds, 12);
+    expect(paths()).toEqual(['/users', '/users/12', '/realm/profile_fields']);
+  });
+
+  test('passes API errors through', async () => {
+    expect(await getUserProfile(creds, 'nobody@example.com')).toEqual({ ok: false, error: 'No such user', code: 'BAD_REQUEST' });
+    expect(await getUserProfile(creds, '')).toMatchObject({ ok: false, code: 'INVALID_PARAMS' });
+  });
+
+  test('reports presence with the status message', async () => {
+    const result = await getUserPresence(creds, 12);
+    expect(result).toMatchObject({
+      ok: true,
+      user: { id: 12, fullName: 'Alice Smith' },
+      presence: 'idle',
+      statusText: 'In a meeting',
+      statusEmoji: 'calendar',
+      timezone: 'Asia/Tokyo',
+    });
+  });
+
+  test('treats stale presence as offline', async () => {
+    const fetchUser = global.fetch.getMockImplementation();
+    global.fetch.mockImplementation(async (url) => (url.includes('/presence')
+      ? { json: async () => ({ result: 'success', presence: { website: { status: 'active', timestamp: 1_700_000_000 } } }) }
+      : fetchUser(url)));
+    const result = await getUserPresence(creds, 12);
+    expect(result.presence).toBe('offline');
+    expect(result.lastActive).toBe('2023-11-14T22:13:20.000Z');
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * User profiles, presence, and local time
+ *
+ * `getUserProfile` returns a user's name, role, custom profile fields (under
+ * the names the realm gives them), and timezone with the current local
+ * time; `getUserPresence` adds whether they are active, idle, or offline
+ * and their status message. Profiles and the realm's profile field
+ * definitions are cached for a few minutes.
+ */
+
+const { zulipApi } = require('./client.js');
+const { resolveTarget } = require('./directory.js');
+
+const PROFILE_CACHE_MS = 5 * 60_000;
+// Zulip shows a user as offline once no client has reported for this long
+const OFFLINE_THRESHOLD_S = 140;
+const ROLE_NAMES = { 100: 'owner', 200: 'admin', 300: 'moderator', 400: 'member', 600: 'guest' };
+
+// `${site}|${email}|${kind}` -> { fetchedAt, value }
+const profileCache = new Map();
+
+function cacheKey(creds, kind) {
+  return `${creds.site}|${creds.email}|${kind}`;
+}
+
+function fromCache(creds, kind) {
+  const entry = profileCache.get(cacheKey(creds, kind));
+  return entry && Date.now() - entry.fetchedAt < PROFILE_CACHE_MS ? entry.value : undefined;
+}
+
+function toCache(creds, kind, value) {
+  profileCache.set(cacheKey(creds, kind), { fetchedAt: Date.now(), value });
+}
+
+function clearUserCache() {
+  profileCache.clear();
+}
+
+// A user reference as accepted by `/users/{user_id_or_email}`: IDs and
+// emails pass through, `@name` and display names are looked up
+async function resolveUserRef(creds, input) {
+  const raw = String(input ?? '').trim();
+  const value = raw.replace(/^(user|private):/i, '').replace(/^@/, '').replace(/^\*\*|\*\*$/g, '').trim();
+  if (!value) return { ok: false, error: 'A user ID, email, or name is required', code: 'INVALID_PARAMS' };
+  if (/^\d+$/.test(value) || value.includes('@')) return { ok: true, ref: value };
+
+  const target = await resolveTarget(creds, `user:${value}`);
+  if (!target.ok) return target;
+  return { ok: true, ref: String(target.id) };
+}
+
+// Calendar fields of `date` as seen in `timezone`; null for an unknown timezone
+function zonedParts(timezone, date) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    }).formatToParts(date);
+  } catch {
+    return null;
+  }
+  return Object.fromEntries(parts.map(p => [p.type, p.value]));
+}
+
+/**
+ * Minutes `timezone` is ahead of UTC at `date`.
+ * @returns {number|null} null for an unknown timezone
+ */
+function timezoneOffset(timezone, date = new Date()) {
+  const part = timezone ? zonedParts(timezone, date) : null;
+  if (!part) return null;
+  const wallClock = Date.UTC(Number(part.year), Number(part.month) - 1, Number(part.day), Number(part.hour), Number(part.minute));
+  return Math.round((wallClock - Math.floor(date.getTime() / 60_000) * 60_000) / 60_000);
+}
+
+function formatOffset(minutes) {
+  const abs = Math.abs(minutes);
+  return `${minutes < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * The wall-clock time in a timezone.
+ * @returns {{ timezone: string, localTime: string, utcOffset: string } | null} null for an unknown timezone
+ */
+function localTime(timezone, date = new Date()) {
+  const part = timezone ? zonedParts(timezone, date) : null;
+  if (!part) return null;
+  return {
+    timezone,
+    localTime: `${part.weekday} ${part.year}-${part.month}-${part.day} ${part.hour}:${part.minute}`,
+    utcOffset: formatOffset(timezoneOffset(timezone, date)),
+  };
+}
+
+// Custom profile field ID -> name; an empty map if the realm won't say
+async function profileFieldNames(creds) {
+  const cachedNames = fromCache(creds, 'profile_fields');
+  if (cachedNames) return cachedNames;
+  const result = await zulipApi(creds, '/realm/profile_fields');
+  if (result.result !== 'success') return new Map();
+  const names = new Map((result.custom_fields ?? []).map(f => [String(f.id), f.name]));
+  toCache(creds, 'profile_fields', names);
+  return names;
+}
+
+function describeUser(user, fieldNames) {
+  const profile = {};
+  for (const [id, field] of Object.entries(user.profile_data ?? {})) {
+    if (field?.value !== undefined && field.value !== '') profile[fieldNames.get(id) ?? `field ${id}`] = field.value;
+  }
+  const time = localTime(user.timezone);
+  return {
+    id: user.user_id,
+    email: user.email,
+    fullName: user.full_name,
+    role: ROLE_NAMES[user.role] ?? (user.is_admin ? 'admin' : 'member'),
+    isBot: Boolean(user.is_bot),
+    isActive: user.is_active !== false,
+    timezone: time?.timezone ?? null,
+    localTime: time?.localTime ?? null,
+    utcOffset: time?.utcOffset ?? null,
+    dateJoined: user.date_joined,
+    avatarUrl: user.avatar_url ?? undefined,
+    profile,
+  };
+}
+
+/**
+ * Look up a user's profile.
+ *
+ * @param {object} creds
+ * @param {string|number} input - User ID, email, `@name`, or display name
+ */
+async function getUserProfile(creds, input) {
+  const resolved = await resolveUserRef(creds, input);
+  if (!resolved.ok) return resolved;
+
+  const kind = `user:${resolved.ref.toLowerCase()}`;
+  let user = fromCache(creds, kind);
+  if (!user) {
+    const result = await zulipApi(creds, `/users/${encodeURIComponent(resolved.ref)}?include_custom_profile_fields=true`);
+    if (result.result !== 'success') return { ok: false, error: result.msg, code: result.code };
+    user = result.user;
+    toCache(creds, kind, user);
+  }
+  return { ok: true, user: describeUser(user, await profileFieldNames(creds)) };
+}
+
+/**
+ * Look up whether a user is active, idle, or offline, with their status
+ * message and local time.
+ */
+async function getUserPresence(creds, input) {
+  const profile = await getUserProfile(creds, input);
+  if (!profile.ok) return profile;
+  const { user } = profile;
+
+  const result = await zulipApi(creds, `/users/${user.id}/presence`);
+  if (result.result !== 'success') return { ok: false, error: result.msg, code: result.code };
+
+  // `aggregated` sums up all of the user's clients; older servers only list the clients
+  const clients = Object.entries(result.presence ?? {}).filter(([name]) => name !== 'aggregated').map(([, p]) => p);
+  const latest = result.presence?.aggregated
+    ?? clients.sort((a, b) => b.timestamp - a.timestamp)[0];
+  const now = Date.now() / 1000;
+  const presence = !latest || now - latest.timestamp > OFFLINE_THRESHOLD_S ? 'offline' : latest.status;
+
+  // Status messages need a newer server; without one the lookup just fails
+  const statusResult = await zulipApi(creds, `/users/${user.id}/status`).catch(() => null);
+  const status = statusResult?.result === 'success' ? statusResult.status : null;
+
+  return {
+    ok: true,
+    user: { id: user.id, email: user.email, fullName: user.fullName },
+    presence,
+    lastActive: latest ? new Date(latest.timestamp * 1000).toISOString() : null,
+    away: status?.away ?? undefined,
+    statusText: status?.status_text || undefined,
+    statusEmoji: status?.emoji_name || undefined,
+    timezone: user.timezone,
+    localTime: user.localTime,
+  };
+}
+
+module.exports = {
+  getUserProfile,
+  getUserPresence,
+  localTime,
+  timezoneOffset,
+  clearUserCache,
+};